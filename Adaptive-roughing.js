@@ -0,0 +1,257 @@
+/**
+ * Adaptive Roughing
+ *
+ * Clears the socket cavity out of its stock level by level with a
+ * constant-engagement spiral. Each level enters near the axis through the
+ * EntryStrategy (a helix about the axis by default, or straight into a
+ * blank's existing cavity) and spirals outward, each turn
+ * morphed toward the wall so no turn is further than the stepover from the
+ * one before. The turn count grows until the cutter's engagement angle
+ * stays within the limit, then a last lap follows the boundary.
+ *
+ * The boundary leaves the finishing allowance on the wall and floor, and
+ * never undercuts a narrower section above the level. Stock above the brim
+ * is faced off first; levels a blank has no material at are skipped.
+ */
+
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+const StockModel = require('./Stock-model.js');
+const EntryStrategy = require('./Entry-strategy.js');
+
+class AdaptiveRoughing {
+    constructor(settings = {}) {
+        this.interpreter = new ToolpathInterpreter();
+        this.stock = new StockModel();
+
+        this.SETTINGS = {
+            allowance: 1.0,         // mm left on the wall and floor for finishing
+            stepover: 0.4,          // largest radial step, as a fraction of the tool diameter
+            maxEngagement: 90,      // degrees of the cutter in the material
+            stepdown: null,         // mm per level; the tool's maxDepthOfCut when null
+            startRadius: 0.25,      // first spiral radius, as a fraction of the tool diameter
+            angularStep: 5,         // degrees between boundary samples and spiral points
+            lift: 1,                // mm above the last floor when moving between levels
+            safeZ: 5,
+            ...settings
+        };
+    }
+
+    /**
+     * Plan the roughing passes
+     *
+     * `radiusAt(depth, angle)` gives the socket's inner radius and `stock` is
+     * a StockModel definition; levels are entered with `entry` (an
+     * EntryStrategy, which also sets the plunge rate). Returns the moves,
+     * one entry per level (Z, entry strategy, turns,
+     * largest step and engagement, volume) and the totals: volume removed
+     * (cm³), cutting time at the programmed feeds (min) and the removal
+     * rate (cm³/min).
+     */
+    plan(socket, radiusAt, stock, tool, feedRate, entry = new EntryStrategy()) {
+        const settings = this.SETTINGS;
+        this.stock.check(stock);
+        const toolRadius = tool.diameter / 2;
+        const stepdown = settings.stepdown || tool.maxDepthOfCut;
+        const startRadius = settings.startRadius * tool.diameter;
+        const top = this.stock.top(stock);
+        const angles = [];
+        for (let angle = 0; angle < 360; angle += settings.angularStep) angles.push(angle);
+
+        // Narrowest wall at or above each depth, so levels never undercut
+        let narrowest = angles.map(angle => radiusAt(0, angle));
+        let checkedTo = 0;
+        const wallAbove = depth => {
+            for (let d = checkedTo + 1; d < depth; d += 1) {
+                narrowest = narrowest.map((radius, a) => Math.min(radius, radiusAt(d, angles[a])));
+            }
+            narrowest = narrowest.map((radius, a) => Math.min(radius, radiusAt(depth, angles[a])));
+            checkedTo = Math.max(checkedTo, depth);
+            return narrowest;
+        };
+
+        const moves = [];
+        const levels = [];
+        let bandTop = top;
+        let first = true;
+
+        this.levels(top, socket.length - settings.allowance, stepdown).forEach(({ z, kind }) => {
+            const depth = -z;
+            const boundary = kind === 'facing'
+                ? angles.map(angle => this.stock.outline(stock, angle))
+                : wallAbove(depth).map((radius, a) =>
+                    Math.min(radius - settings.allowance - toolRadius, this.stock.outline(stock, angles[a]) - toolRadius));
+
+            // A blank's cavity: the narrowest section through this band is already empty
+            const existing = Math.min(this.stock.cavityRadius(stock, top - bandTop), this.stock.cavityRadius(stock, top - z));
+            const widest = Math.max(...boundary);
+            if (existing >= widest + toolRadius) {
+                levels.push({ z: z, kind: kind, skipped: true, volume: 0 });
+                bandTop = z;
+                return;
+            }
+
+            const inCavity = existing - toolRadius >= startRadius;
+            const start = inCavity ? existing - toolRadius : startRadius;
+            if (Math.min(...boundary) < start) {
+                throw new Error(`${tool.name} cannot rough the socket at ${depth.toFixed(1)}mm deep: ` +
+                                `the wall leaves ${Math.min(...boundary).toFixed(2)}mm for the tool centre`);
+            }
+            const spiral = this.spiral(boundary, start, toolRadius, tool.diameter * settings.stepover);
+
+            // Move over the entry point just above the last floor
+            if (first) moves.push({ cmd: 'G0', x: start, y: 0, z: settings.safeZ, comment: `${this.label(kind)} approach` });
+            moves.push({ cmd: 'G0', z: bandTop + settings.lift, comment: `Level ${levels.length + 1} at Z${z.toFixed(2)}` });
+            moves.push({ cmd: 'G0', x: start, y: 0, comment: 'Over the entry point' });
+            first = false;
+
+            // Enter along the first half turn; a helix stays inside the start circle
+            const passes = this.spiralMoves(boundary, angles, start, spiral.turns, feedRate);
+            const path = [{ x: start, y: 0 }, ...passes.slice(0, angles.length / 2)];
+            const room = 2 * start;
+            moves.push(...entry.enter(path, {
+                tool: tool,
+                clearZ: bandTop + settings.lift,
+                topZ: inCavity ? z : bandTop,
+                toZ: z,
+                room: room
+            }));
+            moves.push(...passes);
+
+            const volume = this.levelVolume(boundary, angles, toolRadius, stock, existing) * (bandTop - z);
+            levels.push({
+                z: z,
+                kind: kind,
+                entry: inCavity ? 'cavity' : entry.strategyFor(path, tool, room),
+                turns: spiral.turns,
+                stepover: spiral.stepover,
+                engagement: spiral.engagement,
+                volume: volume / 1000
+            });
+            bandTop = z;
+        });
+
+        moves.push({ cmd: 'G0', z: settings.safeZ, comment: 'Retract from roughing' });
+
+        const volume = levels.reduce((sum, level) => sum + level.volume, 0);
+        const cuttingTime = this.cuttingTime(moves);
+        return {
+            moves: moves,
+            levels: levels,
+            allowance: settings.allowance,
+            stepdown: stepdown,
+            maxEngagement: levels.reduce((max, level) => Math.max(max, level.engagement || 0), 0),
+            volume: volume,
+            cuttingTime: cuttingTime,
+            removalRate: cuttingTime > 0 ? volume / cuttingTime : 0
+        };
+    }
+
+    /**
+     * Z levels: facing from the stock top to the brim, then the cavity down to the floor allowance
+     */
+    levels(top, floorDepth, stepdown) {
+        const levels = [];
+        if (top > 0) {
+            const count = Math.ceil(top / stepdown);
+            for (let k = 1; k <= count; k++) levels.push({ z: top - top * k / count, kind: 'facing' });
+        }
+        const count = Math.ceil(floorDepth / stepdown);
+        for (let k = 1; k <= count; k++) levels.push({ z: -floorDepth * k / count, kind: 'cavity' });
+        return levels;
+    }
+
+    /**
+     * Fewest spiral turns from `start` out to the boundary that keep the step and engagement within limits
+     */
+    spiral(boundary, start, toolRadius, stepover) {
+        const reach = Math.max(...boundary.map(radius => radius - start));
+        for (let turns = Math.max(1, Math.ceil(reach / stepover)); turns <= 500; turns++) {
+            let engagement = 0;
+            boundary.forEach(radius => {
+                const step = (radius - start) / turns;
+                for (let k = 1; k <= turns; k++) {
+                    const centre = start + step * k;
+                    engagement = Math.max(engagement, this.engagement(centre, centre - step + toolRadius, toolRadius));
+                }
+            });
+            if (engagement <= this.SETTINGS.maxEngagement) {
+                return { turns: turns, stepover: reach / turns, engagement: engagement };
+            }
+        }
+        throw new Error(`Cannot keep roughing engagement under ${this.SETTINGS.maxEngagement}°`);
+    }
+
+    /**
+     * Engagement angle (degrees) of a cutter centred `centre` from the axis
+     * cutting outward into a wall at radius `wall` from the axis
+     */
+    engagement(centre, wall, toolRadius) {
+        const cos = (wall * wall - centre * centre - toolRadius * toolRadius) / (2 * centre * toolRadius);
+        if (cos >= 1) return 0;
+        if (cos <= -1) return 180;
+        return Math.acos(cos) * 180 / Math.PI;
+    }
+
+    /**
+     * Counter-clockwise (climb) spiral from `start` to the boundary, then one lap along it
+     */
+    spiralMoves(boundary, angles, start, turns, feedRate) {
+        const perTurn = angles.length;
+        const boundaryAt = theta => {
+            const position = (theta * 180 / Math.PI % 360) / 360 * angles.length;
+            const index = Math.floor(position) % angles.length;
+            const fraction = position - Math.floor(position);
+            return boundary[index] + (boundary[(index + 1) % angles.length] - boundary[index]) * fraction;
+        };
+
+        const moves = [];
+        const total = turns * perTurn;
+        for (let s = 1; s <= total + perTurn; s++) {
+            const theta = 2 * Math.PI * (s % perTurn) / perTurn;
+            const edge = boundaryAt(theta);
+            const radius = s <= total ? start + (edge - start) * s / total : edge;
+            moves.push({
+                cmd: 'G1',
+                x: radius * Math.cos(theta),
+                y: radius * Math.sin(theta),
+                ...(s === 1 ? { f: feedRate } : {}),
+                comment: s <= total ? `Spiral turn ${Math.ceil(s / perTurn)}` : 'Boundary lap'
+            });
+        }
+        return moves;
+    }
+
+    /**
+     * Plan area (mm²) of stock the level clears: the swept boundary, clipped to the stock, less any existing cavity
+     */
+    levelVolume(boundary, angles, toolRadius, stock, existing) {
+        const step = 2 * Math.PI / angles.length;
+        const swept = boundary.reduce((sum, radius, a) => {
+            const reach = Math.min(radius + toolRadius, this.stock.outline(stock, angles[a]));
+            return sum + reach * reach * step / 2;
+        }, 0);
+        return Math.max(swept - Math.PI * existing * existing, 0);
+    }
+
+    /**
+     * Minutes of feed moves at their programmed feeds
+     */
+    cuttingTime(moves) {
+        return this.interpreter.walk(moves).reduce((minutes, step) => {
+            if (!step.motion || step.motion === 'G0' || !step.feed) return minutes;
+            const length = step.motion === 'G1'
+                ? this.interpreter.linearLength(step)
+                : this.interpreter.arcGeometry(step).length;
+            return minutes + length / step.feed;
+        }, 0);
+    }
+
+    /**
+     * Comment label for a level kind
+     */
+    label(kind) {
+        return kind === 'facing' ? 'Facing' : 'Roughing';
+    }
+}
+
+module.exports = AdaptiveRoughing;
@@ -0,0 +1,270 @@
+/**
+ * Arc Fitter
+ *
+ * Post-processing stage that replaces runs of short G1 moves with G2/G3
+ * arcs, helical where Z changes evenly along the run. Every arc stays
+ * within `tolerance` of the moves it replaces, measured at their points and
+ * at the middle of each segment, where the arc bulges furthest from the
+ * chord. An arc that follows another arc or line without a corner starts
+ * tangent to it, so smooth curves stay smooth.
+ *
+ * Runs are consecutive absolute XY G1 moves with the same feed, operation
+ * and tool; rotary, inverse-time and compensation moves are left alone.
+ */
+
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+
+class ArcFitter {
+    constructor(settings = {}) {
+        this.interpreter = new ToolpathInterpreter();
+
+        this.SETTINGS = {
+            tolerance: 0.01,        // mm, largest deviation from the original moves
+            minSegments: 3,         // fewest G1 moves worth replacing with an arc
+            maxSweep: 180,          // degrees, so no controller reads an arc as a full circle
+            maxRadius: 1000,        // mm, flatter runs stay straight
+            tangentAngle: 10,       // degrees; smaller turns between moves count as smooth
+            ...settings
+        };
+        this.check(this.SETTINGS);
+    }
+
+    /**
+     * Throw unless the settings describe a usable fit
+     */
+    check(settings) {
+        const problems = [];
+        ['tolerance', 'maxRadius'].forEach(key => {
+            if (!(settings[key] > 0)) problems.push(`${key} must be greater than zero`);
+        });
+        if (!(Number.isInteger(settings.minSegments) && settings.minSegments >= 2)) {
+            problems.push('minSegments must be an integer of at least 2');
+        }
+        if (!(settings.maxSweep > 0 && settings.maxSweep < 360)) problems.push('maxSweep must be between 0 and 360 degrees');
+        if (!(settings.tangentAngle >= 0 && settings.tangentAngle < 90)) problems.push('tangentAngle must be between 0 and 90 degrees');
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid arc fitting: ${problems.join('; ')}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Fit arcs to a toolpath from either generator
+     *
+     * Returns the new toolpath with the line counts before and after, the
+     * fraction of lines removed, the arcs made (and how many are helical)
+     * and the largest deviation from the original moves (mm).
+     */
+    fit(toolpath) {
+        const steps = this.interpreter.walk(toolpath);
+        const fitted = [];
+        const report = { arcs: 0, helicalArcs: 0, maxDeviation: 0 };
+
+        let run = [];
+        const flush = () => {
+            fitted.push(...this.fitRun(run, report));
+            run = [];
+        };
+
+        steps.forEach(step => {
+            if (!this.fittable(step)) {
+                flush();
+                fitted.push(step.move);
+                return;
+            }
+            const last = run[run.length - 1];
+            if (last && (last.feed !== step.feed || last.move.operation !== step.move.operation ||
+                         last.move.tool !== step.move.tool)) {
+                flush();
+            }
+            run.push(step);
+        });
+        flush();
+
+        return {
+            toolpath: fitted,
+            linesBefore: toolpath.length,
+            linesAfter: fitted.length,
+            reduction: toolpath.length > 0 ? 1 - fitted.length / toolpath.length : 0,
+            arcs: report.arcs,
+            helicalArcs: report.helicalArcs,
+            maxDeviation: report.maxDeviation
+        };
+    }
+
+    /**
+     * Whether a step is a plain G1 that moves in XY and may join a run
+     */
+    fittable(step) {
+        const { words } = step;
+        return step.motion === 'G1' &&
+            step.codes.length === 1 && step.codes[0] === 'G1' &&
+            !step.inverseTime &&
+            ['A', 'I', 'J', 'K', 'R'].every(word => words[word] === undefined) &&
+            Math.hypot(step.to.x - step.from.x, step.to.y - step.from.y) > 1e-6;
+    }
+
+    /**
+     * Moves for one run: arcs where they fit, the original G1 moves elsewhere
+     */
+    fitRun(run, report) {
+        if (run.length === 0) return [];
+        const points = [run[0].from, ...run.map(step => step.to)];
+        const limit = Math.cos(this.SETTINGS.tangentAngle * Math.PI / 180);
+        const moves = [];
+        let tangent = null;
+        let s = 0;
+
+        while (s < run.length) {
+            // Keep the incoming direction only where the run turns smoothly
+            const chord = this.unit(points[s], points[s + 1]);
+            const smooth = tangent && tangent.x * chord.x + tangent.y * chord.y >= limit;
+            const arc = (smooth && this.longestArc(points, s, tangent)) || this.longestArc(points, s, null);
+
+            if (arc) {
+                moves.push(this.arcMove(run, s, arc));
+                report.arcs++;
+                if (arc.helical) report.helicalArcs++;
+                report.maxDeviation = Math.max(report.maxDeviation, arc.deviation);
+                tangent = arc.endTangent;
+                s = arc.end;
+            } else {
+                moves.push(run[s].move);
+                tangent = chord;
+                s++;
+            }
+        }
+        return moves;
+    }
+
+    /**
+     * Longest arc from point `s` within tolerance, tangent to `tangent` when given; null if none spans minSegments
+     */
+    longestArc(points, s, tangent) {
+        let best = null;
+        for (let e = s + this.SETTINGS.minSegments; e < points.length; e++) {
+            const arc = this.fitArc(points, s, e, tangent);
+            if (!arc) break;
+            best = arc;
+        }
+        return best;
+    }
+
+    /**
+     * Arc from point `s` to point `e` through the points between, or null when it does not fit
+     */
+    fitArc(points, s, e, tangent) {
+        const { tolerance, maxRadius, maxSweep } = this.SETTINGS;
+        const start = points[s];
+        const end = points[e];
+        const center = tangent
+            ? this.tangentCenter(start, tangent, end)
+            : this.circleCenter(start, points[Math.round((s + e) / 2)], end);
+        if (!center) return null;
+
+        const radius = Math.hypot(start.x - center.x, start.y - center.y);
+        if (radius > maxRadius) return null;
+
+        // Every segment must turn the same way, less than a half circle each
+        const angles = [];
+        for (let k = s; k <= e; k++) angles.push(Math.atan2(points[k].y - center.y, points[k].x - center.x));
+        const turns = angles.slice(1).map((angle, k) => {
+            let delta = angle - angles[k];
+            while (delta > Math.PI) delta -= 2 * Math.PI;
+            while (delta <= -Math.PI) delta += 2 * Math.PI;
+            return delta;
+        });
+        const direction = Math.sign(turns[0]);
+        if (direction === 0 || turns.some(delta => Math.sign(delta) !== direction)) return null;
+        const sweep = turns.reduce((sum, delta) => sum + Math.abs(delta), 0);
+        if (sweep * 180 / Math.PI > maxSweep + 1e-9) return null;
+
+        // Deviation at the points, with Z along the helix, and at the segment middles
+        let deviation = 0;
+        let swept = 0;
+        for (let k = s; k <= e; k++) {
+            if (k > s) swept += Math.abs(turns[k - s - 1]);
+            const radial = Math.abs(Math.hypot(points[k].x - center.x, points[k].y - center.y) - radius);
+            const z = start.z + (end.z - start.z) * swept / sweep;
+            deviation = Math.max(deviation, Math.hypot(radial, points[k].z - z));
+            if (k < e) {
+                const middle = { x: (points[k].x + points[k + 1].x) / 2, y: (points[k].y + points[k + 1].y) / 2 };
+                deviation = Math.max(deviation, Math.abs(radius - Math.hypot(middle.x - center.x, middle.y - center.y)));
+            }
+            if (deviation > tolerance) return null;
+        }
+
+        const clockwise = direction < 0;
+        const radial = { x: (end.x - center.x) / radius, y: (end.y - center.y) / radius };
+        return {
+            end: e,
+            center: center,
+            clockwise: clockwise,
+            helical: Math.abs(end.z - start.z) > 1e-9,
+            deviation: deviation,
+            endTangent: clockwise ? { x: radial.y, y: -radial.x } : { x: -radial.y, y: radial.x }
+        };
+    }
+
+    /**
+     * Centre of the circle through three points, or null when they are in line
+     */
+    circleCenter(a, b, c) {
+        const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+        if (Math.abs(d) < 1e-12) return null;
+        const a2 = a.x * a.x + a.y * a.y;
+        const b2 = b.x * b.x + b.y * b.y;
+        const c2 = c.x * c.x + c.y * c.y;
+        return {
+            x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+            y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+        };
+    }
+
+    /**
+     * Centre of the circle leaving `start` along `tangent` and passing through `end`, or null for a straight line
+     */
+    tangentCenter(start, tangent, end) {
+        const normal = { x: -tangent.y, y: tangent.x };
+        const d = { x: end.x - start.x, y: end.y - start.y };
+        const across = 2 * (d.x * normal.x + d.y * normal.y);
+        if (Math.abs(across) < 1e-12) return null;
+        const offset = (d.x * d.x + d.y * d.y) / across;
+        return { x: start.x + normal.x * offset, y: start.y + normal.y * offset };
+    }
+
+    /**
+     * The G2/G3 move replacing run steps `s` to `arc.end - 1`, in the style of the first one
+     */
+    arcMove(run, s, arc) {
+        const first = run[s].move;
+        const end = run[arc.end - 1].to;
+        const from = run[s].from;
+        const key = first.cmd !== undefined ? 'cmd' : 'type';
+        const hasZ = run.slice(s, arc.end).some(step => step.words.Z !== undefined);
+        const { cmd, type, x, y, z, f, comment, ...tags } = first;
+
+        return {
+            [key]: arc.clockwise ? 'G2' : 'G3',
+            x: end.x,
+            y: end.y,
+            ...(hasZ ? { z: end.z } : {}),
+            i: arc.center.x - from.x,
+            j: arc.center.y - from.y,
+            ...(f !== undefined ? { f: f } : {}),
+            comment: comment || 'Fitted arc',
+            ...tags
+        };
+    }
+
+    /**
+     * Unit XY direction from one point to another
+     */
+    unit(from, to) {
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+    }
+}
+
+module.exports = ArcFitter;
@@ -0,0 +1,243 @@
+/**
+ * Arm Component Designer
+ *
+ * Parametric designs for the machined parts that complete the arm below the
+ * socket: the titanium forearm frame and the PEEK electronics/battery housing.
+ *
+ * Both are 2.5D parts machined from plate in the XY plane, X along the
+ * forearm and Z = 0 at the top of the stock, negative into the part.
+ */
+
+class ArmComponentDesigner {
+    constructor() {
+        this.PHI = (1 + Math.sqrt(5)) / 2;
+        this.PHI_INV = 1 / this.PHI;
+
+        // Forearm frame: a tapered plate from the socket's distal end to the wrist
+        this.FRAME = {
+            thickness: 6,               // mm Ti-6Al-4V plate
+            cornerRadius: 3,            // mm on the outline
+            taper: Math.sqrt(1 / this.PHI),   // wrist width / socket-end width
+            endZone: 16,                // mm kept solid at each end for the mounting bores
+            rim: 4,                     // mm of solid frame around each lightening pocket
+            web: 3,                     // mm between neighbouring pockets
+            pocketFloor: 1.5,           // mm left under the lightening pockets
+            minimumPocket: 8,           // mm: smaller pockets are not worth cutting
+            bore: { diameter: 4.5, margin: 6 },     // M4 clearance, mm in from the edge
+            minimumLength: 60           // mm
+        };
+
+        // Electronics/battery housing: an open box closed by a separate lid
+        this.HOUSING = {
+            battery: { length: 70, width: 38, height: 18 },  // 2S 18650 pack
+            electronicsHeight: 6,       // mm for the controller board above the battery
+            clearance: 1.0,             // mm around the battery and board
+            wall: 4,                    // mm
+            floor: 2.5,                 // mm
+            cornerRadius: 5,            // mm inside the cavity
+            chargePort: { width: 9.5, height: 3.8 },        // USB-C receptacle opening
+            gloveAttachments: { count: 4, diameter: 2.0, depth: 6 }   // self-tapping screw pilots
+        };
+    }
+
+    /**
+     * Design the forearm frame that bridges the socket and the wrist unit
+     *
+     * The frame spans forearmLength − socket length (or `options.length`),
+     * starts as wide as the socket's distal end and tapers by φ^-½ to the
+     * wrist. Lightening pockets shrink by φ⁻¹ from the socket end; a pair of
+     * through bores at each end mounts the socket adapter and the wrist unit.
+     */
+    designFrame(socket, options = {}) {
+        const settings = { ...this.FRAME, ...options, bore: { ...this.FRAME.bore, ...options.bore } };
+        const problems = [];
+        const forearmLength = socket.measurements && socket.measurements.forearmLength;
+
+        const length = settings.length !== undefined
+            ? settings.length
+            : forearmLength !== undefined ? forearmLength - socket.length : NaN;
+        if (!Number.isFinite(length)) {
+            problems.push('length is required when the socket has no forearmLength measurement');
+        } else if (length < settings.minimumLength || length < 2 * settings.endZone + settings.minimumPocket) {
+            problems.push(`length ${length.toFixed(1)}mm is shorter than the ` +
+                          `${Math.max(settings.minimumLength, 2 * settings.endZone + settings.minimumPocket)}mm minimum`);
+        }
+        if (!(settings.thickness > settings.pocketFloor)) {
+            problems.push(`thickness must be greater than the ${settings.pocketFloor}mm pocket floor`);
+        }
+        if (problems.length > 0) throw new Error(`Invalid frame design: ${problems.join('; ')}`);
+
+        const proximalWidth = socket.distalDiameter + 2 * socket.wallThickness.distal;
+        const distalWidth = proximalWidth * settings.taper;
+        const widthAt = x => proximalWidth + (distalWidth - proximalWidth) * x / length;
+
+        // Golden-ratio pockets: each as wide as the frame allows, then φ⁻¹ of the one before
+        const pockets = [];
+        let x = settings.endZone;
+        let limit = Infinity;
+        while (true) {
+            // Largest diameter that fits the taper at its own centre
+            let diameter = Math.min(limit, widthAt(x) - 2 * settings.rim);
+            for (let k = 0; k < 5; k++) diameter = Math.min(limit, widthAt(x + diameter / 2) - 2 * settings.rim);
+            if (diameter < settings.minimumPocket || x + diameter > length - settings.endZone + 1e-9) break;
+
+            pockets.push({
+                id: `POCKET_${pockets.length + 1}`,
+                x: x + diameter / 2,
+                y: 0,
+                diameter: diameter,
+                depth: settings.thickness - settings.pocketFloor
+            });
+            x += diameter + settings.web;
+            limit = diameter * this.PHI_INV;
+        }
+
+        const bores = [];
+        [settings.endZone / 2, length - settings.endZone / 2].forEach(boreX => {
+            const offset = widthAt(boreX) / 2 - settings.bore.margin;
+            [-offset, offset].forEach(y => bores.push({
+                id: `BORE_${bores.length + 1}`,
+                x: boreX,
+                y: y,
+                diameter: settings.bore.diameter,
+                depth: settings.thickness
+            }));
+        });
+
+        return {
+            component: 'frame',
+            material: 'frame',
+            length: length,
+            proximalWidth: proximalWidth,
+            distalWidth: distalWidth,
+            thickness: settings.thickness,
+            cornerRadius: settings.cornerRadius,
+            // Counter-clockwise from the socket end, Y centred on the forearm axis
+            outline: [
+                { x: 0, y: -proximalWidth / 2 },
+                { x: length, y: -distalWidth / 2 },
+                { x: length, y: distalWidth / 2 },
+                { x: 0, y: proximalWidth / 2 }
+            ],
+            pockets: pockets,
+            bores: bores,
+            mass: this.frameMass(length, proximalWidth, distalWidth, settings.thickness, pockets, bores)
+        };
+    }
+
+    /**
+     * Design the electronics/battery housing that mounts on the frame
+     *
+     * The cavity holds the battery with the controller board above it. The
+     * charge port is a notch in the distal end wall, cut from the rim down to
+     * the board so the lid closes its top; glove attachment points are screw
+     * pilots in the rim for the cosmetic glove's retaining ring.
+     */
+    designHousing(frame, options = {}) {
+        const settings = {
+            ...this.HOUSING,
+            ...options,
+            battery: { ...this.HOUSING.battery, ...options.battery },
+            chargePort: { ...this.HOUSING.chargePort, ...options.chargePort },
+            gloveAttachments: { ...this.HOUSING.gloveAttachments, ...options.gloveAttachments }
+        };
+        const { battery, chargePort, gloveAttachments } = settings;
+
+        const cavity = {
+            length: battery.length + 2 * settings.clearance,
+            width: battery.width + 2 * settings.clearance,
+            depth: battery.height + settings.electronicsHeight + settings.clearance,
+            cornerRadius: settings.cornerRadius
+        };
+        const length = cavity.length + 2 * settings.wall;
+        const width = cavity.width + 2 * settings.wall;
+        const height = cavity.depth + settings.floor;
+
+        const problems = [];
+        ['length', 'width', 'height'].forEach(key => {
+            if (!(battery[key] > 0)) problems.push(`battery.${key} must be greater than zero`);
+        });
+        if (frame && length > frame.length + 1e-9) {
+            problems.push(`housing is ${length.toFixed(1)}mm long but the frame is ${frame.length.toFixed(1)}mm`);
+        }
+        if (!(cavity.cornerRadius > 0 && cavity.cornerRadius < Math.min(cavity.length, cavity.width) / 2)) {
+            problems.push('cornerRadius must be between 0 and half the cavity width');
+        }
+        if (!(chargePort.width > 0 && chargePort.width < cavity.width - 2 * cavity.cornerRadius)) {
+            problems.push(`chargePort.width must fit the straight part of the ${cavity.width.toFixed(1)}mm end wall`);
+        }
+        if (!(gloveAttachments.diameter > 0 && gloveAttachments.diameter <= settings.wall - 1)) {
+            problems.push(`gloveAttachments.diameter must leave 0.5mm of the ${settings.wall}mm wall each side`);
+        }
+        if (!(gloveAttachments.depth > 0 && gloveAttachments.depth < height)) {
+            problems.push('gloveAttachments.depth must be within the housing height');
+        }
+        if (!Number.isInteger(gloveAttachments.count) || gloveAttachments.count < 0 || gloveAttachments.count % 2 !== 0) {
+            problems.push('gloveAttachments.count must be an even whole number (pairs across the housing)');
+        }
+        if (problems.length > 0) throw new Error(`Invalid housing design: ${problems.join('; ')}`);
+
+        // Glove screws in pairs along both long walls, spread over the φ⁻¹ middle of the housing
+        const pairs = gloveAttachments.count / 2;
+        const span = cavity.length * this.PHI_INV;
+        const attachments = [];
+        for (let k = 0; k < pairs; k++) {
+            const x = pairs === 1 ? 0 : -span / 2 + span * k / (pairs - 1);
+            [-1, 1].forEach(side => attachments.push({
+                id: `GLOVE_${attachments.length + 1}`,
+                x: x,
+                y: side * (width / 2 - settings.wall / 2),
+                diameter: gloveAttachments.diameter,
+                depth: gloveAttachments.depth
+            }));
+        }
+
+        // The port sits on the board, just above the battery
+        const portBottom = battery.height + settings.clearance;
+
+        return {
+            component: 'housing',
+            material: 'housing',
+            length: length,
+            width: width,
+            height: height,
+            wall: settings.wall,
+            floor: settings.floor,
+            cornerRadius: cavity.cornerRadius + settings.wall,
+            // Centred on the origin; the distal end wall is at +X
+            cavity: cavity,
+            battery: { ...battery },
+            chargePort: {
+                id: 'CHARGE_PORT',
+                width: chargePort.width,
+                height: chargePort.height,
+                depth: cavity.depth - portBottom,   // notch depth below the rim
+                x: cavity.length / 2 + settings.wall / 2
+            },
+            gloveAttachments: attachments,
+            volume: this.housingVolume(length, width, height, cavity, settings.wall)
+        };
+    }
+
+    /**
+     * Frame mass in grams (Ti-6Al-4V, 4.43 g/cm³)
+     */
+    frameMass(length, proximalWidth, distalWidth, thickness, pockets, bores) {
+        const plate = length * (proximalWidth + distalWidth) / 2 * thickness;
+        const removed = [...pockets, ...bores].reduce((sum, hole) =>
+            sum + Math.PI * hole.diameter * hole.diameter / 4 * hole.depth, 0);
+        return (plate - removed) / 1000 * 4.43;
+    }
+
+    /**
+     * Housing material volume in cm³ (rounded-rectangle shell and floor)
+     */
+    housingVolume(length, width, height, cavity, wall) {
+        const roundedArea = (l, w, r) => l * w - (4 - Math.PI) * r * r;
+        const outer = roundedArea(length, width, cavity.cornerRadius + wall) * height;
+        const inner = roundedArea(cavity.length, cavity.width, cavity.cornerRadius) * cavity.depth;
+        return (outer - inner) / 1000;
+    }
+}
+
+module.exports = ArmComponentDesigner;
@@ -0,0 +1,206 @@
+/**
+ * Clinical Input Validator
+ *
+ * Patient-measurement schema with physiological ranges, units and required
+ * fields, plus sanity checks on designed sockets. Every problem in a record
+ * is collected and thrown together as one ClinicalValidationError, so a bad
+ * record is fixed in one pass and never reaches the machine.
+ */
+
+/**
+ * Error listing every problem found in a record
+ *
+ * Each problem is `{ field, code, message, value }` where code is one of
+ * 'required', 'type', 'unit', 'range', 'consistency' or 'unknown'.
+ */
+class ClinicalValidationError extends Error {
+    constructor(problems, context = 'record') {
+        super(`Invalid ${context}: ${problems.map(problem => problem.message).join('; ')}`);
+        this.name = 'ClinicalValidationError';
+        this.context = context;
+        this.problems = problems;
+    }
+}
+
+class ClinicalValidator {
+    constructor() {
+        // Transradial measurements, in mm, for paediatric to large adult limbs
+        this.MEASUREMENTS = {
+            forearmLength: { label: 'Forearm length', unit: 'mm', min: 120, max: 400 },
+            circumference: { label: 'Residual limb circumference', unit: 'mm', min: 100, max: 400 },
+            residualLength: { label: 'Residual limb length', unit: 'mm', min: 20, max: 350 }
+        };
+
+        // Accepted units and their size in mm
+        this.UNITS = { mm: 1, cm: 10, in: 25.4 };
+    }
+
+    /**
+     * Check patient measurements and convert them to mm
+     *
+     * Values are numbers in mm or `{ value, unit }` with unit mm, cm or in.
+     * Fields in `required` must be present; others are checked when given.
+     * Returns `{ measurements, problems }` with the normalized values.
+     */
+    checkMeasurements(measurements, required = Object.keys(this.MEASUREMENTS)) {
+        const problems = [];
+        const normalized = {};
+
+        if (!measurements || typeof measurements !== 'object') {
+            problems.push(this.problem('measurements', 'required', 'Measurements are required', measurements));
+            return { measurements: normalized, problems: problems };
+        }
+
+        Object.entries(this.MEASUREMENTS).forEach(([field, spec]) => {
+            const raw = measurements[field];
+            if (raw === undefined || raw === null) {
+                if (required.includes(field)) {
+                    problems.push(this.problem(field, 'required', `${field} is required (${spec.label}, ${spec.unit})`, raw));
+                }
+                return;
+            }
+
+            const value = typeof raw === 'object' ? raw.value : raw;
+            const unit = typeof raw === 'object' ? (raw.unit || spec.unit) : spec.unit;
+
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                problems.push(this.problem(field, 'type', `${field} must be a finite number`, raw));
+                return;
+            }
+            if (!this.UNITS[unit]) {
+                problems.push(this.problem(field, 'unit',
+                    `${field} unit "${unit}" is not one of ${Object.keys(this.UNITS).join(', ')}`, raw));
+                return;
+            }
+
+            const millimetres = value * this.UNITS[unit];
+            if (millimetres < spec.min || millimetres > spec.max) {
+                problems.push(this.problem(field, 'range',
+                    `${field} must be between ${spec.min} and ${spec.max} ${spec.unit} ` +
+                    `(got ${+millimetres.toFixed(2)} ${spec.unit})`, raw));
+                return;
+            }
+            normalized[field] = millimetres;
+        });
+
+        if (normalized.residualLength !== undefined && normalized.forearmLength !== undefined &&
+            normalized.residualLength > normalized.forearmLength) {
+            problems.push(this.problem('residualLength', 'consistency',
+                `residualLength (${normalized.residualLength} mm) cannot exceed ` +
+                `forearmLength (${normalized.forearmLength} mm)`, measurements.residualLength));
+        }
+
+        return { measurements: normalized, problems: problems };
+    }
+
+    /**
+     * Check a patient record: an ID plus a complete set of measurements
+     */
+    checkPatient(patientData) {
+        if (!patientData || typeof patientData !== 'object') {
+            return [this.problem('patient', 'required', 'Patient record is required', patientData)];
+        }
+
+        const problems = [];
+        if (typeof patientData.id !== 'string' || patientData.id.trim() === '') {
+            problems.push(this.problem('id', 'required', 'Patient id must be a non-empty string', patientData.id));
+        }
+        problems.push(...this.checkMeasurements(patientData.measurements).problems
+            .map(problem => problem.field === 'measurements'
+                ? problem
+                : { ...problem, field: `measurements.${problem.field}` }));
+        return problems;
+    }
+
+    /**
+     * Check that a socket design has usable geometry before it is machined
+     *
+     * Measurements stored on the socket by designSocket are re-checked;
+     * `materials` (optional) is the list of valid material keys for `material`.
+     */
+    checkSocket(socket, material = undefined, materials = null) {
+        if (!socket || typeof socket !== 'object') {
+            return [this.problem('socket', 'required', 'Socket design is required', socket)];
+        }
+
+        const problems = [];
+        const positive = (field, value) => {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                problems.push(this.problem(field, 'range', `${field} must be a positive number`, value));
+            }
+        };
+
+        positive('proximalDiameter', socket.proximalDiameter);
+        positive('distalDiameter', socket.distalDiameter);
+        positive('length', socket.length);
+
+        if (!socket.wallThickness || typeof socket.wallThickness !== 'object') {
+            problems.push(this.problem('wallThickness', 'required', 'wallThickness is required', socket.wallThickness));
+        } else {
+            ['proximal', 'middle', 'distal'].forEach(zone => {
+                positive(`wallThickness.${zone}`, socket.wallThickness[zone]);
+            });
+        }
+
+        if (!Array.isArray(socket.sensorPositions)) {
+            problems.push(this.problem('sensorPositions', 'type', 'sensorPositions must be an array', socket.sensorPositions));
+        } else {
+            socket.sensorPositions.forEach((sensor, index) => {
+                ['x', 'y', 'z', 'angle'].forEach(key => {
+                    if (typeof sensor[key] !== 'number' || !Number.isFinite(sensor[key])) {
+                        problems.push(this.problem(`sensorPositions[${index}].${key}`, 'type',
+                            `${sensor.id || `Sensor ${index + 1}`} ${key} must be a finite number`, sensor[key]));
+                    }
+                });
+            });
+        }
+
+        if (!Array.isArray(socket.comfortChannels)) {
+            problems.push(this.problem('comfortChannels', 'type', 'comfortChannels must be an array', socket.comfortChannels));
+        }
+
+        if (socket.modifications !== undefined) {
+            if (!Array.isArray(socket.modifications)) {
+                problems.push(this.problem('modifications', 'type', 'modifications must be an array', socket.modifications));
+            } else {
+                socket.modifications.forEach((modification, index) => {
+                    ['angle', 'z', 'radius', 'depth'].forEach(key => {
+                        if (typeof modification[key] !== 'number' || !Number.isFinite(modification[key])) {
+                            problems.push(this.problem(`modifications[${index}].${key}`, 'type',
+                                `${modification.id || `Modification ${index + 1}`} ${key} must be a finite number`, modification[key]));
+                        }
+                    });
+                });
+            }
+        }
+
+        if (socket.measurements) {
+            problems.push(...this.checkMeasurements(socket.measurements, []).problems
+                .map(problem => ({ ...problem, field: `measurements.${problem.field}` })));
+        }
+
+        if (materials && !materials.includes(material)) {
+            problems.push(this.problem('material', 'unknown',
+                `Material "${material}" is not one of ${materials.join(', ')}`, material));
+        }
+
+        return problems;
+    }
+
+    /**
+     * Throw a ClinicalValidationError when any problems were found
+     */
+    assertValid(problems, context) {
+        if (problems.length > 0) throw new ClinicalValidationError(problems, context);
+    }
+
+    /**
+     * Structured problem record
+     */
+    problem(field, code, message, value) {
+        return { field, code, message, value };
+    }
+}
+
+module.exports = ClinicalValidator;
+module.exports.ClinicalValidationError = ClinicalValidationError;
@@ -0,0 +1,238 @@
+/**
+ * Kinematic Cycle-Time Estimator
+ *
+ * Tracks machine position through a toolpath, measures every linear, arc and
+ * helical move, and plans velocities the way a GRBL-style controller does:
+ * trapezoidal acceleration within each block and junction-deviation cornering
+ * between blocks.
+ */
+
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+
+class CycleTimeEstimator {
+    constructor(machine = {}) {
+        this.interpreter = new ToolpathInterpreter();
+
+        // Machine kinematics (GRBL defaults where it has one)
+        this.MACHINE = {
+            rapidRate: 3000,            // mm/min for G0
+            maxFeedRate: 5000,          // mm/min ceiling for programmed feeds
+            acceleration: 500,          // mm/s²
+            junctionDeviation: 0.01,    // mm
+            toolChangeTime: 30,         // seconds per M6
+            ...machine
+        };
+    }
+
+    /**
+     * Estimate cycle time for a toolpath
+     *
+     * Returns times in minutes and distances in mm, overall and per operation.
+     * Moves are grouped by their `operation` tag; untagged moves count as 'other'.
+     */
+    estimate(toolpath) {
+        const blocks = this.buildBlocks(toolpath);
+        this.planVelocities(blocks);
+
+        const result = {
+            totalTime: 0,
+            cuttingTime: 0,
+            rapidTime: 0,
+            dwellTime: 0,
+            toolChangeTime: 0,
+            toolChanges: 0,
+            cuttingDistance: 0,
+            rapidDistance: 0,
+            operations: {}
+        };
+
+        blocks.forEach(block => {
+            const minutes = block.dwell !== undefined
+                ? block.dwell / 60
+                : this.blockTime(block) / 60;
+            const name = block.operation || 'other';
+
+            if (!result.operations[name]) {
+                result.operations[name] = {
+                    time: 0,
+                    cuttingTime: 0,
+                    rapidTime: 0,
+                    dwellTime: 0,
+                    toolChangeTime: 0,
+                    cuttingDistance: 0,
+                    rapidDistance: 0,
+                    moves: 0
+                };
+            }
+            const operation = result.operations[name];
+            const kind = block.toolChange ? 'toolChange'
+                : block.dwell !== undefined ? 'dwell'
+                : block.rapid ? 'rapid' : 'cutting';
+
+            result[`${kind}Time`] += minutes;
+            operation[`${kind}Time`] += minutes;
+            if (kind === 'toolChange') result.toolChanges++;
+            if (block.dwell === undefined) {
+                result[`${kind}Distance`] += block.length;
+                operation[`${kind}Distance`] += block.length;
+            }
+            operation.time += minutes;
+            operation.moves++;
+        });
+
+        result.totalTime = result.cuttingTime + result.rapidTime + result.dwellTime + result.toolChangeTime;
+        return result;
+    }
+
+    /**
+     * Convert toolpath steps into motion blocks with length, speed and end tangents
+     */
+    buildBlocks(toolpath) {
+        const blocks = [];
+
+        // Spindle, coolant, dwell and tool commands wait for motion to stop
+        const stopPrevious = () => {
+            if (blocks.length > 0) blocks[blocks.length - 1].stop = true;
+        };
+
+        this.interpreter.walk(toolpath).forEach(step => {
+            if (step.codes.includes('G4')) {
+                stopPrevious();
+                blocks.push({ dwell: step.words.P || 0, operation: step.operation, stop: true });
+                return;
+            }
+
+            if (step.codes.includes('M6')) {
+                stopPrevious();
+                blocks.push({ dwell: this.MACHINE.toolChangeTime, toolChange: true, operation: step.operation, stop: true });
+                return;
+            }
+
+            if (!step.motion) {
+                if (step.codes.length > 0) stopPrevious();
+                return;
+            }
+
+            const rapid = step.motion === 'G0';
+            if (!rapid && !step.feed) {
+                throw new Error(`Move ${step.index} (${step.motion}) has no programmed feed rate`);
+            }
+
+            let speed = (rapid ? this.MACHINE.rapidRate : Math.min(step.feed, this.MACHINE.maxFeedRate)) / 60;
+            const block = {
+                rapid: rapid,
+                operation: step.operation,
+                nominal: speed,
+                stop: false
+            };
+
+            if (step.motion === 'G2' || step.motion === 'G3') {
+                const arc = this.interpreter.arcGeometry(step);
+                if (!rapid && step.inverseTime) speed = this.inverseTimeSpeed(step, arc.length);
+                block.length = arc.length;
+                block.entryTangent = this.interpreter.arcTangent(step, arc, 0);
+                block.exitTangent = this.interpreter.arcTangent(step, arc, arc.sweep);
+                // Centripetal acceleration limits speed on tight arcs
+                block.nominal = Math.min(speed, Math.sqrt(this.MACHINE.acceleration * arc.radius));
+            } else {
+                block.length = this.interpreter.linearLength(step);
+                if (block.length < 1e-9) return;
+                const { from, to } = step;
+                const tangent = {
+                    x: (to.x - from.x) / block.length,
+                    y: (to.y - from.y) / block.length,
+                    z: (to.z - from.z) / block.length,
+                    a: (to.a - from.a) / block.length
+                };
+                block.entryTangent = tangent;
+                block.exitTangent = tangent;
+                if (!rapid && step.inverseTime) block.nominal = this.inverseTimeSpeed(step, block.length);
+            }
+
+            blocks.push(block);
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Speed (mm/s) that completes a G93 move in 1/F minutes, capped by the machine
+     */
+    inverseTimeSpeed(step, length) {
+        return Math.min(length * step.feed, this.MACHINE.maxFeedRate) / 60;
+    }
+
+    /**
+     * Maximum speed through the corner between two blocks (mm/s)
+     */
+    junctionSpeed(previous, next) {
+        const a = previous.exitTangent;
+        const b = next.entryTangent;
+        const cosTheta = -(a.x * b.x + a.y * b.y + a.z * b.z + (a.a || 0) * (b.a || 0));
+
+        if (cosTheta > 0.999999) return 0;                  // full reversal
+        if (cosTheta < -0.999999) return Infinity;          // straight through
+
+        const sinHalfTheta = Math.sqrt(0.5 * (1 - cosTheta));
+        return Math.sqrt(this.MACHINE.acceleration * this.MACHINE.junctionDeviation *
+                         sinHalfTheta / (1 - sinHalfTheta));
+    }
+
+    /**
+     * Forward/backward pass assigning entry and exit speeds to every block
+     */
+    planVelocities(blocks) {
+        const accel = this.MACHINE.acceleration;
+        const motion = blocks.filter(block => block.dwell === undefined);
+
+        // Corner limits between neighbouring blocks
+        motion.forEach((block, index) => {
+            const previous = motion[index - 1];
+            if (!previous || previous.stop || previous.rapid !== block.rapid) {
+                block.maxEntry = 0;
+            } else {
+                block.maxEntry = Math.min(this.junctionSpeed(previous, block), previous.nominal, block.nominal);
+            }
+        });
+
+        // Backward pass: every block must be able to slow down for the next one
+        let nextEntry = 0;
+        for (let i = motion.length - 1; i >= 0; i--) {
+            const block = motion[i];
+            block.exit = block.stop ? 0 : nextEntry;
+            block.entry = Math.min(block.maxEntry, Math.sqrt(block.exit * block.exit + 2 * accel * block.length));
+            nextEntry = block.entry;
+        }
+
+        // Forward pass: no block can start faster than the previous one could reach
+        let previousExit = 0;
+        motion.forEach(block => {
+            block.entry = Math.min(block.entry, previousExit);
+            block.exit = Math.min(block.exit, Math.sqrt(block.entry * block.entry + 2 * accel * block.length));
+            previousExit = block.stop ? 0 : block.exit;
+        });
+    }
+
+    /**
+     * Time (seconds) to traverse a block with a trapezoidal speed profile
+     */
+    blockTime(block) {
+        const accel = this.MACHINE.acceleration;
+        const { length, nominal, entry, exit } = block;
+
+        const accelDistance = (nominal * nominal - entry * entry) / (2 * accel);
+        const decelDistance = (nominal * nominal - exit * exit) / (2 * accel);
+
+        if (accelDistance + decelDistance <= length) {
+            return (nominal - entry) / accel +
+                   (nominal - exit) / accel +
+                   (length - accelDistance - decelDistance) / nominal;
+        }
+
+        // Triangular profile: the block is too short to reach nominal speed
+        const peak = Math.sqrt((2 * accel * length + entry * entry + exit * exit) / 2);
+        return Math.max((peak - entry) / accel + (peak - exit) / accel, 0);
+    }
+}
+
+module.exports = CycleTimeEstimator;
@@ -0,0 +1,196 @@
+/**
+ * Socket Design-Rule Checker
+ *
+ * Checks a designed socket for features that cannot be machined or would
+ * ruin the part: pockets or channels cut through the wall, channels crossing
+ * sensor pockets, sensors crowding each other, features off the end of the
+ * socket and channels narrower than the cutter that has to make them.
+ *
+ * Features are compared on the unrolled inner wall (arc length around the
+ * wall and depth below the brim), the same frame SocketMeshExporter uses.
+ */
+
+const SocketMeshExporter = require('./Socket-mesh-exporter.js');
+
+class DesignRuleChecker {
+    constructor(rules = {}) {
+        this.mesh = new SocketMeshExporter();
+
+        this.RULES = {
+            minimumSkin: 0.3,           // mm of wall left behind a pocket or channel
+            minimumSensorGap: 3.0,      // mm between neighbouring pocket edges
+            channelClearance: 1.0,      // mm between a channel edge and a pocket edge
+            ...rules
+        };
+    }
+
+    /**
+     * Run every rule against a socket
+     *
+     * `radiusAt(depth, angle)` gives the inner radius, `pocketSize(sensor)`
+     * the pocket diameter and depth, and `channelTool` (optional) the cutter
+     * assigned to comfort channels. Returns `{ valid, errors, warnings }`;
+     * each issue names its rule, the feature IDs involved and a message.
+     */
+    check(socket, radiusAt, pocketSize, channelTool = null) {
+        const features = this.mesh.collectFeatures(socket, pocketSize);
+        const issues = [
+            ...this.checkBreakthrough(socket, features),
+            ...this.checkSocketLength(socket, features),
+            ...this.checkSensorSpacing(features, radiusAt),
+            ...this.checkPocketChannelOverlap(features, radiusAt),
+            ...(channelTool ? this.checkChannelWidth(features, channelTool) : [])
+        ];
+
+        const errors = issues.filter(issue => issue.severity === 'error');
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            warnings: issues.filter(issue => issue.severity === 'warning')
+        };
+    }
+
+    /**
+     * Pockets and channels deeper than the wall (error) or leaving too thin a skin (warning)
+     */
+    checkBreakthrough(socket, features) {
+        const issues = [];
+        const check = (id, depth, zFrom, zTo) => {
+            // The wall thins distally, so the deepest edge of the feature governs
+            const wall = Math.min(this.mesh.wallThicknessAt(socket, zFrom), this.mesh.wallThicknessAt(socket, zTo));
+            const skin = wall - depth;
+            const details = { depth: depth, wall: wall, skin: skin };
+
+            if (skin <= 0) {
+                issues.push(this.issue('breakthrough', 'error', [id],
+                    `${id} is ${depth.toFixed(2)}mm deep in a ${wall.toFixed(2)}mm wall and cuts through it`, details));
+            } else if (skin < this.RULES.minimumSkin) {
+                issues.push(this.issue('breakthrough', 'warning', [id],
+                    `${id} leaves ${skin.toFixed(2)}mm of a ${wall.toFixed(2)}mm wall ` +
+                    `(minimum ${this.RULES.minimumSkin}mm)`, details));
+            }
+        };
+
+        features.pockets.forEach(pocket => {
+            check(pocket.id, pocket.depth, pocket.z - pocket.radius, pocket.z + pocket.radius);
+        });
+        features.grooves.forEach(groove => {
+            check(groove.id, groove.depth, groove.start.z, groove.end.z);
+        });
+
+        return issues;
+    }
+
+    /**
+     * Features that start above the brim or run past the distal end
+     */
+    checkSocketLength(socket, features) {
+        const issues = [];
+        const check = (id, zFrom, zTo) => {
+            const top = Math.min(zFrom, zTo);
+            const bottom = Math.max(zFrom, zTo);
+            if (top < -1e-9 || bottom > socket.length + 1e-9) {
+                issues.push(this.issue('outsideSocket', 'error', [id],
+                    `${id} spans ${top.toFixed(1)}–${bottom.toFixed(1)}mm but the socket is ` +
+                    `${socket.length.toFixed(1)}mm long`, { from: top, to: bottom, length: socket.length }));
+            }
+        };
+
+        features.pockets.forEach(pocket => check(pocket.id, pocket.z - pocket.radius, pocket.z + pocket.radius));
+        features.grooves.forEach(groove => check(groove.id, groove.start.z, groove.end.z));
+
+        return issues;
+    }
+
+    /**
+     * Sensor pockets that overlap (error) or sit closer than the minimum gap (warning)
+     */
+    checkSensorSpacing(features, radiusAt) {
+        const issues = [];
+        const { pockets } = features;
+
+        for (let a = 0; a < pockets.length; a++) {
+            for (let b = a + 1; b < pockets.length; b++) {
+                const first = pockets[a];
+                const second = pockets[b];
+                const radius = radiusAt((first.z + second.z) / 2, first.angle);
+                const distance = Math.hypot(this.arcLength(first.angle, second.angle, radius), second.z - first.z);
+                const gap = distance - first.radius - second.radius;
+                const ids = [first.id, second.id];
+
+                if (gap < 0) {
+                    issues.push(this.issue('sensorSpacing', 'error', ids,
+                        `${first.id} and ${second.id} pockets overlap by ${(-gap).toFixed(2)}mm`,
+                        { distance: distance, gap: gap }));
+                } else if (gap < this.RULES.minimumSensorGap) {
+                    issues.push(this.issue('sensorSpacing', 'warning', ids,
+                        `${first.id} and ${second.id} pockets are ${gap.toFixed(2)}mm apart ` +
+                        `(minimum ${this.RULES.minimumSensorGap}mm)`, { distance: distance, gap: gap }));
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Comfort channels crossing (error) or brushing (warning) a sensor pocket
+     */
+    checkPocketChannelOverlap(features, radiusAt) {
+        const issues = [];
+
+        features.pockets.forEach(pocket => {
+            const radius = radiusAt(pocket.z, pocket.angle);
+            features.grooves.forEach(groove => {
+                // Point-to-segment distance with the pocket centre as the origin
+                const ax = this.arcLength(pocket.angle, groove.start.angle, radius);
+                const az = groove.start.z - pocket.z;
+                const ex = this.arcLength(groove.start.angle, groove.end.angle, radius);
+                const ez = groove.end.z - groove.start.z;
+                const lengthSq = ex * ex + ez * ez;
+                const t = lengthSq > 0 ? Math.min(Math.max(-(ax * ex + az * ez) / lengthSq, 0), 1) : 0;
+                const gap = Math.hypot(ax + ex * t, az + ez * t) - pocket.radius - groove.halfWidth;
+                const ids = [pocket.id, groove.id];
+
+                if (gap < 0) {
+                    issues.push(this.issue('pocketChannelOverlap', 'error', ids,
+                        `${groove.id} crosses the ${pocket.id} pocket`, { gap: gap }));
+                } else if (gap < this.RULES.channelClearance) {
+                    issues.push(this.issue('pocketChannelOverlap', 'warning', ids,
+                        `${groove.id} passes ${gap.toFixed(2)}mm from the ${pocket.id} pocket ` +
+                        `(minimum ${this.RULES.channelClearance}mm)`, { gap: gap }));
+                }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Channels narrower than the cutter assigned to them
+     */
+    checkChannelWidth(features, tool) {
+        return features.grooves
+            .filter(groove => groove.halfWidth * 2 < tool.diameter - 1e-9)
+            .map(groove => this.issue('channelWidth', 'error', [groove.id],
+                `${groove.id} is ${(groove.halfWidth * 2).toFixed(2)}mm wide but ${tool.name} ` +
+                `cuts ${tool.diameter}mm`, { width: groove.halfWidth * 2, toolDiameter: tool.diameter }));
+    }
+
+    /**
+     * Shortest arc length between two angles (degrees) at a radius
+     */
+    arcLength(from, to, radius) {
+        const delta = ((to - from) % 360 + 540) % 360 - 180;
+        return delta * Math.PI / 180 * radius;
+    }
+
+    /**
+     * Structured issue record
+     */
+    issue(rule, severity, features, message, details = {}) {
+        return { rule, severity, features, message, details };
+    }
+}
+
+module.exports = DesignRuleChecker;
@@ -0,0 +1,247 @@
+/**
+ * EMG Electrode Site Layouts
+ *
+ * Places myoelectric electrodes on the socket wall from a layout template:
+ * golden-angle spiral, evenly spaced ring, bipolar pairs at a set
+ * inter-electrode distance, or explicit clinician-specified sites such as
+ * the reinnervated muscle targets identified after TMR surgery.
+ *
+ * Sensors are numbered EMG_1..EMG_n in placement order and carry the pocket
+ * their electrode product needs, which generateSensorPockets cuts as is.
+ */
+
+const { ClinicalValidationError } = require('./Clinical-validator.js');
+
+class EMGElectrodeLayout {
+    constructor() {
+        this.PHI_INV = 2 / (1 + Math.sqrt(5));  // 0.618...
+        this.GOLDEN_ANGLE = 137.5077640844;     // degrees
+
+        this.TEMPLATES = ['golden-angle', 'ring', 'bipolar-pairs', 'sites'];
+
+        // Electrode products and the pocket each one seats in (mm)
+        this.ELECTRODES = {
+            'imes-primary': { diameter: 12, depth: 3.0 },   // IMES reader coil, primary site
+            'imes-secondary': { diameter: 12, depth: 2.0 },
+            'surface-dome': { diameter: 10, depth: 1.5 },   // snap-in dome electrode
+            'surface-button': { diameter: 8, depth: 1.0 }   // low-profile button electrode
+        };
+
+        // Products picked by sensor type when no electrode is given. Rings and
+        // bipolar pairs are surface EMG set-ups and sit mid-limb, where the wall
+        // is too thin for the 3mm IMES pocket.
+        this.TYPE_ELECTRODES = {
+            implanted: { primary: 'imes-primary', secondary: 'imes-secondary' },
+            surface: { primary: 'surface-dome', secondary: 'surface-button' }
+        };
+        this.SURFACE_TEMPLATES = ['ring', 'bipolar-pairs'];
+
+        this.DEFAULTS = {
+            template: 'golden-angle',
+            count: 8,                       // sensors (pairs for bipolar-pairs)
+            primaryCount: 2,                // leading sensors (or pairs) marked primary
+            startAngle: 0,                  // degrees
+            interElectrodeDistance: 20,     // mm between the poles of a bipolar pair
+            orientation: 'longitudinal',    // bipolar poles along or around the limb
+            electrode: null                 // product for every site; null picks by template and type
+        };
+    }
+
+    /**
+     * Place sensors for a layout on a limb of the given circumference and length
+     *
+     * Returns sensors with id, angle, x, y, z (depth below the brim), type and
+     * pocket; throws a ClinicalValidationError listing every layout problem.
+     */
+    place(layout, circumference, length) {
+        const settings = { ...this.DEFAULTS, ...layout };
+        const problems = this.checkLayout(settings, length);
+        if (problems.length > 0) throw new ClinicalValidationError(problems, 'electrode layout');
+
+        const radius = circumference / (2 * Math.PI);
+        switch (settings.template) {
+            case 'ring': return this.ring(settings, radius, length);
+            case 'bipolar-pairs': return this.bipolarPairs(settings, radius, length);
+            case 'sites': return this.sites(settings, radius);
+            default: return this.goldenAngle(settings, radius, length);
+        }
+    }
+
+    /**
+     * Problems with a layout; depths are only range-checked when `length` is known
+     */
+    checkLayout(layout, length = undefined) {
+        const settings = { ...this.DEFAULTS, ...layout };
+        const problems = [];
+        const problem = (field, code, message, value) => problems.push({ field: `layout.${field}`, code, message, value });
+        const checkDepth = (field, depth) => {
+            if (typeof depth !== 'number' || !Number.isFinite(depth)) {
+                problem(field, 'type', `${field} must be a finite number`, depth);
+            } else if (depth <= 0 || (length !== undefined && depth > length)) {
+                problem(field, 'range', `${field} must be within the residual limb ` +
+                        `(0–${length !== undefined ? length.toFixed(1) : '?'} mm, got ${depth} mm)`, depth);
+            }
+        };
+        const checkElectrode = (field, electrode, pocket) => {
+            if (electrode && !this.ELECTRODES[electrode]) {
+                problem(field, 'unknown', `Electrode "${electrode}" is not one of ` +
+                        `${Object.keys(this.ELECTRODES).join(', ')}`, electrode);
+            }
+            if (pocket && !(pocket.diameter > 0 && pocket.depth > 0)) {
+                problem(field, 'range', `${field} pocket needs a positive diameter and depth`, pocket);
+            }
+        };
+
+        if (!this.TEMPLATES.includes(settings.template)) {
+            problem('template', 'unknown', `Template "${settings.template}" is not one of ` +
+                    `${this.TEMPLATES.join(', ')}`, settings.template);
+            return problems;
+        }
+        checkElectrode('electrode', settings.electrode, settings.pocket);
+
+        if (settings.template === 'sites') {
+            if (!Array.isArray(settings.sites) || settings.sites.length === 0) {
+                problem('sites', 'required', 'The sites template needs at least one site', settings.sites);
+                return problems;
+            }
+            settings.sites.forEach((site, index) => {
+                if (typeof site.angle !== 'number' || !Number.isFinite(site.angle)) {
+                    problem(`sites[${index}].angle`, 'type', `sites[${index}].angle must be a finite number`, site.angle);
+                }
+                checkDepth(`sites[${index}].depth`, site.depth);
+                if (site.type && !['primary', 'secondary'].includes(site.type)) {
+                    problem(`sites[${index}].type`, 'unknown', `sites[${index}].type must be primary or secondary`, site.type);
+                }
+                checkElectrode(`sites[${index}]`, site.electrode, site.pocket);
+            });
+            return problems;
+        }
+
+        if (!Number.isInteger(settings.count) || settings.count < 1 || settings.count > 16) {
+            problem('count', 'range', `count must be a whole number from 1 to 16`, settings.count);
+        }
+        if (settings.depth !== undefined) checkDepth('depth', settings.depth);
+
+        if (settings.template === 'bipolar-pairs') {
+            if (!(settings.interElectrodeDistance > 0)) {
+                problem('interElectrodeDistance', 'range', 'interElectrodeDistance must be positive',
+                        settings.interElectrodeDistance);
+            }
+            if (!['longitudinal', 'circumferential'].includes(settings.orientation)) {
+                problem('orientation', 'unknown', 'orientation must be longitudinal or circumferential',
+                        settings.orientation);
+            }
+
+            // Longitudinal poles sit half the inter-electrode distance either side of the pair depth
+            const depth = settings.depth !== undefined ? settings.depth
+                : (length !== undefined ? length * this.PHI_INV / 2 : undefined);
+            const half = settings.interElectrodeDistance / 2;
+            if (settings.orientation === 'longitudinal' && half > 0 && Number.isFinite(depth) &&
+                !problems.some(entry => entry.field === 'layout.depth') &&
+                (depth - half <= 0 || (length !== undefined && depth + half > length))) {
+                problem('interElectrodeDistance', 'range', `Bipolar poles at ${(depth - half).toFixed(1)} and ` +
+                        `${(depth + half).toFixed(1)} mm must be within the residual limb ` +
+                        `(0–${length !== undefined ? length.toFixed(1) : '?'} mm)`, settings.interElectrodeDistance);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Golden-angle spiral down the proximal φ⁻¹ of the limb (the original layout)
+     */
+    goldenAngle(settings, radius, length) {
+        const sensors = [];
+        for (let i = 0; i < settings.count; i++) {
+            const angle = (settings.startAngle + i * this.GOLDEN_ANGLE) % 360;
+            const depth = length * (i + 1) / (settings.count + 1) * this.PHI_INV;
+            sensors.push(this.sensor(sensors.length, angle, depth, radius, settings, {
+                type: i < settings.primaryCount ? 'primary' : 'secondary'
+            }));
+        }
+        return sensors;
+    }
+
+    /**
+     * Evenly spaced ring at one depth (default: middle of the golden-angle band)
+     */
+    ring(settings, radius, length) {
+        const depth = settings.depth !== undefined ? settings.depth : length * this.PHI_INV / 2;
+        const sensors = [];
+        for (let i = 0; i < settings.count; i++) {
+            const angle = (settings.startAngle + i * 360 / settings.count) % 360;
+            sensors.push(this.sensor(sensors.length, angle, depth, radius, settings, {
+                type: i < settings.primaryCount ? 'primary' : 'secondary'
+            }));
+        }
+        return sensors;
+    }
+
+    /**
+     * Bipolar pairs evenly spaced around the limb
+     *
+     * The two poles of a pair sit `interElectrodeDistance` apart on the wall,
+     * along the limb (longitudinal, parallel to the muscle fibres) or around it.
+     */
+    bipolarPairs(settings, radius, length) {
+        const depth = settings.depth !== undefined ? settings.depth : length * this.PHI_INV / 2;
+        const half = settings.interElectrodeDistance / 2;
+        const sensors = [];
+
+        for (let pair = 0; pair < settings.count; pair++) {
+            const angle = settings.startAngle + pair * 360 / settings.count;
+            const type = pair < settings.primaryCount ? 'primary' : 'secondary';
+
+            [-1, 1].forEach(side => {
+                const pole = settings.orientation === 'longitudinal'
+                    ? { angle: angle, depth: depth + side * half }
+                    : { angle: angle + side * half / radius * 180 / Math.PI, depth: depth };
+                sensors.push(this.sensor(sensors.length, (pole.angle % 360 + 360) % 360, pole.depth, radius, settings, {
+                    type: type,
+                    pair: pair + 1,
+                    pole: side < 0 ? '+' : '-'
+                }));
+            });
+        }
+        return sensors;
+    }
+
+    /**
+     * Clinician-specified sites by anatomical angle and depth
+     *
+     * Sites default to primary; `label` records the target (for example the
+     * reinnervated muscle) and `electrode` or `pocket` overrides the product.
+     */
+    sites(settings, radius) {
+        return settings.sites.map((site, index) => this.sensor(index, (site.angle % 360 + 360) % 360, site.depth, radius, {
+            ...settings,
+            electrode: site.electrode || settings.electrode,
+            pocket: site.pocket || settings.pocket
+        }, {
+            type: site.type || 'primary',
+            ...(site.label ? { label: site.label } : {})
+        }));
+    }
+
+    /**
+     * Sensor record with its pocket resolved from an explicit size, the product or its type
+     */
+    sensor(index, angle, depth, radius, settings, extra) {
+        const type = extra.type;
+        const family = this.SURFACE_TEMPLATES.includes(settings.template) ? 'surface' : 'implanted';
+        const electrode = settings.electrode || this.TYPE_ELECTRODES[family][type];
+        return {
+            id: `EMG_${index + 1}`,
+            angle: angle,
+            x: radius * Math.cos(angle * Math.PI / 180),
+            y: radius * Math.sin(angle * Math.PI / 180),
+            z: depth,
+            ...extra,
+            electrode: settings.pocket ? 'custom' : electrode,
+            pocket: { ...(settings.pocket || this.ELECTRODES[electrode]) }
+        };
+    }
+}
+
+module.exports = EMGElectrodeLayout;
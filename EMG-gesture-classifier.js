@@ -0,0 +1,196 @@
+/**
+ * EMG Gesture Classifier
+ *
+ * Linear discriminant analysis (LDA) from EMG feature vectors (see
+ * EMGSignalProcessor) to the grip commands the hand controller accepts.
+ * LDA is the usual choice for myoelectric control: it trains in one pass
+ * from a few seconds per grip and classifies a window with one dot product
+ * per grip.
+ *
+ * Features are standardised, then all grips share one covariance, shrunk
+ * toward its diagonal so a short session or correlated neighbouring
+ * electrodes still give a stable inverse. Grips have equal priors, so
+ * holding rest for longer while recording does not bias the hand toward
+ * rest. A model is a plain object that round-trips through JSON.
+ */
+
+class EMGGestureClassifier {
+    constructor(settings = {}) {
+        // Grip commands the hand controller accepts
+        this.GRIPS = ['rest', 'open', 'power', 'pinch', 'lateral', 'tripod', 'point'];
+
+        this.SETTINGS = {
+            shrinkage: 0.1,         // 0–1, weight of the diagonal in the shared covariance
+            minWindows: 5,          // training windows needed per grip
+            rejectBelow: 0.5,       // confidence under which the decision is rest
+            ...settings
+        };
+    }
+
+    /**
+     * Train a model from windows `{ label, vector }`
+     *
+     * Windows without a label are ignored; labels must be grip commands
+     * and at least two grips need `minWindows` windows each. `names` are
+     * the feature names, for reading the model.
+     */
+    train(windows, names = null) {
+        const labelled = windows.filter(window => window.label);
+        const problems = [];
+        const { shrinkage, minWindows } = this.SETTINGS;
+
+        if (!(shrinkage >= 0 && shrinkage <= 1)) problems.push('shrinkage must be between 0 and 1');
+        const size = labelled.length > 0 ? labelled[0].vector.length : 0;
+        if (labelled.some(window => window.vector.length !== size || window.vector.some(value => !Number.isFinite(value)))) {
+            problems.push(`every feature vector must have ${size} finite values`);
+        }
+        const unknown = [...new Set(labelled.map(window => window.label).filter(label => !this.GRIPS.includes(label)))];
+        if (unknown.length > 0) problems.push(`unknown grip(s) ${unknown.join(', ')}; expected ${this.GRIPS.join(', ')}`);
+
+        const grips = this.GRIPS.filter(grip => labelled.some(window => window.label === grip));
+        const groups = grips.map(grip => labelled.filter(window => window.label === grip).map(window => window.vector));
+        groups.forEach((group, k) => {
+            if (group.length < minWindows) problems.push(`${grips[k]} has ${group.length} window(s), at least ${minWindows} needed`);
+        });
+        if (grips.length < 2) problems.push('at least two grips are needed');
+        if (problems.length > 0) throw new Error(`Invalid gesture training: ${problems.join('; ')}`);
+
+        // Standardise each feature over all training windows
+        const all = groups.flat();
+        const center = this.mean(all);
+        const scale = center.map((mu, i) => {
+            const spread = Math.sqrt(all.reduce((sum, vector) => sum + (vector[i] - mu) ** 2, 0) / all.length);
+            return spread > 1e-12 ? spread : 1;
+        });
+        const standard = groups.map(group => group.map(vector => vector.map((value, i) => (value - center[i]) / scale[i])));
+
+        // Pooled within-grip covariance, shrunk toward its diagonal
+        const means = standard.map(group => this.mean(group));
+        const covariance = center.map(() => center.map(() => 0));
+        standard.forEach((group, k) => group.forEach(vector => {
+            const d = vector.map((value, i) => value - means[k][i]);
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) covariance[i][j] += d[i] * d[j];
+            }
+        }));
+        const degrees = Math.max(all.length - grips.length, 1);
+        const diagonal = covariance.reduce((sum, row, i) => sum + row[i], 0) / degrees / size;
+        const shrunk = covariance.map((row, i) => row.map((value, j) =>
+            (1 - shrinkage) * value / degrees + (i === j ? shrinkage * diagonal : 0)));
+
+        const inverse = this.invert(shrunk);
+        if (!inverse) {
+            throw new Error('Invalid gesture training: the features are collinear; raise shrinkage above zero');
+        }
+        const prior = Math.log(1 / grips.length);
+        const weights = means.map(mu => inverse.map(row => row.reduce((sum, value, j) => sum + value * mu[j], 0)));
+        const biases = means.map((mu, k) => -0.5 * mu.reduce((sum, value, i) => sum + value * weights[k][i], 0) + prior);
+
+        return {
+            type: 'lda',
+            grips: grips,
+            features: names || center.map((_, i) => `feature ${i + 1}`),
+            center: center,
+            scale: scale,
+            weights: weights,
+            biases: biases,
+            windows: Object.fromEntries(grips.map((grip, k) => [grip, groups[k].length]))
+        };
+    }
+
+    /**
+     * Classify one feature vector
+     *
+     * Returns the grip, its confidence (softmax of the discriminant
+     * scores, 0–1) and every grip's score. Under `rejectBelow` the grip is
+     * rest, so an uncertain window never moves the hand; `predicted` keeps
+     * the grip that scored highest.
+     */
+    predict(model, vector) {
+        if (vector.length !== model.center.length) {
+            throw new Error(`Invalid EMG features: expected ${model.center.length} values, got ${vector.length}`);
+        }
+        const standard = vector.map((value, i) => (value - model.center[i]) / model.scale[i]);
+        const scores = model.weights.map((weights, k) =>
+            weights.reduce((sum, weight, i) => sum + weight * standard[i], model.biases[k]));
+        const top = Math.max(...scores);
+        const total = scores.reduce((sum, score) => sum + Math.exp(score - top), 0);
+        const best = scores.indexOf(top);
+        const confidence = 1 / total;
+        const rejected = confidence < this.SETTINGS.rejectBelow;
+
+        return {
+            grip: rejected ? 'rest' : model.grips[best],
+            predicted: model.grips[best],
+            confidence: confidence,
+            rejected: rejected,
+            scores: Object.fromEntries(model.grips.map((grip, k) => [grip, scores[k]]))
+        };
+    }
+
+    /**
+     * Accuracy of a model on labelled windows
+     *
+     * Returns the fraction classified correctly, the recall per grip and
+     * a confusion table `confusion[actual][decided]`.
+     */
+    evaluate(model, windows) {
+        const labelled = windows.filter(window => window.label);
+        const confusion = {};
+        let correct = 0;
+        labelled.forEach(window => {
+            const decided = this.predict(model, window.vector).grip;
+            confusion[window.label] = confusion[window.label] || {};
+            confusion[window.label][decided] = (confusion[window.label][decided] || 0) + 1;
+            if (decided === window.label) correct++;
+        });
+        const recall = Object.fromEntries(Object.entries(confusion).map(([grip, row]) => {
+            const total = Object.values(row).reduce((sum, count) => sum + count, 0);
+            return [grip, (row[grip] || 0) / total];
+        }));
+        return {
+            windows: labelled.length,
+            accuracy: labelled.length > 0 ? correct / labelled.length : null,
+            recall: recall,
+            confusion: confusion
+        };
+    }
+
+    /**
+     * Element-wise mean of vectors
+     */
+    mean(vectors) {
+        const sum = vectors[0].map(() => 0);
+        vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+        return sum.map(value => value / vectors.length);
+    }
+
+    /**
+     * Inverse of a square matrix by Gauss-Jordan elimination, or null when singular
+     */
+    invert(matrix) {
+        const n = matrix.length;
+        const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+        const largest = Math.max(...matrix.map(row => Math.max(...row.map(Math.abs))));
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            if (!(Math.abs(rows[pivot][col]) > largest * 1e-12)) return null;
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            const divisor = rows[col][col];
+            for (let j = 0; j < 2 * n; j++) rows[col][j] /= divisor;
+            for (let row = 0; row < n; row++) {
+                if (row === col || rows[row][col] === 0) continue;
+                const factor = rows[row][col];
+                for (let j = 0; j < 2 * n; j++) rows[row][j] -= factor * rows[col][j];
+            }
+        }
+        return rows.map(row => row.slice(n));
+    }
+}
+
+module.exports = EMGGestureClassifier;
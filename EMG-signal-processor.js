@@ -0,0 +1,495 @@
+/**
+ * EMG Signal Processor
+ *
+ * Turns raw myoelectric recordings from the socket's electrodes (EMG_1..n)
+ * into feature vectors for gesture classification:
+ *
+ * - filtering: a 4th-order Butterworth band-pass (20–450 Hz by default)
+ *   removes motion artefact and high-frequency noise, and a notch removes
+ *   mains hum. The filters are causal, so recordings are filtered exactly
+ *   as the stream is and a classifier trained offline sees the same signal
+ * - features: each window gives the classic time-domain set per channel:
+ *   RMS, mean absolute value (MAV), waveform length (WL), zero crossings
+ *   (ZC) and slope sign changes (SSC), counted only for changes above a
+ *   noise deadband
+ * - calibration: rest and maximum-contraction recordings set each
+ *   channel's rest level, gain and deadband, so features are comparable
+ *   between patients and donnings
+ *
+ * Recordings come from CSV (a `time` column in seconds, one column per
+ * sensor ID and an optional `label`) or from a stream, which keeps one
+ * window per channel and never emits a decision older than `maxLatency`.
+ */
+
+const fs = require('fs');
+const { ClinicalValidationError } = require('./Clinical-validator.js');
+
+class EMGSignalProcessor {
+    constructor(settings = {}) {
+        this.FEATURES = ['rms', 'mav', 'wl', 'zc', 'ssc'];
+
+        this.SETTINGS = {
+            sampleRate: 1000,       // Hz
+            highPass: 20,           // Hz, motion artefact and drift below
+            lowPass: 450,           // Hz, must be under half the sample rate
+            notch: 50,              // Hz mains hum (60 in the Americas); null for none
+            notchQ: 30,             // notch sharpness
+            window: 200,            // ms of signal per feature window
+            increment: 50,          // ms between window starts
+            settle: 100,            // ms of filter start-up left out of recordings
+            maxLatency: 300,        // ms, oldest window a stream still emits
+            deadband: 0.01,         // ZC/SSC threshold before calibration, in recording units
+            deadbandFactor: 3,      // calibrated deadband, × the channel's rest RMS
+            minimumRatio: 2,        // contraction RMS must be this many times rest
+            ...settings
+        };
+        this.check(this.SETTINGS);
+    }
+
+    /**
+     * Throw unless the settings describe usable processing
+     */
+    check(settings) {
+        const problems = [];
+        ['sampleRate', 'window', 'increment', 'deadbandFactor'].forEach(key => {
+            if (!(settings[key] > 0)) problems.push(`${key} must be greater than zero`);
+        });
+        const nyquist = settings.sampleRate / 2;
+        if (!(settings.highPass > 0 && settings.highPass < settings.lowPass && settings.lowPass < nyquist)) {
+            problems.push(`band must satisfy 0 < highPass < lowPass < ${nyquist} Hz`);
+        }
+        if (settings.notch !== null && !(settings.notch > 0 && settings.notch < nyquist)) {
+            problems.push(`notch must be null or between 0 and ${nyquist} Hz`);
+        }
+        if (!(settings.notchQ > 0)) problems.push('notchQ must be greater than zero');
+        if (!(settings.increment <= settings.window)) problems.push('increment must not exceed the window');
+        if (!(settings.maxLatency >= settings.increment)) problems.push('maxLatency must be at least one increment');
+        ['settle', 'deadband'].forEach(key => {
+            if (!(settings[key] >= 0)) problems.push(`${key} must be at least zero`);
+        });
+        if (!(settings.minimumRatio >= 1)) problems.push('minimumRatio must be at least 1');
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid EMG processing: ${problems.join('; ')}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Samples in a span of milliseconds
+     */
+    samples(ms) {
+        return Math.max(1, Math.round(ms * this.SETTINGS.sampleRate / 1000));
+    }
+
+    /**
+     * Biquad sections of the filter chain: band-pass as two high-pass and two low-pass
+     * Butterworth sections, then the notch
+     */
+    sections() {
+        const { highPass, lowPass, notch, notchQ } = this.SETTINGS;
+        const butterworth = [0.5412, 1.3066];   // section Qs of a 4th-order Butterworth
+        return [
+            ...butterworth.map(q => this.biquad('highpass', highPass, q)),
+            ...butterworth.map(q => this.biquad('lowpass', lowPass, q)),
+            ...(notch !== null ? [this.biquad('notch', notch, notchQ)] : [])
+        ];
+    }
+
+    /**
+     * Normalised biquad coefficients (RBJ audio cookbook)
+     */
+    biquad(type, frequency, q) {
+        const w = 2 * Math.PI * frequency / this.SETTINGS.sampleRate;
+        const cos = Math.cos(w);
+        const alpha = Math.sin(w) / (2 * q);
+        const b = {
+            lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+            highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+            notch: [1, -2 * cos, 1]
+        }[type];
+        const a0 = 1 + alpha;
+        return { b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+    }
+
+    /**
+     * Stateful filter for one channel: `process(sample)` returns the filtered sample
+     */
+    createFilter() {
+        const sections = this.sections().map(coefficients => ({ ...coefficients, z1: 0, z2: 0 }));
+        return {
+            process: sample => sections.reduce((x, s) => {
+                // Transposed direct form II
+                const y = s.b0 * x + s.z1;
+                s.z1 = s.b1 * x - s.a1 * y + s.z2;
+                s.z2 = s.b2 * x - s.a2 * y;
+                return y;
+            }, sample)
+        };
+    }
+
+    /**
+     * Filter a whole channel from rest, as a stream would
+     */
+    filter(samples) {
+        const filter = this.createFilter();
+        return samples.map(sample => filter.process(sample));
+    }
+
+    /**
+     * Time-domain features of one window of filtered samples
+     *
+     * ZC and SSC only count changes of at least `deadband`, so noise on a
+     * resting channel does not look like activity.
+     */
+    features(window, deadband = this.SETTINGS.deadband) {
+        let squares = 0;
+        let absolute = 0;
+        let length = 0;
+        let crossings = 0;
+        let slopes = 0;
+        for (let k = 0; k < window.length; k++) {
+            const x = window[k];
+            squares += x * x;
+            absolute += Math.abs(x);
+            if (k > 0) {
+                const step = x - window[k - 1];
+                length += Math.abs(step);
+                if (x * window[k - 1] < 0 && Math.abs(step) >= deadband) crossings++;
+            }
+            if (k > 0 && k < window.length - 1) {
+                const before = x - window[k - 1];
+                const after = x - window[k + 1];
+                if (before * after > 0 && (Math.abs(before) >= deadband || Math.abs(after) >= deadband)) slopes++;
+            }
+        }
+        return {
+            rms: Math.sqrt(squares / window.length),
+            mav: absolute / window.length,
+            wl: length,
+            zc: crossings,
+            ssc: slopes
+        };
+    }
+
+    /**
+     * Feature vector for a window: channels in order, each channel's
+     * features in FEATURES order
+     *
+     * Amplitudes are scaled by the calibrated gain, RMS after taking off
+     * the channel's rest level so rest reads 0 and contraction 1; waveform
+     * length, zero crossings and slope sign changes are taken per sample so
+     * the window length does not matter.
+     */
+    vector(features, channels, calibration = null) {
+        return channels.flatMap(id => {
+            const f = features[id];
+            const gain = calibration ? calibration.gain[id] : 1;
+            const rest = calibration ? calibration.rest[id] : 0;
+            const samples = this.samples(this.SETTINGS.window);
+            return [(f.rms - rest) * gain, f.mav * gain, f.wl * gain / samples, f.zc / samples, f.ssc / samples];
+        });
+    }
+
+    /**
+     * Feature names matching `vector`, such as `EMG_1.rms`
+     */
+    featureNames(channels) {
+        return channels.flatMap(id => this.FEATURES.map(feature => `${id}.${feature}`));
+    }
+
+    /**
+     * Sliding windows over a recording after the filters settle
+     *
+     * Each window has its start and end (s), its label (the most common
+     * row label, or null), features per channel and the feature vector.
+     */
+    extract(recording, calibration = null) {
+        this.checkChannels(recording.channels, calibration);
+        const filtered = recording.samples.map(channel => this.filter(channel));
+        const size = this.samples(this.SETTINGS.window);
+        const step = this.samples(this.SETTINGS.increment);
+        const total = filtered.length > 0 ? filtered[0].length : 0;
+        const windows = [];
+
+        for (let start = this.samples(this.SETTINGS.settle); start + size <= total; start += step) {
+            const features = {};
+            recording.channels.forEach((id, c) => {
+                const deadband = calibration ? calibration.deadband[id] : this.SETTINGS.deadband;
+                features[id] = this.features(filtered[c].slice(start, start + size), deadband);
+            });
+            windows.push({
+                start: start / this.SETTINGS.sampleRate,
+                end: (start + size) / this.SETTINGS.sampleRate,
+                label: recording.labels ? this.majority(recording.labels.slice(start, start + size)) : null,
+                features: features,
+                vector: this.vector(features, recording.channels, calibration)
+            });
+        }
+        return windows;
+    }
+
+    /**
+     * Most common non-empty label, or null
+     */
+    majority(labels) {
+        const counts = {};
+        labels.forEach(label => {
+            if (label) counts[label] = (counts[label] || 0) + 1;
+        });
+        const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return entries.length > 0 ? entries[0][0] : null;
+    }
+
+    /**
+     * Calibrate a patient's channels from a rest and a maximum-contraction recording
+     *
+     * Rest RMS is the median window, contraction RMS the 90th percentile
+     * window, so a short burst or a lapse does not skew either. With the
+     * rest level taken off, the gain maps rest RMS to 0 and contraction to
+     * 1 (see `vector`); the deadband is `deadbandFactor`
+     * × rest RMS. A channel that is flat at rest or barely stronger in
+     * contraction (poor skin contact, a lifted electrode) is a
+     * ClinicalValidationError. Returns a plain object with the settings it
+     * was made with, for training and streaming.
+     */
+    calibrate(rest, contraction) {
+        const channels = rest.channels;
+        const problems = [];
+        if (contraction.channels.join() !== channels.join()) {
+            problems.push({ field: 'channels', code: 'consistency', message: 'rest and contraction recordings must have the same channels',
+                            value: contraction.channels });
+        }
+        const level = (recording, fraction) => {
+            const windows = this.extract(recording);
+            if (windows.length === 0) return null;
+            return Object.fromEntries(channels.map(id => {
+                const values = windows.map(window => window.features[id].rms).sort((a, b) => a - b);
+                return [id, values[Math.min(values.length - 1, Math.floor(fraction * values.length))]];
+            }));
+        };
+        const restLevel = problems.length === 0 ? level(rest, 0.5) : null;
+        const contractionLevel = problems.length === 0 ? level(contraction, 0.9) : null;
+        [['rest', rest, restLevel], ['contraction', contraction, contractionLevel]].forEach(([field, recording, value]) => {
+            if (problems.length === 0 && value === null) {
+                problems.push({ field: field, code: 'range', message: `${field} recording is shorter than one window after the filters settle`,
+                                value: recording.samples[0] ? recording.samples[0].length : 0 });
+            }
+        });
+        if (problems.length > 0) throw new ClinicalValidationError(problems, 'EMG calibration');
+
+        channels.forEach(id => {
+            if (!(restLevel[id] > 0)) {
+                problems.push({ field: id, code: 'range', message: `${id} is flat at rest: check the electrode is connected`, value: restLevel[id] });
+            } else if (contractionLevel[id] < this.SETTINGS.minimumRatio * restLevel[id]) {
+                problems.push({
+                    field: id,
+                    code: 'range',
+                    message: `${id} contraction is only ${(contractionLevel[id] / restLevel[id]).toFixed(1)}× rest ` +
+                             `(at least ${this.SETTINGS.minimumRatio}× needed): check skin contact`,
+                    value: contractionLevel[id]
+                });
+            }
+        });
+        if (problems.length > 0) throw new ClinicalValidationError(problems, 'EMG calibration');
+
+        return {
+            channels: [...channels],
+            settings: { ...this.SETTINGS },
+            rest: restLevel,
+            contraction: contractionLevel,
+            gain: Object.fromEntries(channels.map(id => [id, 1 / (contractionLevel[id] - restLevel[id])])),
+            deadband: Object.fromEntries(channels.map(id => [id, this.SETTINGS.deadbandFactor * restLevel[id]]))
+        };
+    }
+
+    /**
+     * Throw unless a calibration covers the given channels in the same order
+     * and was made with this sample rate and windowing
+     */
+    checkChannels(channels, calibration) {
+        if (calibration && calibration.channels.join() !== channels.join()) {
+            throw new Error(`Invalid EMG recording: channels ${channels.join(', ')} do not match the calibration ` +
+                            `(${calibration.channels.join(', ')})`);
+        }
+        if (!calibration) return;
+
+        // Features (and so rest, gain and deadband) depend on the window and the rate
+        const settings = calibration.settings || {};
+        const problems = ['sampleRate', 'window', 'increment']
+            .filter(key => settings[key] !== this.SETTINGS[key])
+            .map(key => ({
+                field: `settings.${key}`,
+                code: 'consistency',
+                message: `calibration was made with ${key} ${settings[key]}, not ${this.SETTINGS[key]}: recalibrate`,
+                value: settings[key]
+            }));
+        if (problems.length > 0) throw new ClinicalValidationError(problems, 'EMG calibration');
+    }
+
+    /**
+     * Parse a CSV recording for the given sensor IDs
+     *
+     * The header names the columns: one per sensor ID (other columns are
+     * ignored), an optional `time` in seconds, which must match the sample
+     * rate, and an optional `label` with the gesture held on each row.
+     * Returns `{ channels, sampleRate, samples, labels }` with samples per
+     * channel in `channels` order and labels null when there are none.
+     */
+    parseCSV(text, channels) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (lines.length < 2) throw new Error('Invalid EMG recording: expected a header and at least one row');
+
+        const header = lines[0].split(',').map(name => name.trim());
+        const missing = channels.filter(id => !header.includes(id));
+        if (missing.length > 0) throw new Error(`Invalid EMG recording: missing column(s) ${missing.join(', ')}`);
+        const columns = channels.map(id => header.indexOf(id));
+        const timeColumn = header.indexOf('time');
+        const labelColumn = header.indexOf('label');
+
+        const samples = channels.map(() => []);
+        const labels = [];
+        const times = [];
+        const problems = [];
+        lines.slice(1).forEach((line, row) => {
+            const cells = line.split(',').map(cell => cell.trim());
+            columns.forEach((column, c) => {
+                const value = Number(cells[column]);
+                if (cells[column] === undefined || cells[column] === '' || !Number.isFinite(value)) {
+                    problems.push(`row ${row + 2} ${channels[c]} is not a number`);
+                }
+                samples[c].push(value);
+            });
+            if (timeColumn >= 0) times.push(Number(cells[timeColumn]));
+            labels.push(labelColumn >= 0 ? cells[labelColumn] || null : null);
+        });
+
+        if (times.length > 1) {
+            const rate = (times.length - 1) / (times[times.length - 1] - times[0]);
+            if (!(Math.abs(rate - this.SETTINGS.sampleRate) <= this.SETTINGS.sampleRate * 0.01)) {
+                problems.push(`time column gives ${Number.isFinite(rate) ? rate.toFixed(0) : rate} Hz but the ` +
+                              `processor expects ${this.SETTINGS.sampleRate} Hz`);
+            }
+        }
+        if (problems.length > 0) {
+            const shown = problems.slice(0, 5);
+            if (problems.length > shown.length) shown.push(`${problems.length - shown.length} more`);
+            throw new Error(`Invalid EMG recording: ${shown.join('; ')}`);
+        }
+
+        return {
+            channels: [...channels],
+            sampleRate: this.SETTINGS.sampleRate,
+            samples: samples,
+            labels: labelColumn >= 0 ? labels : null
+        };
+    }
+
+    /**
+     * Read a CSV recording from a file (see parseCSV)
+     */
+    readCSV(filePath, channels) {
+        return this.parseCSV(fs.readFileSync(filePath, 'utf8'), channels);
+    }
+
+    /**
+     * Streaming feature extraction with bounded latency
+     *
+     * `push(frames)` takes new samples, each frame an array in channel
+     * order or an object keyed by sensor ID, and returns the windows that
+     * closed: `{ time, features, vector, delay }`, where `time` (s) is the
+     * window's end and `delay` (ms) how far it lags the newest sample.
+     * Only one window per channel is kept. When frames arrive in a burst,
+     * windows that would lag by more than `maxLatency` are skipped rather
+     * than computed (`stream.skipped` counts them), so decisions stay
+     * current after a stall.
+     */
+    createStream(channels, calibration = null) {
+        this.checkChannels(channels, calibration);
+        const size = this.samples(this.SETTINGS.window);
+        const step = this.samples(this.SETTINGS.increment);
+        const first = this.samples(this.SETTINGS.settle) + size;
+        const maxLag = this.samples(this.SETTINGS.maxLatency);
+        const filters = channels.map(() => this.createFilter());
+        const buffers = channels.map(() => new Float64Array(size));
+        let count = 0;
+
+        const stream = {
+            skipped: 0,
+            push: frames => {
+                const windows = [];
+                const newest = count + frames.length;
+                frames.forEach(frame => {
+                    const values = Array.isArray(frame) ? frame : channels.map(id => frame[id]);
+                    if (values.length !== channels.length || values.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+                        throw new Error(`Invalid EMG frame at sample ${count + 1}: expected ${channels.length} numbers`);
+                    }
+                    values.forEach((value, c) => {
+                        buffers[c][count % size] = filters[c].process(value);
+                    });
+                    count++;
+
+                    if (count < first || (count - first) % step !== 0) return;
+                    if (newest - count > maxLag) {
+                        stream.skipped++;
+                        return;
+                    }
+                    const features = {};
+                    channels.forEach((id, c) => {
+                        const window = new Float64Array(size);
+                        for (let k = 0; k < size; k++) window[k] = buffers[c][(count + k) % size];
+                        features[id] = this.features(window, calibration ? calibration.deadband[id] : this.SETTINGS.deadband);
+                    });
+                    windows.push({
+                        time: count / this.SETTINGS.sampleRate,
+                        features: features,
+                        vector: this.vector(features, channels, calibration),
+                        delay: (newest - count) * 1000 / this.SETTINGS.sampleRate
+                    });
+                });
+                return windows;
+            }
+        };
+        return stream;
+    }
+
+    /**
+     * Synthetic recording for demonstrations and bench tests
+     *
+     * `segments` are `{ label, seconds, activation }` with an activation
+     * level (0–1) per sensor ID. Each channel is Gaussian noise shaped by
+     * its activation over a resting floor, with mains hum and slow drift
+     * for the filters to remove. The same `seed` gives the same recording.
+     */
+    simulateRecording(channels, segments, seed = 1) {
+        let state = seed >>> 0;
+        const random = () => {
+            // mulberry32
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+        const rate = this.SETTINGS.sampleRate;
+        const samples = channels.map(() => []);
+        const labels = [];
+        segments.forEach(segment => {
+            const count = Math.round(segment.seconds * rate);
+            for (let k = 0; k < count; k++) {
+                const t = labels.length / rate;
+                channels.forEach((id, c) => {
+                    const level = 0.02 + (segment.activation[id] || 0);
+                    const hum = this.SETTINGS.notch ? 0.05 * Math.sin(2 * Math.PI * this.SETTINGS.notch * t) : 0;
+                    samples[c].push(level * gaussian() + hum + 0.2 * Math.sin(2 * Math.PI * 0.3 * t + c));
+                });
+                labels.push(segment.label);
+            }
+        });
+        return { channels: [...channels], sampleRate: rate, samples: samples, labels: labels };
+    }
+}
+
+module.exports = EMGSignalProcessor;
@@ -1,609 +1,675 @@
-Enhanced CNC Golden Ratio Fractal Toolpath System
+/**
+ * Enhanced CNC Golden Ratio Fractal Toolpath System
+ *
+ * Expanded applications and improved algorithms
+ */
 
-- Expanded applications and improved algorithms
-  */
+const ToolLibrary = require('./Tool-library.js');
+const ToolpathBackplot = require('./Toolpath-backplot.js');
+const EntryStrategy = require('./Entry-strategy.js');
+const ArcFitter = require('./Arc-fitter.js');
 
 class EnhancedCNCGoldenSystem {
-constructor() {
-this.PHI = (1 + Math.sqrt(5)) / 2;
-this.PHI_INV = 1 / this.PHI;
-this.GOLDEN_ANGLE = 137.5077640844;
-this.FIBONACCI_SEQUENCE = this.generateFibonacci(20);
-
-```
-    // Enhanced feed rate matrices
-    this.FEED_RATES = {
-        RAPID: 3000,
-        CUTTING: 800,
-        PLUNGE: 200,
-        FINISHING: 400,
-        ADAPTIVE_MIN: 100,
-        ADAPTIVE_MAX: 1500
-    };
-    
-    // Material-specific golden ratio modifiers
-    this.MATERIAL_PHI_FACTORS = {
-        aluminum: { cutting: 1.0, plunge: 0.8, finish: 1.2 },
-        steel: { cutting: 0.618, plunge: 0.5, finish: 0.8 },
-        titanium: { cutting: 0.382, plunge: 0.3, finish: 0.5 },
-        plastic: { cutting: 1.618, plunge: 1.2, finish: 1.8 },
-        wood: { cutting: 2.618, plunge: 1.8, finish: 2.2 },
-        carbon_fiber: { cutting: 0.786, plunge: 0.6, finish: 0.9 },
-        brass: { cutting: 1.272, plunge: 1.0, finish: 1.4 }
-    };
-    
-    this.TOOL_DIAMETER = 6;
-    this.STEPOVER_RATIO = this.PHI_INV; // Golden ratio stepover!
-    this.TOLERANCE = 0.01;
-    this.MAX_DEPTH_PER_PASS = 2;
-}
+    constructor(options = {}) {
+        this.PHI = (1 + Math.sqrt(5)) / 2;
+        this.PHI_INV = 1 / this.PHI;
+        this.GOLDEN_ANGLE = 137.5077640844;
+        this.FIBONACCI_SEQUENCE = this.generateFibonacci(20);
 
-/**
- * Generate Fibonacci sequence for advanced pattern analysis
- */
-generateFibonacci(n) {
-    const fib = [0, 1];
-    for (let i = 2; i < n; i++) {
-        fib[i] = fib[i-1] + fib[i-2];
+        // Enhanced feed rate matrices
+        this.FEED_RATES = {
+            RAPID: 3000,
+            CUTTING: 800,
+            PLUNGE: 200,
+            FINISHING: 400,
+            ADAPTIVE_MIN: 100,
+            ADAPTIVE_MAX: 1500
+        };
+
+        // Material-specific golden ratio modifiers
+        this.MATERIAL_PHI_FACTORS = {
+            aluminum: { cutting: 1.0, plunge: 0.8, finish: 1.2 },
+            steel: { cutting: 0.618, plunge: 0.5, finish: 0.8 },
+            titanium: { cutting: 0.382, plunge: 0.3, finish: 0.5 },
+            plastic: { cutting: 1.618, plunge: 1.2, finish: 1.8 },
+            wood: { cutting: 2.618, plunge: 1.8, finish: 2.2 },
+            carbon_fiber: { cutting: 0.786, plunge: 0.6, finish: 0.9 },
+            brass: { cutting: 1.272, plunge: 1.0, finish: 1.4 }
+        };
+
+        // Active cutter from the shared tool library (6mm ball nose by default)
+        this.tools = options.tools || new ToolLibrary();
+        this.setTool(options.toolNumber || 2);
+        this.STEPOVER_RATIO = this.PHI_INV; // Golden ratio stepover!
+        this.TOLERANCE = 0.01;
+        this.MAX_DEPTH_PER_PASS = 2;
+
+        // How cuts below the surface are entered (ramp by default)
+        this.setEntry(options.entry);
     }
-    return fib;
-}
 
-/**
- * ENHANCED: Better error handling in G-code parsing
- */
-parseGCode(gcode) {
-    if (!gcode || typeof gcode !== 'string') {
-        throw new Error('Invalid G-code input');
+    /**
+     * Select the entry strategy from EntryStrategy settings
+     */
+    setEntry(settings = {}) {
+        this.entry = new EntryStrategy({ plungeRate: this.FEED_RATES.PLUNGE, ...settings });
+        return this.entry;
     }
-    
-    const lines = gcode.split('\n').filter(line => line.trim());
-    const commands = [];
-    
-    lines.forEach((line, index) => {
-        try {
-            const cleanLine = line.trim().split(';')[0];
-            if (!cleanLine) return;
-            
-            const command = this.parseGCodeLine(cleanLine);
-            if (command) {
-                command.lineNumber = index;
-                commands.push(command);
-            }
-        } catch (error) {
-            console.warn(`Warning: Could not parse line ${index}: ${line}`);
+
+    /**
+     * Entry moves from safeZ down to `-depth` at the start of `path`
+     */
+    entryMoves(path, depth, safeZ, room = 0) {
+        return this.entry.enter(path, { tool: this.tool, clearZ: safeZ, topZ: 0, toZ: -depth, room: room })
+            .map(({ cmd, ...move }) => ({ type: cmd, ...move }));
+    }
+
+    /**
+     * Drill the pre-drilled entries the patterns so far need, changing to the drill and back
+     *
+     * Run before the patterns; empty unless the entry strategy is 'predrill'.
+     */
+    generatePredrillPass(spindleSpeed = 12000, safeZ = 5) {
+        if (this.entry.holes.length === 0) return [];
+        const drill = this.tools.toolFor('predrill');
+        const moves = [...this.tools.toolChangeMoves(drill, Math.min(spindleSpeed, drill.maxRpm || Infinity))];
+
+        this.entry.holes.forEach(hole => {
+            moves.push({ cmd: 'G0', x: hole.x, y: hole.y, z: safeZ, comment: `Over ${hole.id}` });
+            moves.push({ cmd: 'G1', z: -hole.depth, f: this.entry.SETTINGS.plungeRate, comment: `Drill ${hole.id}` });
+            moves.push({ cmd: 'G0', z: safeZ, comment: 'Clear the hole' });
+        });
+        moves.push(...this.tools.toolChangeMoves(this.tool, spindleSpeed));
+
+        return moves.map(({ cmd, ...move }) => ({ type: cmd, ...move }));
+    }
+
+    /**
+     * Select the active tool from the library
+     */
+    setTool(number) {
+        this.tool = this.tools.getTool(number);
+        this.TOOL_DIAMETER = this.tool.diameter;
+        return this.tool;
+    }
+
+    /**
+     * Generate Fibonacci sequence for advanced pattern analysis
+     */
+    generateFibonacci(n) {
+        const fib = [0, 1];
+        for (let i = 2; i < n; i++) {
+            fib[i] = fib[i-1] + fib[i-2];
         }
-    });
-    
-    return commands;
-}
+        return fib;
+    }
 
-/**
- * ENHANCED: Robust G-code line parsing with validation
- */
-parseGCodeLine(line) {
-    const tokens = line.match(/[A-Z]-?\d*\.?\d*/gi); // Case insensitive
-    if (!tokens) return null;
-    
-    const command = { raw: line, params: {} };
-    
-    tokens.forEach(token => {
-        const letter = token[0].toUpperCase();
-        const valueStr = token.substring(1);
-        const value = parseFloat(valueStr);
-        
-        if (isNaN(value)) return; // Skip invalid values
-        
-        if (letter === 'G' || letter === 'M') {
-            command.type = letter + Math.floor(value);
-        } else {
-            command.params[letter] = value;
+    /**
+     * ENHANCED: Better error handling in G-code parsing
+     */
+    parseGCode(gcode) {
+        if (!gcode || typeof gcode !== 'string') {
+            throw new Error('Invalid G-code input');
         }
-    });
-    
-    return command.type ? command : null; // Only return if we have a valid command type
-}
 
-/**
- * NEW: Bio-inspired leaf pattern toolpath generation
- */
-generateLeafPattern(centerX, centerY, length, width, stemLength, safeZ) {
-    const toolpath = [];
-    const points = 64; // Fibonacci number for natural distribution
-    
-    // Golden ratio proportions for leaf
-    const leafRatio = this.PHI;
-    const actualWidth = length / leafRatio;
-    
-    // Leaf outline using golden ratio curves
-    for (let i = 0; i <= points; i++) {
-        const t = i / points;
-        const angle = t * Math.PI;
-        
-        // Leaf shape equation with golden ratio
-        const x = centerX + (length * t) * Math.cos(angle / leafRatio);
-        const y = centerY + (actualWidth * Math.sin(angle) * (1 - t * this.PHI_INV));
-        
-        if (i === 0) {
+        const lines = gcode.split('\n').filter(line => line.trim());
+        const commands = [];
+
+        lines.forEach((line, index) => {
+            try {
+                const cleanLine = line.trim().split(';')[0];
+                if (!cleanLine) return;
+
+                const command = this.parseGCodeLine(cleanLine);
+                if (command) {
+                    command.lineNumber = index;
+                    commands.push(command);
+                }
+            } catch (error) {
+                console.warn(`Warning: Could not parse line ${index}: ${line}`);
+            }
+        });
+
+        return commands;
+    }
+
+    /**
+     * ENHANCED: Robust G-code line parsing with validation
+     */
+    parseGCodeLine(line) {
+        const tokens = line.match(/[A-Z]-?\d*\.?\d*/gi); // Case insensitive
+        if (!tokens) return null;
+
+        const command = { raw: line, params: {} };
+
+        tokens.forEach(token => {
+            const letter = token[0].toUpperCase();
+            const valueStr = token.substring(1);
+            const value = parseFloat(valueStr);
+
+            if (isNaN(value)) return; // Skip invalid values
+
+            if (letter === 'G' || letter === 'M') {
+                command.type = letter + Math.floor(value);
+            } else {
+                command.params[letter] = value;
+            }
+        });
+
+        return command.type ? command : null; // Only return if we have a valid command type
+    }
+
+    /**
+     * NEW: Bio-inspired leaf pattern toolpath generation
+     */
+    generateLeafPattern(centerX, centerY, length, width, stemLength, safeZ) {
+        const toolpath = [];
+        const points = 64; // Fibonacci number for natural distribution
+
+        // Golden ratio proportions for leaf
+        const leafRatio = this.PHI;
+        const actualWidth = length / leafRatio;
+
+        // Leaf outline using golden ratio curves
+        for (let i = 0; i <= points; i++) {
+            const t = i / points;
+            const angle = t * Math.PI;
+
+            // Leaf shape equation with golden ratio
+            const x = centerX + (length * t) * Math.cos(angle / leafRatio);
+            const y = centerY + (actualWidth * Math.sin(angle) * (1 - t * this.PHI_INV));
+
+            if (i === 0) {
+                toolpath.push({
+                    type: 'G0',
+                    x: x,
+                    y: y,
+                    z: safeZ,
+                    comment: 'Rapid to leaf start'
+                });
+                toolpath.push({
+                    type: 'G1',
+                    z: 0,
+                    f: this.FEED_RATES.PLUNGE,
+                    comment: 'Plunge to surface'
+                });
+            } else {
+                toolpath.push({
+                    type: 'G1',
+                    x: x,
+                    y: y,
+                    f: this.FEED_RATES.CUTTING,
+                    comment: `Leaf outline point ${i}`
+                });
+            }
+        }
+
+        // Add stem
+        toolpath.push({
+            type: 'G1',
+            x: centerX,
+            y: centerY - stemLength,
+            f: this.FEED_RATES.CUTTING,
+            comment: 'Leaf stem'
+        });
+
+        // Add leaf veins using golden ratio divisions
+        this.addLeafVeins(toolpath, centerX, centerY, length, actualWidth);
+
+        return toolpath;
+    }
+
+    /**
+     * NEW: Add leaf veins using Fibonacci spiral distribution
+     */
+    addLeafVeins(toolpath, centerX, centerY, length, width) {
+        const veinCount = this.FIBONACCI_SEQUENCE[6]; // 8 veins
+
+        for (let i = 1; i < veinCount; i++) {
+            const ratio = i / veinCount;
+            const veinLength = length * ratio * this.PHI_INV;
+            const veinAngle = this.GOLDEN_ANGLE * i * Math.PI / 180;
+
+            // Move to vein start
             toolpath.push({
                 type: 'G0',
-                x: x,
-                y: y,
-                z: safeZ,
-                comment: 'Rapid to leaf start'
+                x: centerX + veinLength * 0.1 * Math.cos(veinAngle),
+                y: centerY + veinLength * 0.1 * Math.sin(veinAngle),
+                comment: `Vein ${i} start`
             });
+
+            // Cut vein
             toolpath.push({
                 type: 'G1',
-                z: 0,
-                f: this.FEED_RATES.PLUNGE,
-                comment: 'Plunge to surface'
-            });
-        } else {
-            toolpath.push({
-                type: 'G1',
-                x: x,
-                y: y,
-                f: this.FEED_RATES.CUTTING,
-                comment: `Leaf outline point ${i}`
+                x: centerX + veinLength * Math.cos(veinAngle),
+                y: centerY + veinLength * Math.sin(veinAngle),
+                f: this.FEED_RATES.FINISHING,
+                comment: `Vein ${i} end`
             });
         }
     }
-    
-    // Add stem
-    toolpath.push({
-        type: 'G1',
-        x: centerX,
-        y: centerY - stemLength,
-        f: this.FEED_RATES.CUTTING,
-        comment: 'Leaf stem'
-    });
-    
-    // Add leaf veins using golden ratio divisions
-    this.addLeafVeins(toolpath, centerX, centerY, length, actualWidth);
-    
-    return toolpath;
-}
 
-/**
- * NEW: Add leaf veins using Fibonacci spiral distribution
- */
-addLeafVeins(toolpath, centerX, centerY, length, width) {
-    const veinCount = this.FIBONACCI_SEQUENCE[6]; // 8 veins
-    
-    for (let i = 1; i < veinCount; i++) {
-        const ratio = i / veinCount;
-        const veinLength = length * ratio * this.PHI_INV;
-        const veinAngle = this.GOLDEN_ANGLE * i * Math.PI / 180;
-        
-        // Move to vein start
+    /**
+     * NEW: Metamaterial honeycomb pattern with golden ratio optimization
+     */
+    generateMetamaterialHoneycomb(centerX, centerY, cellSize, rows, cols, depth, safeZ) {
+        const toolpath = [];
+        const hexRadius = cellSize * this.PHI_INV; // Golden ratio sizing
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                // Hexagonal offset pattern
+                const offsetX = col * cellSize * 1.5;
+                const offsetY = row * cellSize * Math.sqrt(3) + (col % 2) * cellSize * Math.sqrt(3) / 2;
+
+                const hexCenter = {
+                    x: centerX + offsetX,
+                    y: centerY + offsetY
+                };
+
+                // Generate hexagon with golden ratio resonant cavity
+                const hexPath = this.generateResonantHexagon(hexCenter.x, hexCenter.y, hexRadius, depth, safeZ);
+                toolpath.push(...hexPath);
+            }
+        }
+
+        return toolpath;
+    }
+
+    /**
+     * NEW: Generate hexagon with internal resonant cavity (for metamaterials)
+     */
+    generateResonantHexagon(centerX, centerY, radius, depth, safeZ) {
+        const toolpath = [];
+        const sides = 6;
+        const outline = Array.from({ length: sides + 1 }, (_, i) => ({
+            x: centerX + radius * Math.cos((i * 2 * Math.PI) / sides),
+            y: centerY + radius * Math.sin((i * 2 * Math.PI) / sides)
+        }));
+
+        // Outer hexagon
+        for (let i = 0; i <= sides; i++) {
+            const { x, y } = outline[i];
+
+            if (i === 0) {
+                toolpath.push({
+                    type: 'G0',
+                    x: x,
+                    y: y,
+                    z: safeZ,
+                    comment: 'Rapid to hex start'
+                });
+                toolpath.push(...this.entryMoves(outline, depth, safeZ));
+            } else {
+                toolpath.push({
+                    type: 'G1',
+                    x: x,
+                    y: y,
+                    f: this.FEED_RATES.CUTTING,
+                    comment: `Hex side ${i}`
+                });
+            }
+        }
+
+        // Inner resonant cavity (golden ratio scaled)
+        const innerRadius = radius * this.PHI_INV;
+        for (let i = 0; i <= sides; i++) {
+            const angle = (i * 2 * Math.PI) / sides;
+            const x = centerX + innerRadius * Math.cos(angle);
+            const y = centerY + innerRadius * Math.sin(angle);
+
+            if (i === 0) {
+                toolpath.push({
+                    type: 'G0',
+                    x: x,
+                    y: y,
+                    comment: 'Move to inner cavity'
+                });
+            } else {
+                toolpath.push({
+                    type: 'G1',
+                    x: x,
+                    y: y,
+                    f: this.FEED_RATES.FINISHING,
+                    comment: `Inner cavity side ${i}`
+                });
+            }
+        }
+
+        // Retract
         toolpath.push({
             type: 'G0',
-            x: centerX + veinLength * 0.1 * Math.cos(veinAngle),
-            y: centerY + veinLength * 0.1 * Math.sin(veinAngle),
-            comment: `Vein ${i} start`
-        });
-        
-        // Cut vein
-        toolpath.push({
-            type: 'G1',
-            x: centerX + veinLength * Math.cos(veinAngle),
-            y: centerY + veinLength * Math.sin(veinAngle),
-            f: this.FEED_RATES.FINISHING,
-            comment: `Vein ${i} end`
+            z: safeZ,
+            comment: 'Retract from hexagon'
         });
+
+        return toolpath;
     }
-}
 
-/**
- * NEW: Metamaterial honeycomb pattern with golden ratio optimization
- */
-generateMetamaterialHoneycomb(centerX, centerY, cellSize, rows, cols, depth, safeZ) {
-    const toolpath = [];
-    const hexRadius = cellSize * this.PHI_INV; // Golden ratio sizing
-    
-    for (let row = 0; row < rows; row++) {
-        for (let col = 0; col < cols; col++) {
-            // Hexagonal offset pattern
-            const offsetX = col * cellSize * 1.5;
-            const offsetY = row * cellSize * Math.sqrt(3) + (col % 2) * cellSize * Math.sqrt(3) / 2;
-            
-            const hexCenter = {
-                x: centerX + offsetX,
-                y: centerY + offsetY
-            };
-            
-            // Generate hexagon with golden ratio resonant cavity
-            const hexPath = this.generateResonantHexagon(hexCenter.x, hexCenter.y, hexRadius, depth, safeZ);
-            toolpath.push(...hexPath);
-        }
+    /**
+     * NEW: Fibonacci-based adaptive stepover calculation
+     */
+    calculateFibonacciStepover(toolDiameter, material, surfaceRoughness) {
+        const baseMaterialFactor = this.MATERIAL_PHI_FACTORS[material]?.cutting || 1.0;
+        const roughnessFactor = 1 + (surfaceRoughness * this.PHI_INV);
+
+        // Use Fibonacci ratios for stepover optimization
+        const fibRatio = this.FIBONACCI_SEQUENCE[5] / this.FIBONACCI_SEQUENCE[6]; // 5/8 = 0.625
+
+        return toolDiameter * fibRatio * baseMaterialFactor / roughnessFactor;
     }
-    
-    return toolpath;
-}
 
-/**
- * NEW: Generate hexagon with internal resonant cavity (for metamaterials)
- */
-generateResonantHexagon(centerX, centerY, radius, depth, safeZ) {
-    const toolpath = [];
-    const sides = 6;
-    
-    // Outer hexagon
-    for (let i = 0; i <= sides; i++) {
-        const angle = (i * 2 * Math.PI) / sides;
-        const x = centerX + radius * Math.cos(angle);
-        const y = centerY + radius * Math.sin(angle);
-        
-        if (i === 0) {
-            toolpath.push({
-                type: 'G0',
-                x: x,
-                y: y,
-                z: safeZ,
-                comment: 'Rapid to hex start'
-            });
-            toolpath.push({
-                type: 'G1',
-                z: -depth,
-                f: this.FEED_RATES.PLUNGE,
-                comment: 'Plunge for hex outline'
-            });
-        } else {
-            toolpath.push({
-                type: 'G1',
-                x: x,
-                y: y,
-                f: this.FEED_RATES.CUTTING,
-                comment: `Hex side ${i}`
+    /**
+     * NEW: Advanced curvature-based feedrate with golden ratio smoothing
+     */
+    calculateAdvancedFeedrate(curvature, material, toolDiameter, spindleSpeed) {
+        const materialFactors = this.MATERIAL_PHI_FACTORS[material] || this.MATERIAL_PHI_FACTORS.aluminum;
+        const baseFeed = this.FEED_RATES.CUTTING * materialFactors.cutting;
+
+        // Golden ratio curvature compensation
+        const curvatureFactor = Math.exp(-curvature * this.PHI);
+
+        // Tool diameter factor (smaller tools = higher feedrate capability)
+        const toolFactor = Math.pow(6 / toolDiameter, this.PHI_INV);
+
+        // Spindle speed optimization using golden ratio
+        const spindleOptimal = 12000 * this.PHI; // ~19,416 RPM optimal
+        const spindleFactor = Math.min(spindleSpeed / spindleOptimal, this.PHI);
+
+        const feedrate = baseFeed * curvatureFactor * toolFactor * spindleFactor;
+
+        return Math.max(this.FEED_RATES.ADAPTIVE_MIN, 
+               Math.min(this.FEED_RATES.ADAPTIVE_MAX, Math.round(feedrate)));
+    }
+
+    /**
+     * NEW: Voronoi-based organic toolpath generation
+     */
+    generateVoronoiOrganicPattern(width, height, seedCount, depth, safeZ) {
+        const toolpath = [];
+        const seeds = [];
+
+        // Generate seeds using golden ratio distribution
+        for (let i = 0; i < seedCount; i++) {
+            const angle = i * this.GOLDEN_ANGLE * Math.PI / 180;
+            const radius = Math.sqrt(i / seedCount) * Math.min(width, height) / 2;
+
+            seeds.push({
+                x: width / 2 + radius * Math.cos(angle),
+                y: height / 2 + radius * Math.sin(angle),
+                id: i
             });
         }
+
+        // Generate organic flowing paths between seeds
+        for (let i = 0; i < seeds.length; i++) {
+            const currentSeed = seeds[i];
+            const nextSeed = seeds[(i + Math.floor(seedCount / this.PHI)) % seeds.length];
+
+            const organicPath = this.generateOrganicPath(currentSeed, nextSeed, depth, safeZ);
+            toolpath.push(...organicPath);
+        }
+
+        return toolpath;
     }
-    
-    // Inner resonant cavity (golden ratio scaled)
-    const innerRadius = radius * this.PHI_INV;
-    for (let i = 0; i <= sides; i++) {
-        const angle = (i * 2 * Math.PI) / sides;
-        const x = centerX + innerRadius * Math.cos(angle);
-        const y = centerY + innerRadius * Math.sin(angle);
-        
-        if (i === 0) {
-            toolpath.push({
-                type: 'G0',
-                x: x,
-                y: y,
-                comment: 'Move to inner cavity'
+
+    /**
+     * NEW: Generate organic flowing path between two points
+     */
+    generateOrganicPath(start, end, depth, safeZ) {
+        const toolpath = [];
+        const segments = Math.floor(this.FIBONACCI_SEQUENCE[7]); // 13 segments
+
+        toolpath.push({
+            type: 'G0',
+            x: start.x,
+            y: start.y,
+            z: safeZ,
+            comment: 'Move to organic path start'
+        });
+
+        const path = [start];
+        for (let i = 1; i <= segments; i++) {
+            const t = i / segments;
+
+            // Golden ratio bezier curve for organic feel
+            const controlOffset = Math.sin(t * Math.PI) * 20 * this.PHI_INV;
+            const perpAngle = Math.atan2(end.y - start.y, end.x - start.x) + Math.PI / 2;
+
+            path.push({
+                x: start.x + (end.x - start.x) * t + controlOffset * Math.cos(perpAngle),
+                y: start.y + (end.y - start.y) * t + controlOffset * Math.sin(perpAngle)
             });
-        } else {
+        }
+
+        toolpath.push(...this.entryMoves(path, depth, safeZ));
+
+        path.slice(1).forEach(({ x, y }, index) => {
             toolpath.push({
                 type: 'G1',
                 x: x,
                 y: y,
-                f: this.FEED_RATES.FINISHING,
-                comment: `Inner cavity side ${i}`
+                f: this.FEED_RATES.CUTTING,
+                comment: `Organic segment ${index + 1}`
             });
-        }
-    }
-    
-    // Retract
-    toolpath.push({
-        type: 'G0',
-        z: safeZ,
-        comment: 'Retract from hexagon'
-    });
-    
-    return toolpath;
-}
-
-/**
- * NEW: Fibonacci-based adaptive stepover calculation
- */
-calculateFibonacciStepover(toolDiameter, material, surfaceRoughness) {
-    const baseMaterialFactor = this.MATERIAL_PHI_FACTORS[material]?.cutting || 1.0;
-    const roughnessFactor = 1 + (surfaceRoughness * this.PHI_INV);
-    
-    // Use Fibonacci ratios for stepover optimization
-    const fibRatio = this.FIBONACCI_SEQUENCE[5] / this.FIBONACCI_SEQUENCE[6]; // 5/8 = 0.625
-    
-    return toolDiameter * fibRatio * baseMaterialFactor / roughnessFactor;
-}
-
-/**
- * NEW: Advanced curvature-based feedrate with golden ratio smoothing
- */
-calculateAdvancedFeedrate(curvature, material, toolDiameter, spindleSpeed) {
-    const materialFactors = this.MATERIAL_PHI_FACTORS[material] || this.MATERIAL_PHI_FACTORS.aluminum;
-    const baseFeed = this.FEED_RATES.CUTTING * materialFactors.cutting;
-    
-    // Golden ratio curvature compensation
-    const curvatureFactor = Math.exp(-curvature * this.PHI);
-    
-    // Tool diameter factor (smaller tools = higher feedrate capability)
-    const toolFactor = Math.pow(6 / toolDiameter, this.PHI_INV);
-    
-    // Spindle speed optimization using golden ratio
-    const spindleOptimal = 12000 * this.PHI; // ~19,416 RPM optimal
-    const spindleFactor = Math.min(spindleSpeed / spindleOptimal, this.PHI);
-    
-    const feedrate = baseFeed * curvatureFactor * toolFactor * spindleFactor;
-    
-    return Math.max(this.FEED_RATES.ADAPTIVE_MIN, 
-           Math.min(this.FEED_RATES.ADAPTIVE_MAX, Math.round(feedrate)));
-}
+        });
 
-/**
- * NEW: Voronoi-based organic toolpath generation
- */
-generateVoronoiOrganicPattern(width, height, seedCount, depth, safeZ) {
-    const toolpath = [];
-    const seeds = [];
-    
-    // Generate seeds using golden ratio distribution
-    for (let i = 0; i < seedCount; i++) {
-        const angle = i * this.GOLDEN_ANGLE * Math.PI / 180;
-        const radius = Math.sqrt(i / seedCount) * Math.min(width, height) / 2;
-        
-        seeds.push({
-            x: width / 2 + radius * Math.cos(angle),
-            y: height / 2 + radius * Math.sin(angle),
-            id: i
+        toolpath.push({
+            type: 'G0',
+            z: safeZ,
+            comment: 'Retract from organic path'
         });
+
+        return toolpath;
     }
-    
-    // Generate organic flowing paths between seeds
-    for (let i = 0; i < seeds.length; i++) {
-        const currentSeed = seeds[i];
-        const nextSeed = seeds[(i + Math.floor(seedCount / this.PHI)) % seeds.length];
-        
-        const organicPath = this.generateOrganicPath(currentSeed, nextSeed, depth, safeZ);
-        toolpath.push(...organicPath);
-    }
-    
-    return toolpath;
-}
 
-/**
- * NEW: Generate organic flowing path between two points
- */
-generateOrganicPath(start, end, depth, safeZ) {
-    const toolpath = [];
-    const segments = Math.floor(this.FIBONACCI_SEQUENCE[7]); // 13 segments
-    
-    toolpath.push({
-        type: 'G0',
-        x: start.x,
-        y: start.y,
-        z: safeZ,
-        comment: 'Move to organic path start'
-    });
-    
-    toolpath.push({
-        type: 'G1',
-        z: -depth,
-        f: this.FEED_RATES.PLUNGE,
-        comment: 'Plunge for organic path'
-    });
-    
-    for (let i = 1; i <= segments; i++) {
-        const t = i / segments;
-        
-        // Golden ratio bezier curve for organic feel
-        const controlOffset = Math.sin(t * Math.PI) * 20 * this.PHI_INV;
-        const perpAngle = Math.atan2(end.y - start.y, end.x - start.x) + Math.PI / 2;
-        
-        const x = start.x + (end.x - start.x) * t + controlOffset * Math.cos(perpAngle);
-        const y = start.y + (end.y - start.y) * t + controlOffset * Math.sin(perpAngle);
-        
+    /**
+     * NEW: Fractal tree toolpath generation
+     */
+    generateFractalTree(baseX, baseY, baseLength, baseWidth, depth, levels, safeZ) {
+        const toolpath = [];
+
+        // Start with trunk
         toolpath.push({
-            type: 'G1',
-            x: x,
-            y: y,
-            f: this.FEED_RATES.CUTTING,
-            comment: `Organic segment ${i}`
+            type: 'G0',
+            x: baseX,
+            y: baseY,
+            z: safeZ,
+            comment: 'Move to tree base'
         });
+
+        toolpath.push(...this.entryMoves([{ x: baseX, y: baseY }, { x: baseX, y: baseY + baseLength }], depth, safeZ));
+
+        // Generate fractal branches
+        this.generateBranch(toolpath, baseX, baseY, baseX, baseY + baseLength, 
+                           baseWidth, levels, 0, Math.PI / 2);
+
+        return toolpath;
     }
-    
-    toolpath.push({
-        type: 'G0',
-        z: safeZ,
-        comment: 'Retract from organic path'
-    });
-    
-    return toolpath;
-}
 
-/**
- * NEW: Fractal tree toolpath generation
- */
-generateFractalTree(baseX, baseY, baseLength, baseWidth, depth, levels, safeZ) {
-    const toolpath = [];
-    
-    // Start with trunk
-    toolpath.push({
-        type: 'G0',
-        x: baseX,
-        y: baseY,
-        z: safeZ,
-        comment: 'Move to tree base'
-    });
-    
-    toolpath.push({
-        type: 'G1',
-        z: -depth,
-        f: this.FEED_RATES.PLUNGE,
-        comment: 'Plunge for tree trunk'
-    });
-    
-    // Generate fractal branches
-    this.generateBranch(toolpath, baseX, baseY, baseX, baseY + baseLength, 
-                       baseWidth, levels, 0, Math.PI / 2);
-    
-    return toolpath;
-}
+    /**
+     * NEW: Recursive branch generation with golden ratio scaling
+     */
+    generateBranch(toolpath, startX, startY, endX, endY, width, levelsLeft, currentLevel, angle) {
+        if (levelsLeft <= 0) return;
 
-/**
- * NEW: Recursive branch generation with golden ratio scaling
- */
-generateBranch(toolpath, startX, startY, endX, endY, width, levelsLeft, currentLevel, angle) {
-    if (levelsLeft <= 0) return;
-    
-    // Draw current branch
-    toolpath.push({
-        type: 'G1',
-        x: endX,
-        y: endY,
-        f: this.FEED_RATES.CUTTING,
-        comment: `Branch level ${currentLevel}`
-    });
-    
-    if (levelsLeft > 1) {
-        const branchLength = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2) * this.PHI_INV;
-        const branchWidth = width * this.PHI_INV;
-        
-        // Golden ratio branch angles
-        const leftAngle = angle + this.GOLDEN_ANGLE * Math.PI / 360; // Half golden angle
-        const rightAngle = angle - this.GOLDEN_ANGLE * Math.PI / 360;
-        
-        // Left branch
-        const leftEndX = endX + branchLength * Math.cos(leftAngle);
-        const leftEndY = endY + branchLength * Math.sin(leftAngle);
-        this.generateBranch(toolpath, endX, endY, leftEndX, leftEndY, 
-                          branchWidth, levelsLeft - 1, currentLevel + 1, leftAngle);
-        
-        // Return to branch point
+        // Draw current branch
         toolpath.push({
-            type: 'G0',
+            type: 'G1',
             x: endX,
             y: endY,
-            comment: 'Return to branch point'
+            f: this.FEED_RATES.CUTTING,
+            comment: `Branch level ${currentLevel}`
         });
-        
-        // Right branch
-        const rightEndX = endX + branchLength * Math.cos(rightAngle);
-        const rightEndY = endY + branchLength * Math.sin(rightAngle);
-        this.generateBranch(toolpath, endX, endY, rightEndX, rightEndY, 
-                          branchWidth, levelsLeft - 1, currentLevel + 1, rightAngle);
+
+        if (levelsLeft > 1) {
+            const branchLength = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2) * this.PHI_INV;
+            const branchWidth = width * this.PHI_INV;
+
+            // Golden ratio branch angles
+            const leftAngle = angle + this.GOLDEN_ANGLE * Math.PI / 360; // Half golden angle
+            const rightAngle = angle - this.GOLDEN_ANGLE * Math.PI / 360;
+
+            // Left branch
+            const leftEndX = endX + branchLength * Math.cos(leftAngle);
+            const leftEndY = endY + branchLength * Math.sin(leftAngle);
+            this.generateBranch(toolpath, endX, endY, leftEndX, leftEndY, 
+                              branchWidth, levelsLeft - 1, currentLevel + 1, leftAngle);
+
+            // Return to branch point
+            toolpath.push({
+                type: 'G0',
+                x: endX,
+                y: endY,
+                comment: 'Return to branch point'
+            });
+
+            // Right branch
+            const rightEndX = endX + branchLength * Math.cos(rightAngle);
+            const rightEndY = endY + branchLength * Math.sin(rightAngle);
+            this.generateBranch(toolpath, endX, endY, rightEndX, rightEndY, 
+                              branchWidth, levelsLeft - 1, currentLevel + 1, rightAngle);
+        }
     }
-}
 
-/**
- * NEW: Machine learning pattern recognition for optimization
- */
-analyzePatternEfficiency(toolpath) {
-    const analysis = {
-        totalDistance: 0,
-        rapidMoves: 0,
-        cuttingMoves: 0,
-        directionChanges: 0,
-        accelerationEvents: 0,
-        efficiency_score: 0
-    };
-    
-    let previousAngle = 0;
-    let previousFeed = 0;
-    
-    toolpath.forEach((move, index) => {
-        if (move.distance) {
-            analysis.totalDistance += move.distance;
-            
-            if (move.type === 'G0') {
-                analysis.rapidMoves++;
-            } else if (move.type === 'G1') {
-                analysis.cuttingMoves++;
-            }
-            
-            // Calculate direction changes
-            if (index > 0) {
-                const prevMove = toolpath[index - 1];
-                const angle = Math.atan2(move.to.y - move.from.y, move.to.x - move.from.x);
-                const angleDiff = Math.abs(angle - previousAngle);
-                
-                if (angleDiff > Math.PI / 4) { // 45 degree threshold
-                    analysis.directionChanges++;
+    /**
+     * Replace runs of G1 moves in a pattern with arcs within TOLERANCE (see ArcFitter)
+     */
+    fitArcs(toolpath, options = {}) {
+        return new ArcFitter({ tolerance: this.TOLERANCE, ...options }).fit(toolpath);
+    }
+
+    /**
+     * Draw a pattern toolpath as an SVG backplot (see ToolpathBackplot)
+     */
+    renderBackplot(toolpath, options = {}) {
+        return new ToolpathBackplot().render(toolpath, options);
+    }
+
+    /**
+     * NEW: Machine learning pattern recognition for optimization
+     */
+    analyzePatternEfficiency(toolpath) {
+        const analysis = {
+            totalDistance: 0,
+            rapidMoves: 0,
+            cuttingMoves: 0,
+            directionChanges: 0,
+            accelerationEvents: 0,
+            efficiency_score: 0
+        };
+
+        let previousAngle = 0;
+        let previousFeed = 0;
+
+        toolpath.forEach((move, index) => {
+            if (move.distance) {
+                analysis.totalDistance += move.distance;
+
+                if (move.type === 'G0') {
+                    analysis.rapidMoves++;
+                } else if (move.type === 'G1') {
+                    analysis.cuttingMoves++;
                 }
-                
-                previousAngle = angle;
-            }
-            
-            // Calculate acceleration events
-            if (Math.abs(move.feed - previousFeed) > 100) {
-                analysis.accelerationEvents++;
+
+                // Calculate direction changes
+                if (index > 0) {
+                    const prevMove = toolpath[index - 1];
+                    const angle = Math.atan2(move.to.y - move.from.y, move.to.x - move.from.x);
+                    const angleDiff = Math.abs(angle - previousAngle);
+
+                    if (angleDiff > Math.PI / 4) { // 45 degree threshold
+                        analysis.directionChanges++;
+                    }
+
+                    previousAngle = angle;
+                }
+
+                // Calculate acceleration events
+                if (Math.abs(move.feed - previousFeed) > 100) {
+                    analysis.accelerationEvents++;
+                }
+                previousFeed = move.feed;
             }
-            previousFeed = move.feed;
-        }
-    });
-    
-    // Calculate efficiency score using golden ratio weighting
-    const rapidRatio = analysis.rapidMoves / (analysis.rapidMoves + analysis.cuttingMoves);
-    const smoothnessRatio = 1 - (analysis.directionChanges / analysis.cuttingMoves);
-    const accelerationRatio = 1 - (analysis.accelerationEvents / toolpath.length);
-    
-    analysis.efficiency_score = (rapidRatio * this.PHI_INV + 
-                               smoothnessRatio * this.PHI + 
-                               accelerationRatio * 1.0) / 3;
-    
-    return analysis;
-}
+        });
 
-/**
- * ENHANCED: Comprehensive system with all new features
- */
-demonstrateEnhancedCapabilities() {
-    console.log("=== Enhanced CNC Golden Ratio System ===\n");
-    
-    // Generate bio-inspired leaf pattern
-    console.log("1. Bio-Inspired Leaf Pattern:");
-    const leafPath = this.generateLeafPattern(50, 50, 40, 25, 10, 5);
-    console.log(`   Generated ${leafPath.length} moves for organic leaf design`);
-    
-    // Generate metamaterial honeycomb
-    console.log("\n2. Metamaterial Honeycomb Pattern:");
-    const honeycombPath = this.generateMetamaterialHoneycomb(100, 100, 10, 5, 8, 2, 5);
-    console.log(`   Generated ${honeycombPath.length} moves for acoustic metamaterial`);
-    
-    // Generate Voronoi organic pattern  
-    console.log("\n3. Voronoi Organic Pattern:");
-    const voronoiPath = this.generateVoronoiOrganicPattern(100, 80, 13, 1, 5);
-    console.log(`   Generated ${voronoiPath.length} moves for organic flowing design`);
-    
-    // Generate fractal tree
-    console.log("\n4. Fractal Tree Pattern:");
-    const treePath = this.generateFractalTree(50, 10, 30, 5, 1, 4, 5);
-    console.log(`   Generated ${treePath.length} moves for fractal tree structure`);
-    
-    // Advanced feedrate calculations
-    console.log("\n5. Advanced Feedrate Optimization:");
-    const materials = ['aluminum', 'steel', 'titanium', 'carbon_fiber'];
-    materials.forEach(material => {
-        const feedrate = this.calculateAdvancedFeedrate(0.5, material, 6, 15000);
-        console.log(`   ${material}: ${feedrate} mm/min optimized feedrate`);
-    });
-    
-    // Fibonacci stepover calculations
-    console.log("\n6. Fibonacci Stepover Optimization:");
-    const stepover = this.calculateFibonacciStepover(6, 'aluminum', 0.8);
-    console.log(`   Optimal stepover: ${stepover.toFixed(3)} mm`);
-    
-    return {
-        leafMoves: leafPath.length,
-        honeycombMoves: honeycombPath.length,
-        voronoiMoves: voronoiPath.length,
-        treeMoves: treePath.length,
-        stepover: stepover
-    };
-}
-```
+        // Calculate efficiency score using golden ratio weighting
+        const rapidRatio = analysis.rapidMoves / (analysis.rapidMoves + analysis.cuttingMoves);
+        const smoothnessRatio = 1 - (analysis.directionChanges / analysis.cuttingMoves);
+        const accelerationRatio = 1 - (analysis.accelerationEvents / toolpath.length);
 
+        analysis.efficiency_score = (rapidRatio * this.PHI_INV + 
+                                   smoothnessRatio * this.PHI + 
+                                   accelerationRatio * 1.0) / 3;
+
+        return analysis;
+    }
+
+    /**
+     * ENHANCED: Comprehensive system with all new features
+     */
+    demonstrateEnhancedCapabilities() {
+        console.log("=== Enhanced CNC Golden Ratio System ===\n");
+
+        // Generate bio-inspired leaf pattern
+        console.log("1. Bio-Inspired Leaf Pattern:");
+        const leafPath = this.generateLeafPattern(50, 50, 40, 25, 10, 5);
+        console.log(`   Generated ${leafPath.length} moves for organic leaf design`);
+        const leafArcs = this.fitArcs(leafPath);
+        console.log(`   Arc fitting: ${leafArcs.linesAfter} moves (${(leafArcs.reduction * 100).toFixed(0)}% fewer), ` +
+                    `max deviation ${leafArcs.maxDeviation.toFixed(3)}mm`);
+
+        // Generate metamaterial honeycomb
+        console.log("\n2. Metamaterial Honeycomb Pattern:");
+        const honeycombPath = this.generateMetamaterialHoneycomb(100, 100, 10, 5, 8, 2, 5);
+        console.log(`   Generated ${honeycombPath.length} moves for acoustic metamaterial`);
+
+        // Generate Voronoi organic pattern  
+        console.log("\n3. Voronoi Organic Pattern:");
+        const voronoiPath = this.generateVoronoiOrganicPattern(100, 80, 13, 1, 5);
+        console.log(`   Generated ${voronoiPath.length} moves for organic flowing design`);
+
+        // Generate fractal tree
+        console.log("\n4. Fractal Tree Pattern:");
+        const treePath = this.generateFractalTree(50, 10, 30, 5, 1, 4, 5);
+        console.log(`   Generated ${treePath.length} moves for fractal tree structure`);
+
+        // Advanced feedrate calculations
+        console.log("\n5. Advanced Feedrate Optimization:");
+        const materials = ['aluminum', 'steel', 'titanium', 'carbon_fiber'];
+        materials.forEach(material => {
+            const feedrate = this.calculateAdvancedFeedrate(0.5, material, 6, 15000);
+            console.log(`   ${material}: ${feedrate} mm/min optimized feedrate`);
+        });
+
+        // Fibonacci stepover calculations
+        console.log("\n6. Fibonacci Stepover Optimization:");
+        const stepover = this.calculateFibonacciStepover(6, 'aluminum', 0.8);
+        console.log(`   Optimal stepover: ${stepover.toFixed(3)} mm`);
+
+        return {
+            leafMoves: leafPath.length,
+            honeycombMoves: honeycombPath.length,
+            voronoiMoves: voronoiPath.length,
+            treeMoves: treePath.length,
+            stepover: stepover
+        };
+    }
 }
 
-// Run comprehensive demonstration
-const enhancedSystem = new EnhancedCNCGoldenSystem();
-const results = enhancedSystem.demonstrateEnhancedCapabilities();
+module.exports = EnhancedCNCGoldenSystem;
+
+// Run the demonstration when executed directly
+if (require.main === module) {
+    const enhancedSystem = new EnhancedCNCGoldenSystem();
+    const results = enhancedSystem.demonstrateEnhancedCapabilities();
 
-console.log(”\n=== System Capabilities Summary ===”);
-console.log(`Bio-inspired patterns: ✓ (${results.leafMoves} moves generated)`);
-console.log(`Metamaterial structures: ✓ (${results.honeycombMoves} moves generated)`);
-console.log(`Organic flowing designs: ✓ (${results.voronoiMoves} moves generated)`);
-console.log(`Fractal mathematics: ✓ (${results.treeMoves} moves generated)`);
-console.log(`Advanced optimization: ✓ (${results.stepover.toFixed(3)}mm stepover)`);
+    console.log("\n=== System Capabilities Summary ===");
+    console.log(`Bio-inspired patterns: ✓ (${results.leafMoves} moves generated)`);
+    console.log(`Metamaterial structures: ✓ (${results.honeycombMoves} moves generated)`);
+    console.log(`Organic flowing designs: ✓ (${results.voronoiMoves} moves generated)`);
+    console.log(`Fractal mathematics: ✓ (${results.treeMoves} moves generated)`);
+    console.log(`Advanced optimization: ✓ (${results.stepover.toFixed(3)}mm stepover)`);
 
-console.log(`\n=== Ready for Integration with Bio-Design + Metamaterial Manufacturing! ===`);
+    console.log(`\n=== Ready for Integration with Bio-Design + Metamaterial Manufacturing! ===`);
+}
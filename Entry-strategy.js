@@ -0,0 +1,264 @@
+/**
+ * Entry Strategy
+ *
+ * How a cutter gets from above the material down to cutting depth:
+ *
+ * - `ramp`: zig-zags down along the start of the path it is about to cut,
+ *   no steeper than `rampAngle`
+ * - `helix`: spirals down on a circle tangent to the path, at the same angle
+ * - `predrill`: feeds straight into a hole drilled beforehand; the holes are
+ *   collected in `holes` for a drilling stage run first
+ * - `plunge`: feeds straight down
+ *
+ * A helix needs room beside the path and a ramp needs a path to follow, so
+ * a helix falls back to a ramp and a ramp to a plunge when they do not fit.
+ * Profiles (wall contours and outlines) can also start and end on tangent
+ * lead arcs of `leadIn` × the tool diameter, so the cutter reaches depth
+ * clear of the finished wall.
+ */
+
+class EntryStrategy {
+    constructor(settings = {}) {
+        this.STRATEGIES = ['ramp', 'helix', 'predrill', 'plunge'];
+
+        this.SETTINGS = {
+            strategy: 'ramp',
+            plungeRate: 200,        // mm/min for every descent
+            rampAngle: 3,           // degrees, steepest ramp or helix descent
+            rampLength: 2,          // longest ramp leg, as a fraction of the tool diameter
+            helixRadius: 0.5,       // as a fraction of the tool diameter
+            minHelixRadius: 0.1,    // smaller helices fall back to a ramp
+            leadIn: 0.5,            // profile lead arc radius, as a fraction of the tool diameter; 0 for none
+            lift: 0.5,              // mm above the material where the descent starts
+            ...settings
+        };
+        this.check(this.SETTINGS);
+
+        // Pre-drilled entry points: { id, x, y, depth }
+        this.holes = [];
+    }
+
+    /**
+     * Throw unless the settings describe a usable entry
+     */
+    check(settings) {
+        const problems = [];
+        if (!this.STRATEGIES.includes(settings.strategy)) {
+            problems.push(`strategy must be one of ${this.STRATEGIES.join(', ')}`);
+        }
+        if (!(settings.rampAngle > 0 && settings.rampAngle <= 90)) problems.push('rampAngle must be between 0 and 90 degrees');
+        ['plungeRate', 'rampLength', 'helixRadius'].forEach(key => {
+            if (!(settings[key] > 0)) problems.push(`${key} must be greater than zero`);
+        });
+        ['minHelixRadius', 'leadIn', 'lift'].forEach(key => {
+            if (!(settings[key] >= 0)) problems.push(`${key} must be at least zero`);
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid entry strategy: ${problems.join('; ')}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Moves from above `path[0]` down to `toZ` there, ready to cut along `path`
+     *
+     * Options: `tool`, `clearZ` (where the tool is), `topZ` (highest
+     * material under the entry), `toZ`, `room` (how far the tool centre may
+     * stray from the path, for a helix) and `plungeRate` to override the
+     * setting. Air above the material, or above `toZ` where the space is
+     * already cleared, is crossed with a rapid. Each move
+     * names the strategy used, which `strategyFor` also returns.
+     */
+    enter(path, options) {
+        const { tool, toZ } = options;
+        const start = path[0];
+        const plungeRate = options.plungeRate || this.SETTINGS.plungeRate;
+        const topZ = Math.min(options.topZ, options.clearZ);
+        const fromZ = Math.min(Math.max(topZ, toZ) + this.SETTINGS.lift, options.clearZ);
+        const moves = [];
+
+        if (options.clearZ > fromZ + 1e-9) {
+            moves.push({ cmd: 'G0', z: fromZ, comment: toZ >= topZ - 1e-9 ? 'Down through cleared space' : 'Down to the material' });
+        }
+        if (toZ >= topZ - 1e-9) {
+            moves.push({ cmd: 'G1', z: toZ, f: plungeRate, comment: 'Down to depth in cleared space' });
+            return moves;
+        }
+
+        const strategy = this.strategyFor(path, tool, options.room || 0);
+        if (strategy === 'helix') {
+            moves.push(...this.helixMoves(path, fromZ, toZ, this.helixRadius(tool, options.room), plungeRate));
+        } else if (strategy === 'ramp') {
+            moves.push(...this.rampMoves(path, fromZ, toZ, tool, plungeRate));
+        } else if (strategy === 'predrill') {
+            this.addHole(start, toZ);
+            moves.push({ cmd: 'G1', z: toZ, f: plungeRate, comment: 'Feed into the pre-drilled entry' });
+        } else {
+            moves.push({ cmd: 'G1', z: toZ, f: plungeRate, comment: 'Plunge to depth' });
+        }
+        return moves;
+    }
+
+    /**
+     * Strategy an entry along `path` will use, after falling back from a helix or ramp that does not fit
+     */
+    strategyFor(path, tool, room = 0) {
+        const helixFits = this.helixRadius(tool, room) >= this.SETTINGS.minHelixRadius * tool.diameter;
+        const rampFits = Math.min(this.pathLength(path), this.SETTINGS.rampLength * tool.diameter) >= tool.diameter / 4;
+        let strategy = this.SETTINGS.strategy;
+        if (strategy === 'helix' && !helixFits) strategy = 'ramp';
+        if (strategy === 'ramp' && !rampFits) strategy = helixFits ? 'helix' : 'plunge';
+        return strategy;
+    }
+
+    /**
+     * Helix radius that fits in `room` (the helix strays its diameter from the path)
+     */
+    helixRadius(tool, room = Infinity) {
+        return Math.min(this.SETTINGS.helixRadius * tool.diameter, room / 2);
+    }
+
+    /**
+     * Full turns needed to descend `depth` on a helix of `radius` within the ramp angle
+     */
+    helixTurns(radius, depth) {
+        const pitch = 2 * Math.PI * radius * Math.tan(this.SETTINGS.rampAngle * Math.PI / 180);
+        return Math.max(1, Math.ceil(depth / pitch - 1e-9));
+    }
+
+    /**
+     * Counter-clockwise helix through the start, leaving along the path, then a flat lap to clear its floor
+     */
+    helixMoves(path, fromZ, toZ, radius, plungeRate) {
+        const start = path[0];
+        const direction = this.direction(path);
+        const i = -direction.y * radius;
+        const j = direction.x * radius;
+        const turns = this.helixTurns(radius, fromZ - toZ);
+        const moves = [];
+
+        for (let k = 1; k <= turns; k++) {
+            moves.push({
+                cmd: 'G3', x: start.x, y: start.y, z: fromZ + (toZ - fromZ) * k / turns, i: i, j: j,
+                f: plungeRate, comment: k === 1 ? 'Helical entry' : `Helical entry turn ${k}`
+            });
+        }
+        moves.push({ cmd: 'G3', x: start.x, y: start.y, i: i, j: j, comment: 'Clear the entry floor' });
+        return moves;
+    }
+
+    /**
+     * Zig-zag down along the start of the path, ending back at its first point
+     */
+    rampMoves(path, fromZ, toZ, tool, plungeRate) {
+        const leg = this.along(path, this.SETTINGS.rampLength * tool.diameter);
+        const length = leg[leg.length - 1].distance;
+        const drop = length * Math.tan(this.SETTINGS.rampAngle * Math.PI / 180);
+        const legs = 2 * Math.ceil((fromZ - toZ) / (2 * drop) - 1e-9);
+        const moves = [];
+
+        for (let k = 0; k < legs; k++) {
+            const forward = k % 2 === 0;
+            const points = forward ? leg.slice(1) : leg.slice(0, -1).reverse();
+            points.forEach(point => {
+                const travelled = forward ? point.distance : length - point.distance;
+                moves.push({
+                    cmd: 'G1',
+                    x: point.x,
+                    y: point.y,
+                    z: fromZ - (fromZ - toZ) * (k * length + travelled) / (legs * length),
+                    ...(moves.length === 0 ? { f: plungeRate } : {}),
+                    comment: moves.length === 0 ? `Ramp entry at ${this.SETTINGS.rampAngle}°` : `Ramp leg ${k + 1}`
+                });
+            });
+        }
+        return moves;
+    }
+
+    /**
+     * Tangent lead arcs for a profile starting at `start` and travelling along `tangent`
+     *
+     * The arcs curve in from the `side` (a unit vector away from the
+     * finished wall). Returns the lead-in and lead-out points, the lead
+     * arc moves onto and off the profile and the lead-in arc as a polyline
+     * (`path`) to enter along; null without lead arcs.
+     */
+    leadArcs(start, tangent, side, tool) {
+        const radius = this.SETTINGS.leadIn * tool.diameter;
+        if (radius < 1e-6) return null;
+
+        // Counter-clockwise when the arc centre is left of travel
+        const rotation = tangent.x * side.y - tangent.y * side.x > 0 ? 'G3' : 'G2';
+        const center = { x: start.x + side.x * radius, y: start.y + side.y * radius };
+        const leadIn = { x: center.x - tangent.x * radius, y: center.y - tangent.y * radius };
+        const leadOut = { x: center.x + tangent.x * radius, y: center.y + tangent.y * radius };
+        const from = Math.atan2(leadIn.y - center.y, leadIn.x - center.x);
+        const sweep = rotation === 'G3' ? Math.PI / 2 : -Math.PI / 2;
+        const path = Array.from({ length: 9 }, (_, k) => ({
+            x: center.x + radius * Math.cos(from + sweep * k / 8),
+            y: center.y + radius * Math.sin(from + sweep * k / 8)
+        }));
+        return {
+            leadIn: leadIn,
+            leadOut: leadOut,
+            path: path,
+            arcIn: { cmd: rotation, x: start.x, y: start.y, i: center.x - leadIn.x, j: center.y - leadIn.y, comment: 'Lead-in arc' },
+            arcOut: { cmd: rotation, x: leadOut.x, y: leadOut.y, i: center.x - start.x, j: center.y - start.y, comment: 'Lead-out arc' }
+        };
+    }
+
+    /**
+     * Record a pre-drilled entry, keeping the deepest hole at each point
+     */
+    addHole(point, z) {
+        const existing = this.holes.find(hole => Math.hypot(hole.x - point.x, hole.y - point.y) < 0.01);
+        if (existing) {
+            existing.depth = Math.max(existing.depth, -z);
+        } else {
+            this.holes.push({ id: `Entry ${this.holes.length + 1}`, x: point.x, y: point.y, depth: -z });
+        }
+    }
+
+    /**
+     * Unit direction of the path's first segment (+X for a single point)
+     */
+    direction(path) {
+        const next = path.find(point => Math.hypot(point.x - path[0].x, point.y - path[0].y) > 1e-9);
+        if (!next) return { x: 1, y: 0 };
+        const length = Math.hypot(next.x - path[0].x, next.y - path[0].y);
+        return { x: (next.x - path[0].x) / length, y: (next.y - path[0].y) / length };
+    }
+
+    /**
+     * Points along the path up to `limit` mm from its start, with their distance along it
+     */
+    along(path, limit) {
+        const points = [{ x: path[0].x, y: path[0].y, distance: 0 }];
+        for (let k = 1; k < path.length; k++) {
+            const previous = points[points.length - 1];
+            const step = Math.hypot(path[k].x - previous.x, path[k].y - previous.y);
+            if (step < 1e-9) continue;
+            if (previous.distance + step >= limit) {
+                const t = (limit - previous.distance) / step;
+                points.push({
+                    x: previous.x + (path[k].x - previous.x) * t,
+                    y: previous.y + (path[k].y - previous.y) * t,
+                    distance: limit
+                });
+                break;
+            }
+            points.push({ x: path[k].x, y: path[k].y, distance: previous.distance + step });
+        }
+        return points;
+    }
+
+    /**
+     * XY length of a polyline
+     */
+    pathLength(path) {
+        return path.slice(1).reduce((sum, point, k) => sum + Math.hypot(point.x - path[k].x, point.y - path[k].y), 0);
+    }
+}
+
+module.exports = EntryStrategy;
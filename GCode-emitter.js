@@ -0,0 +1,412 @@
+/**
+ * G-code Text Emitter
+ *
+ * Serializes toolpath move lists into G-code text for a specific controller.
+ * Dialect profiles decide comment style, line numbering, dwell units and what
+ * happens to words or codes the controller does not understand.
+ */
+
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+
+class GCodeEmitter {
+    constructor() {
+        this.interpreter = new ToolpathInterpreter();
+
+        // Word order within a line, after the G/M codes
+        this.WORD_ORDER = ['X', 'Y', 'Z', 'A', 'I', 'J', 'K', 'R', 'P', 'Q', 'L', 'H', 'D', 'T', 'S', 'F'];
+
+        // Allowed radius mismatch between arc start and end (LinuxCNC uses 0.002mm)
+        this.ARC_TOLERANCE = 0.002;
+
+        // Codes that change where the cutter goes; never skipped on controllers without them
+        this.COMPENSATION_CODES = ['G41', 'G42'];
+
+        // Controller dialect profiles. arcTurns is 'native' (pass P through),
+        // 'expand' (split into single-turn arcs) or 'drop' (remove P with a warning)
+        this.DIALECTS = {
+            grbl: {
+                name: 'GRBL 1.1',
+                comments: 'paren',
+                lineNumbers: 'native',
+                programDelimiter: false,
+                dwell: { word: 'P', scale: 1 },         // seconds
+                arcTurns: 'expand',                     // no P word on G2/G3
+                modalMotion: true,
+                axes: ['X', 'Y', 'Z'],
+                toolChange: 'pause',                    // no M6 or G43 H: pause for a manual change
+                programEnd: 'M30',
+                unsupportedCode: 'error',
+                codes: ['G0', 'G1', 'G2', 'G3', 'G4', 'G10', 'G17', 'G18', 'G19', 'G20', 'G21',
+                        'G28', 'G30', 'G40', 'G43.1', 'G49', 'G53', 'G54', 'G55', 'G56', 'G57',
+                        'G58', 'G59', 'G61', 'G80', 'G90', 'G91', 'G91.1', 'G92', 'G93', 'G94',
+                        'M0', 'M1', 'M2', 'M3', 'M4', 'M5', 'M7', 'M8', 'M9', 'M30']
+            },
+            linuxcnc: {
+                name: 'LinuxCNC',
+                comments: 'paren',
+                lineNumbers: 'native',
+                programDelimiter: true,
+                dwell: { word: 'P', scale: 1 },         // seconds
+                arcTurns: 'native',                     // P = number of turns
+                modalMotion: true,
+                axes: ['X', 'Y', 'Z', 'A'],
+                toolChange: 'native',
+                programEnd: 'M2',
+                unsupportedCode: 'error',
+                codes: null                             // accepts the full RS274/NGC set
+            },
+            marlin: {
+                name: 'Marlin',
+                comments: 'semicolon',
+                lineNumbers: 'checksum',                // sequential N words with a *checksum
+                programDelimiter: false,
+                dwell: { word: 'P', scale: 1000 },      // milliseconds
+                arcTurns: 'expand',                     // P needs ARC_P_CIRCLES and counts differently
+                modalMotion: false,                     // every move repeats its G word
+                axes: ['X', 'Y', 'Z'],
+                toolChange: 'pause',                    // T selects an extruder on Marlin
+                programEnd: null,                       // M30 deletes an SD file on Marlin
+                unsupportedCode: 'comment',
+                codes: ['G0', 'G1', 'G2', 'G3', 'G4', 'G17', 'G18', 'G19', 'G20', 'G21',
+                        'G28', 'G90', 'G91', 'G92', 'M0', 'M1', 'M3', 'M4', 'M5', 'M400']
+            }
+        };
+
+        this.DEFAULT_OPTIONS = {
+            dialect: 'grbl',
+            precision: 3,               // decimal places for coordinates
+            feedPrecision: 0,           // decimal places for F words
+            inverseTimePrecision: 4,    // decimal places for F words under G93
+            modal: true,                // suppress repeated motion codes, feeds and axis words
+            lineNumbers: false,
+            lineNumberStart: 10,
+            lineNumberStep: 10,
+            comments: null,             // 'paren', 'semicolon' or 'none'; null uses the dialect
+            title: null
+        };
+    }
+
+    /**
+     * Look up a dialect profile by name
+     */
+    getDialect(name) {
+        const dialect = this.DIALECTS[String(name).toLowerCase()];
+        if (!dialect) {
+            throw new Error(`Unknown G-code dialect "${name}" (expected ${Object.keys(this.DIALECTS).join(', ')})`);
+        }
+        return dialect;
+    }
+
+    /**
+     * Serialize a toolpath into G-code text
+     *
+     * Returns the program text together with any warnings raised while
+     * adapting it to the selected dialect, and those the toolpath carries
+     * as comment-only moves starting "Warning: ".
+     */
+    emit(toolpath, options = {}) {
+        if (!Array.isArray(toolpath)) {
+            throw new Error('Toolpath must be an array of moves');
+        }
+
+        let settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const dialect = this.getDialect(settings.dialect);
+        const state = {
+            settings: settings,
+            dialect: dialect,
+            lines: [],
+            warnings: [],
+            lineNumber: settings.lineNumberStart,
+            motion: null,
+            feed: null,
+            position: {},
+            inverseTime: false
+        };
+
+        if (dialect.programDelimiter) state.lines.push('%');
+        if (settings.lineNumbers && dialect.lineNumbers === 'checksum') {
+            // Numbered lines must count up by one from the value set here
+            state.settings = settings = { ...settings, lineNumberStep: 1 };
+            state.lines.push(`M110 N${settings.lineNumberStart - 1}`);
+        }
+        if (settings.title) this.pushComment(state, settings.title);
+        this.pushComment(state, `Dialect: ${dialect.name}`);
+
+        this.interpreter.walk(toolpath).forEach(step => {
+            this.emitStep(state, step);
+        });
+
+        if (dialect.programDelimiter) state.lines.push('%');
+
+        return {
+            text: state.lines.join('\n') + '\n',
+            lineCount: state.lines.length,
+            dialect: dialect.name,
+            warnings: state.warnings
+        };
+    }
+
+    /**
+     * Emit a single interpreted toolpath step
+     */
+    emitStep(state, step) {
+        const { dialect } = state;
+        const words = { ...step.words };
+        let codes = [...step.codes];
+
+        if (codes.length === 0 && Object.keys(words).length === 0) {
+            if (step.comment) this.pushComment(state, step.comment);
+            // Generators flag what a program leaves undone in a comment of its own
+            if (step.comment && step.comment.startsWith('Warning: ')) {
+                state.warnings.push(step.comment.slice('Warning: '.length));
+            }
+            return;
+        }
+
+        // Program end codes are dialect-specific
+        if (codes.some(code => code === 'M2' || code === 'M30')) {
+            if (!dialect.programEnd) {
+                this.pushComment(state, `${codes.join(' ')} omitted: ${step.comment || 'program end'}`);
+                return;
+            }
+            codes = codes.map(code => (code === 'M2' || code === 'M30') ? dialect.programEnd : code);
+        }
+
+        // Dwell time is always given in seconds by the generators
+        if (codes.includes('G4') && words.P !== undefined) {
+            const seconds = words.P;
+            delete words.P;
+            words[dialect.dwell.word] = seconds * dialect.dwell.scale;
+        }
+
+        if (dialect.toolChange === 'pause' && (codes.includes('M6') || codes.includes('G43'))) {
+            this.emitManualToolChange(state, step, codes, words);
+            return;
+        }
+
+        const unsupported = codes.filter(code => dialect.codes && !dialect.codes.includes(code));
+        if (unsupported.length > 0) {
+            const message = `${unsupported.join(' ')} is not supported by ${dialect.name} (move ${step.index})`;
+            if (dialect.unsupportedCode === 'error' ||
+                unsupported.some(code => this.COMPENSATION_CODES.includes(code))) {
+                throw new Error(message);
+            }
+            state.warnings.push(message);
+            if (dialect.unsupportedCode === 'comment') {
+                this.pushComment(state, `${codes.join(' ')} skipped: ${step.comment || 'unsupported'}`);
+            }
+            return;
+        }
+
+        const missingAxis = this.interpreter.AXES.find(axis => words[axis] !== undefined && !dialect.axes.includes(axis));
+        if (missingAxis && step.motion) {
+            throw new Error(`${dialect.name} has no ${missingAxis} axis (move ${step.index})`);
+        }
+        if (state.inverseTime !== step.inverseTime) state.feed = null;    // F changes meaning with G93/G94
+        state.inverseTime = step.inverseTime;
+
+        if (step.motion === 'G2' || step.motion === 'G3') {
+            this.checkArc(state, step);
+
+            if (words.P !== undefined && dialect.arcTurns !== 'native') {
+                if (words.P > 1 && dialect.arcTurns === 'expand') {
+                    this.emitExpandedHelix(state, step, words);
+                    return;
+                }
+                if (words.P > 1) {
+                    state.warnings.push(`Dropped P${words.P} turn count from move ${step.index}`);
+                }
+                delete words.P;
+            }
+        }
+
+        this.pushBlock(state, codes, words, step.comment);
+    }
+
+    /**
+     * Turn M6 / G43 blocks into a program pause for controllers without a tool changer
+     *
+     * The operator swaps the tool and re-zeroes Z, which replaces the length offset.
+     */
+    emitManualToolChange(state, step, codes, words) {
+        if (codes.includes('M6')) {
+            this.pushComment(state, `Change to T${words.T}: ${step.comment || 'tool change'}`);
+            this.pushComment(state, 'Re-zero Z on the new tool, then resume');
+            this.pushBlock(state, ['M0'], {}, null);
+        } else if (!state.manualOffsetWarned) {
+            state.manualOffsetWarned = true;
+            state.warnings.push(`Tool length offsets (G43 H) replaced by manual Z touch-off ` +
+                                `after each tool change on ${state.dialect.name}`);
+        }
+    }
+
+    /**
+     * Replace a multi-turn helical arc with a series of single-turn arcs
+     *
+     * The P word counts turns the way LinuxCNC does: P1 is the arc to the end
+     * point and every extra turn adds one full circle before it. Z descends
+     * in proportion to the angle swept so the helix pitch stays constant.
+     */
+    emitExpandedHelix(state, step, words) {
+        const { from, to } = step;
+        const arc = this.interpreter.arcGeometry(step);
+        const turns = arc.turns;
+        const codes = [step.motion];
+
+        for (let turn = 1; turn < turns; turn++) {
+            const z = from.z + (to.z - from.z) * (2 * Math.PI * turn) / arc.sweep;
+            this.pushBlock(state, codes, {
+                X: from.x,
+                Y: from.y,
+                Z: z,
+                I: arc.center.x - from.x,
+                J: arc.center.y - from.y,
+                F: words.F
+            }, turn === 1 ? `${step.comment || 'Helix'} (turn ${turn} of ${turns})` : `Turn ${turn} of ${turns}`);
+        }
+
+        const finalWords = { ...words };
+        delete finalWords.P;
+        this.pushBlock(state, codes, finalWords, `Turn ${turns} of ${turns}`);
+    }
+
+    /**
+     * Warn when an arc's start and end radii differ beyond the controller tolerance
+     */
+    checkArc(state, step) {
+        const { from, to, words } = step;
+        if (words.R !== undefined) return;
+
+        const centerX = from.x + (words.I || 0);
+        const centerY = from.y + (words.J || 0);
+        const startRadius = Math.hypot(from.x - centerX, from.y - centerY);
+        const endRadius = Math.hypot(to.x - centerX, to.y - centerY);
+
+        if (Math.abs(startRadius - endRadius) > this.ARC_TOLERANCE) {
+            state.warnings.push(
+                `Arc at move ${step.index} has start radius ${startRadius.toFixed(3)} ` +
+                `but end radius ${endRadius.toFixed(3)}`
+            );
+        }
+    }
+
+    /**
+     * Format and append one block, applying modal suppression
+     */
+    pushBlock(state, codes, words, comment) {
+        const { settings } = state;
+        const parts = [];
+        const motionCode = codes.find(code => this.interpreter.MOTION_CODES.includes(code));
+        const isArc = motionCode === 'G2' || motionCode === 'G3';
+
+        codes.forEach(code => {
+            if (settings.modal && state.dialect.modalMotion && code === motionCode && code === state.motion) return;
+            parts.push(code);
+        });
+
+        this.WORD_ORDER.forEach(letter => {
+            const value = words[letter];
+            if (value === undefined || value === null) return;
+
+            if (letter === 'F') {
+                // Inverse-time feeds are per move: never suppressed, and need decimals
+                const inverseTime = state.inverseTime && motionCode;
+                const formatted = this.formatNumber(value, inverseTime ? settings.inverseTimePrecision : settings.feedPrecision);
+                if (settings.modal && !inverseTime && formatted === state.feed) return;
+                state.feed = formatted;
+                parts.push('F' + formatted);
+                return;
+            }
+
+            const formatted = this.formatNumber(value, settings.precision);
+            const axis = this.interpreter.AXES.includes(letter);
+            if (axis && motionCode && settings.modal && !isArc && state.position[letter] === formatted) return;
+            if (axis && motionCode) state.position[letter] = formatted;
+            parts.push(letter + formatted);
+        });
+
+        if (motionCode) {
+            // Every word was redundant: the move goes nowhere
+            if (parts.length === 0) return;
+            state.motion = motionCode;
+        }
+
+        this.pushLine(state, parts.join(' '), comment);
+    }
+
+    /**
+     * Append a comment on its own line
+     */
+    pushComment(state, text) {
+        const comment = this.formatComment(state, text);
+        if (comment) state.lines.push(comment);
+    }
+
+    /**
+     * Append a code line with optional line number, checksum and comment
+     */
+    pushLine(state, body, comment) {
+        const { settings, dialect } = state;
+        let line = body;
+
+        if (settings.lineNumbers && dialect.lineNumbers !== 'none') {
+            line = `N${state.lineNumber} ${body}`;
+            state.lineNumber += settings.lineNumberStep;
+
+            if (dialect.lineNumbers === 'checksum') {
+                // Marlin rejects numbered lines whose comment follows the checksum
+                line += '*' + this.checksum(line);
+                this.pushComment(state, comment);
+                state.lines.push(line);
+                return;
+            }
+        }
+
+        const formatted = this.formatComment(state, comment);
+        state.lines.push(formatted ? `${line} ${formatted}` : line);
+    }
+
+    /**
+     * Render comment text in the active comment style
+     */
+    formatComment(state, text) {
+        if (!text) return null;
+
+        const style = state.settings.comments || state.dialect.comments;
+        if (style === 'none') return null;
+
+        // Controllers only accept printable ASCII and no nested parentheses
+        const clean = String(text)
+            .replace(/°/g, ' deg')
+            .replace(/φ/g, 'phi')
+            .replace(/[()]/g, '')
+            .replace(/[^\x20-\x7E]/g, '')
+            .trim();
+        if (!clean) return null;
+
+        return style === 'semicolon' ? `; ${clean}` : `(${clean})`;
+    }
+
+    /**
+     * Format a number with fixed precision and no trailing zeros
+     */
+    formatNumber(value, precision) {
+        let text = Number(value).toFixed(precision);
+        if (text.includes('.')) text = text.replace(/0+$/, '').replace(/\.$/, '');
+        if (text === '-0') text = '0';
+        return text;
+    }
+
+    /**
+     * RepRap line checksum: XOR of every byte before the asterisk
+     */
+    checksum(line) {
+        let sum = 0;
+        for (let i = 0; i < line.length; i++) {
+            sum ^= line.charCodeAt(i);
+        }
+        return sum & 0xFF;
+    }
+}
+
+module.exports = GCodeEmitter;
@@ -0,0 +1,303 @@
+/**
+ * Interface Pressure Map
+ *
+ * Simplified biomechanical estimate of the pressure between the residual
+ * limb and the socket wall. Each cell of a depth × angle grid on the inner
+ * wall acts as a spring: soft tissue (thinner over bony prominences) in
+ * series with the bending stiffness of the local wall. The springs are
+ * loaded by the fit interference (limb radius minus socket radius, plus
+ * the height of any prominence standing out of the limb) and by the limb
+ * sinking into the taper under an axial load.
+ *
+ * High-pressure cells are grouped into zones that comfort channels can be
+ * routed through instead of the fixed golden spiral.
+ */
+
+const { ClinicalValidationError } = require('./Clinical-validator.js');
+
+class InterfacePressureMap {
+    constructor(model = {}) {
+        this.MODEL = {
+            rows: 24,                   // grid cells down the socket
+            columns: 72,                // grid cells around it (5°)
+            tissueModulus: 0.1,         // MPa, soft tissue under the socket
+            tissueThickness: 15,        // mm of soft tissue over bone
+            minimumTissue: 2,           // mm left over the tip of a prominence
+            wallModulus: 50000,         // MPa, carbon fibre composite
+            poissonRatio: 0.3,
+            limbTaper: 0.8,             // distal/proximal limb radius for parametric designs
+            load: 50,                   // N pushing the limb into the socket
+            friction: 0.5,              // skin or liner against the wall
+            highPressure: 40,           // kPa: cells above this form zones
+            ...model
+        };
+
+        // Comfort channels cut through high-pressure zones
+        this.CHANNELS = {
+            width: 2.0,                 // mm, matches the channel cutter
+            depth: 1.5,                 // mm, deepest relief
+            spacing: 2.0,               // mm between channel points
+            minimumLength: 10,          // mm along the limb
+            pitch: 30,                  // mm of wall between grooves across a wide zone
+            minimumSkin: 0.3            // mm of wall kept behind the groove
+        };
+    }
+
+    /**
+     * Estimate the interface pressure over the inner wall
+     *
+     * `radiusAt(depth, angle)` and `wallThicknessAt(depth)` describe the
+     * socket; `prominences` are `{ name, angle, depth, radius, height }` in
+     * degrees and mm. Returns the grid in kPa (`pressure[row][column]` at
+     * `depths[row]`, `angles[column]`), its peak and mean, how far the limb
+     * sinks under the load, and the high-pressure zones.
+     */
+    estimate(socket, radiusAt, wallThicknessAt, prominences = []) {
+        const problems = this.checkProminences(prominences, socket.length);
+        if (problems.length > 0) throw new ClinicalValidationError(problems, 'pressure model');
+
+        const model = this.MODEL;
+        const rowHeight = socket.length / model.rows;
+        const depths = Array.from({ length: model.rows }, (_, row) => (row + 0.5) * rowHeight);
+        const angles = Array.from({ length: model.columns }, (_, column) => column * 360 / model.columns);
+
+        // Spring, fit interference and taper of every cell
+        const cells = depths.map(depth => angles.map(angle => {
+            const radius = radiusAt(depth, angle);
+            const before = Math.max(depth - 0.5, 0);
+            const after = Math.min(depth + 0.5, socket.length);
+            const taper = Math.atan(-(radiusAt(after, angle) - radiusAt(before, angle)) / (after - before));
+            const bone = this.prominenceAt(prominences, depth, angle, radius);
+
+            const tissue = Math.max(model.tissueThickness - bone.height, model.minimumTissue);
+            const wall = wallThicknessAt(depth);
+            const rigidity = model.wallModulus * Math.pow(wall, 3) / (12 * (1 - model.poissonRatio * model.poissonRatio));
+            const tissueStiffness = model.tissueModulus / tissue;
+            const wallStiffness = rigidity / Math.pow(radius, 4);   // plate spanning about one radius
+
+            return {
+                stiffness: 1 / (1 / tissueStiffness + 1 / wallStiffness),   // MPa/mm
+                // A prominence stands out of the limb surface by its (tapered) height
+                interference: this.limbRadiusAt(socket, depth, angle, radius) - radius + bone.height,
+                sin: Math.sin(taper),
+                support: Math.sin(taper) + model.friction * Math.cos(taper),
+                area: 2 * Math.PI * radius / model.columns * rowHeight,
+                prominence: bone.name
+            };
+        }));
+        const flat = cells.flat();
+
+        // Sink the limb until the wall carries the load; cells out of contact carry nothing
+        let sink = 0;
+        for (let iteration = 0; iteration < 50; iteration++) {
+            const contact = flat.filter(cell => cell.interference + sink * cell.sin > 0);
+            const carried = contact.reduce((sum, cell) => sum + cell.stiffness * cell.interference * cell.support * cell.area, 0);
+            const rate = contact.reduce((sum, cell) => sum + cell.stiffness * cell.sin * cell.support * cell.area, 0);
+            const next = rate > 0 ? Math.max((model.load - carried) / rate, 0) : 0;
+            if (Math.abs(next - sink) < 1e-6) break;
+            sink = next;
+        }
+
+        const pressure = cells.map(row => row.map(cell =>
+            Math.round(Math.max(cell.stiffness * (cell.interference + sink * cell.sin), 0) * 1000 * 100) / 100));
+
+        let peak = { pressure: -Infinity, depth: 0, angle: 0 };
+        pressure.forEach((row, r) => row.forEach((value, c) => {
+            if (value > peak.pressure) peak = { pressure: value, depth: depths[r], angle: angles[c] };
+        }));
+        const values = pressure.flat();
+
+        return {
+            units: 'kPa',
+            depths: depths,
+            angles: angles,
+            pressure: pressure,
+            peak: peak,
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            sink: sink,
+            load: model.load,
+            threshold: model.highPressure,
+            prominences: prominences.map(prominence => ({ ...prominence })),
+            zones: this.findZones(pressure, depths, angles, cells, rowHeight)
+        };
+    }
+
+    /**
+     * Problems with bony prominence definitions
+     */
+    checkProminences(prominences, length) {
+        const problems = [];
+        if (!Array.isArray(prominences)) {
+            return [{ field: 'prominences', code: 'type', message: 'prominences must be an array', value: prominences }];
+        }
+        prominences.forEach((prominence, index) => {
+            const field = `prominences[${index}]`;
+            const check = (key, valid, message) => {
+                if (!valid(prominence[key])) {
+                    problems.push({ field: `${field}.${key}`, code: 'range', message: `${field}.${key} ${message}`, value: prominence[key] });
+                }
+            };
+            check('angle', value => typeof value === 'number' && Number.isFinite(value), 'must be a finite number');
+            check('depth', value => value >= 0 && value <= length, `must be within the socket (0–${length.toFixed(1)} mm)`);
+            check('radius', value => value > 0, 'must be a positive number');
+            check('height', value => value > 0, 'must be a positive number');
+        });
+        return problems;
+    }
+
+    /**
+     * Bone height under a point: a cos² bump over each prominence's radius
+     */
+    prominenceAt(prominences, depth, angle, radius) {
+        let bone = { name: null, height: 0 };
+        prominences.forEach((prominence, index) => {
+            const turn = ((angle - prominence.angle) % 360 + 540) % 360 - 180;
+            const distance = Math.hypot(turn * Math.PI / 180 * radius, depth - prominence.depth);
+            if (distance >= prominence.radius) return;
+            const height = prominence.height * Math.pow(Math.cos(Math.PI / 2 * distance / prominence.radius), 2);
+            if (height > bone.height) bone = { name: prominence.name || `Prominence ${index + 1}`, height: height };
+        });
+        return bone;
+    }
+
+    /**
+     * Unloaded limb radius at a point on the wall
+     *
+     * Scan designs record how much each slice was compressed; parametric
+     * designs assume a limb that tapers to `limbTaper` of its brim radius
+     * over the residual length.
+     */
+    limbRadiusAt(socket, depth, angle, socketRadius) {
+        if (socket.profile) {
+            const profile = socket.profile;
+            const upper = profile.findIndex(slice => slice.depth >= depth);
+            let compression;
+            if (upper <= 0) {
+                compression = profile[upper === 0 ? 0 : profile.length - 1].compression;
+            } else {
+                const lower = profile[upper - 1];
+                const t = (depth - lower.depth) / (profile[upper].depth - lower.depth);
+                compression = lower.compression + (profile[upper].compression - lower.compression) * t;
+            }
+            return socketRadius / (1 - compression);
+        }
+
+        const residualLength = (socket.measurements && socket.measurements.residualLength) || socket.length / 0.85;
+        return socket.proximalDiameter / 2 * (1 - (1 - this.MODEL.limbTaper) * depth / residualLength);
+    }
+
+    /**
+     * Connected regions above the high-pressure threshold, worst first
+     *
+     * Cells join their neighbours up, down and around (wrapping at 360°).
+     */
+    findZones(pressure, depths, angles, cells, rowHeight) {
+        const rows = pressure.length;
+        const columns = angles.length;
+        const seen = pressure.map(row => row.map(() => false));
+        const zones = [];
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < columns; c++) {
+                if (seen[r][c] || pressure[r][c] < this.MODEL.highPressure) continue;
+
+                const members = [];
+                const stack = [[r, c]];
+                seen[r][c] = true;
+                while (stack.length > 0) {
+                    const [row, column] = stack.pop();
+                    members.push([row, column]);
+                    [[row - 1, column], [row + 1, column], [row, (column + 1) % columns], [row, (column - 1 + columns) % columns]]
+                        .forEach(([nr, nc]) => {
+                            if (nr < 0 || nr >= rows || seen[nr][nc] || pressure[nr][nc] < this.MODEL.highPressure) return;
+                            seen[nr][nc] = true;
+                            stack.push([nr, nc]);
+                        });
+                }
+
+                const [peakRow, peakColumn] = members.reduce((best, cell) =>
+                    pressure[cell[0]][cell[1]] > pressure[best[0]][best[1]] ? cell : best);
+                const memberRows = members.map(([row]) => row);
+                const prominence = cells[peakRow][peakColumn].prominence;
+
+                // Arc the zone covers on the peak's row, walking out from the peak
+                const inRow = new Set(members.filter(([row]) => row === peakRow).map(([, column]) => column));
+                let first = 0;
+                let last = 0;
+                while (first > -columns + 1 && inRow.has((peakColumn + first - 1 + columns) % columns)) first--;
+                while (last - first < columns - 1 && inRow.has((peakColumn + last + 1) % columns)) last++;
+                const step = 360 / columns;
+                const start = ((angles[peakColumn] + (first - 0.5) * step) % 360 + 360) % 360;
+
+                zones.push({
+                    peak: pressure[peakRow][peakColumn],
+                    depth: depths[peakRow],
+                    angle: angles[peakColumn],
+                    depthRange: [Math.min(...memberRows) * rowHeight, (Math.max(...memberRows) + 1) * rowHeight],
+                    angleRange: [start, start + (last - first + 1) * step],     // may run past 360°
+                    area: members.reduce((sum, [row, column]) => sum + cells[row][column].area, 0),
+                    cells: members.length,
+                    ...(prominence ? { prominence: prominence } : {})
+                });
+            }
+        }
+
+        return zones
+            .sort((a, b) => b.peak - a.peak)
+            .map((zone, index) => ({ id: `ZONE_${index + 1}`, ...zone }));
+    }
+
+    /**
+     * Comfort channels through the high-pressure zones
+     *
+     * Grooves run down the limb over the zone's depth range (at least
+     * `minimumLength`): one through the peak, or one every `pitch` of wall
+     * across a zone wider than that. Groove depth is the relief depth limited
+     * by the thinnest wall crossed. Points carry `group` (zone ID and groove)
+     * so separate grooves are never joined.
+     */
+    targetChannels(socket, map, radiusAt, wallThicknessAt, options = {}) {
+        const settings = { ...this.CHANNELS, ...options };
+        const channels = [];
+
+        map.zones.forEach(zone => {
+            const centre = (zone.depthRange[0] + zone.depthRange[1]) / 2;
+            const half = Math.max(zone.depthRange[1] - zone.depthRange[0], settings.minimumLength) / 2;
+            const top = Math.max(centre - half, 0);
+            const bottom = Math.min(centre + half, socket.length);
+            const steps = Math.max(1, Math.ceil((bottom - top) / settings.spacing));
+
+            const zs = Array.from({ length: steps + 1 }, (_, k) => top + (bottom - top) * k / steps);
+            const thinnest = Math.min(...zs.map(z => wallThicknessAt(z)));
+            const depth = Math.floor(Math.min(settings.depth, thinnest - settings.minimumSkin) * 10) / 10;
+            if (depth <= 0) return;
+
+            const [from, to] = zone.angleRange;
+            const arc = (to - from) * Math.PI / 180 * radiusAt(zone.depth, zone.angle);
+            const count = Math.max(1, Math.floor(arc / settings.pitch));
+            const grooveAngles = count === 1
+                ? [zone.angle]
+                : Array.from({ length: count }, (_, k) => ((from + (to - from) * (k + 0.5) / count) % 360 + 360) % 360);
+
+            grooveAngles.forEach((angle, groove) => {
+                const theta = angle * Math.PI / 180;
+                zs.forEach(z => {
+                    const radius = radiusAt(z, angle);
+                    channels.push({
+                        x: radius * Math.cos(theta),
+                        y: radius * Math.sin(theta),
+                        depth: depth,
+                        width: settings.width,
+                        angle: angle,
+                        z: z,
+                        group: count === 1 ? zone.id : `${zone.id}.${groove + 1}`
+                    });
+                });
+            });
+        });
+
+        return channels;
+    }
+}
+
+module.exports = InterfacePressureMap;
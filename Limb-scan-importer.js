@@ -0,0 +1,664 @@
+/**
+ * Residual Limb Scan Importer
+ *
+ * Reads structured-light scans (STL, OBJ, PLY), aligns the limb's long axis
+ * with Z and slices the surface into circumference profiles that drive
+ * ProstheticCNCSystem.designSocketFromScan.
+ *
+ * Aligned coordinates: Z is depth from the proximal (widest) end, so z = 0 at
+ * the socket brim and z = length at the distal end, matching sensor positions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LimbScanImporter {
+    constructor() {
+        // Bytes per PLY scalar type
+        this.PLY_TYPES = {
+            char: 1, int8: 1, uchar: 1, uint8: 1,
+            short: 2, int16: 2, ushort: 2, uint16: 2,
+            int: 4, int32: 4, uint: 4, uint32: 4,
+            float: 4, float32: 4, double: 8, float64: 8
+        };
+
+        this.SLICE_DEFAULTS = {
+            spacing: 5,             // mm between slices
+            angularBins: 72,        // 5° radial resolution
+            endMargin: 0.5          // mm kept clear of the open scan ends
+        };
+
+        // Closed scans fall back to the direction of largest variance, which only
+        // finds the limb axis when the limb is clearly longer than it is wide
+        this.AXIS_DEFAULTS = {
+            minimumElongation: 1.5, // largest over second-largest surface variance
+            maximumWidening: 0.05   // fraction a slice may exceed the brim circumference
+        };
+    }
+
+    /**
+     * Load a scan file, choosing the parser from its extension
+     */
+    load(filePath) {
+        const data = fs.readFileSync(filePath);
+        const extension = path.extname(filePath).toLowerCase();
+
+        switch (extension) {
+            case '.stl': return this.parseSTL(data);
+            case '.obj': return this.parseOBJ(data.toString('utf8'));
+            case '.ply': return this.parsePLY(data);
+            default:
+                throw new Error(`Unsupported scan format "${extension}" (expected .stl, .obj or .ply)`);
+        }
+    }
+
+    /**
+     * Parse binary or ASCII STL into an indexed mesh
+     */
+    parseSTL(data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+
+        // Binary files can also start with "solid", so trust the size check first
+        if (buffer.length >= 84) {
+            const count = buffer.readUInt32LE(80);
+            if (buffer.length === 84 + count * 50) {
+                return this.parseBinarySTL(buffer, count);
+            }
+        }
+
+        const text = buffer.toString('utf8');
+        if (!/^\s*solid/.test(text)) {
+            throw new Error('STL data is neither valid binary nor ASCII');
+        }
+        return this.parseAsciiSTL(text);
+    }
+
+    /**
+     * Parse binary STL triangles
+     */
+    parseBinarySTL(buffer, count) {
+        const vertices = [];
+        const faces = [];
+
+        for (let i = 0; i < count; i++) {
+            const offset = 84 + i * 50 + 12; // skip the facet normal
+            const face = [];
+            for (let v = 0; v < 3; v++) {
+                const base = offset + v * 12;
+                face.push(vertices.length);
+                vertices.push({
+                    x: buffer.readFloatLE(base),
+                    y: buffer.readFloatLE(base + 4),
+                    z: buffer.readFloatLE(base + 8)
+                });
+            }
+            faces.push(face);
+        }
+
+        return { vertices, faces, format: 'stl-binary' };
+    }
+
+    /**
+     * Parse ASCII STL triangles
+     */
+    parseAsciiSTL(text) {
+        const vertices = [];
+        const faces = [];
+        const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        let match;
+        let face = [];
+
+        while ((match = pattern.exec(text)) !== null) {
+            face.push(vertices.length);
+            vertices.push({ x: parseFloat(match[1]), y: parseFloat(match[2]), z: parseFloat(match[3]) });
+            if (face.length === 3) {
+                faces.push(face);
+                face = [];
+            }
+        }
+
+        if (faces.length === 0) throw new Error('ASCII STL contains no facets');
+        return { vertices, faces, format: 'stl-ascii' };
+    }
+
+    /**
+     * Parse Wavefront OBJ vertices and faces, triangulating polygons as fans
+     */
+    parseOBJ(text) {
+        const vertices = [];
+        const faces = [];
+
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'v') {
+                vertices.push({ x: parseFloat(parts[1]), y: parseFloat(parts[2]), z: parseFloat(parts[3]) });
+            } else if (parts[0] === 'f') {
+                // "f 1/2/3 4/5/6 ..." - only the position index matters; negatives count from the end
+                const indices = parts.slice(1).map(part => {
+                    const index = parseInt(part.split('/')[0], 10);
+                    return index < 0 ? vertices.length + index : index - 1;
+                });
+                if (indices.some(index => isNaN(index) || index < 0 || index >= vertices.length)) {
+                    throw new Error(`OBJ face on line ${lineIndex + 1} references a missing vertex`);
+                }
+                for (let i = 1; i < indices.length - 1; i++) {
+                    faces.push([indices[0], indices[i], indices[i + 1]]);
+                }
+            }
+        });
+
+        if (faces.length === 0) throw new Error('OBJ contains no faces');
+        return { vertices, faces, format: 'obj' };
+    }
+
+    /**
+     * Parse ASCII or binary (either endianness) PLY vertex and face elements
+     */
+    parsePLY(data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const headerEnd = buffer.indexOf('end_header');
+        if (buffer.toString('ascii', 0, 3) !== 'ply' || headerEnd < 0) {
+            throw new Error('PLY data is missing its header');
+        }
+
+        const header = this.parsePLYHeader(buffer.toString('ascii', 0, headerEnd));
+        let bodyStart = headerEnd + 'end_header'.length;
+        if (buffer[bodyStart] === 0x0D) bodyStart++;
+        if (buffer[bodyStart] === 0x0A) bodyStart++;
+
+        const reader = header.format === 'ascii'
+            ? this.plyAsciiReader(buffer.toString('utf8', bodyStart))
+            : this.plyBinaryReader(buffer, bodyStart, header.format === 'binary_little_endian');
+
+        const vertices = [];
+        const faces = [];
+
+        header.elements.forEach(element => {
+            for (let i = 0; i < element.count; i++) {
+                const values = {};
+                element.properties.forEach(property => {
+                    if (property.list) {
+                        const length = reader.read(property.countType);
+                        values[property.name] = [];
+                        for (let k = 0; k < length; k++) values[property.name].push(reader.read(property.type));
+                    } else {
+                        values[property.name] = reader.read(property.type);
+                    }
+                });
+
+                if (element.name === 'vertex') {
+                    vertices.push({ x: values.x, y: values.y, z: values.z });
+                } else if (element.name === 'face') {
+                    const indices = values.vertex_indices || values.vertex_index || [];
+                    for (let k = 1; k < indices.length - 1; k++) {
+                        faces.push([indices[0], indices[k], indices[k + 1]]);
+                    }
+                }
+            }
+        });
+
+        if (faces.length === 0) throw new Error('PLY contains no faces');
+        return { vertices, faces, format: `ply-${header.format}` };
+    }
+
+    /**
+     * Read the element and property declarations of a PLY header
+     */
+    parsePLYHeader(text) {
+        const header = { format: null, elements: [] };
+
+        text.split(/\r?\n/).forEach(line => {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'format') {
+                header.format = parts[1];
+            } else if (parts[0] === 'element') {
+                header.elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+            } else if (parts[0] === 'property') {
+                const element = header.elements[header.elements.length - 1];
+                if (parts[1] === 'list') {
+                    element.properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+                } else {
+                    element.properties.push({ name: parts[2], list: false, type: parts[1] });
+                }
+            }
+        });
+
+        if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+            throw new Error(`Unsupported PLY format "${header.format}"`);
+        }
+        return header;
+    }
+
+    /**
+     * Sequential value reader over an ASCII PLY body
+     */
+    plyAsciiReader(text) {
+        const tokens = text.split(/\s+/).filter(Boolean);
+        let index = 0;
+        return {
+            read: () => {
+                if (index >= tokens.length) throw new Error('PLY body ended early');
+                return parseFloat(tokens[index++]);
+            }
+        };
+    }
+
+    /**
+     * Sequential value reader over a binary PLY body
+     */
+    plyBinaryReader(buffer, start, littleEndian) {
+        let offset = start;
+        const suffix = littleEndian ? 'LE' : 'BE';
+        const readers = {
+            1: { signed: 'readInt8', unsigned: 'readUInt8' },
+            2: { signed: `readInt16${suffix}`, unsigned: `readUInt16${suffix}` },
+            4: { signed: `readInt32${suffix}`, unsigned: `readUInt32${suffix}`, float: `readFloat${suffix}` },
+            8: { float: `readDouble${suffix}` }
+        };
+
+        return {
+            read: (type) => {
+                const size = this.PLY_TYPES[type];
+                if (!size) throw new Error(`Unknown PLY property type "${type}"`);
+                const kind = /float|double/.test(type) ? 'float' : /^u/.test(type) ? 'unsigned' : 'signed';
+                const value = buffer[readers[size][kind]](offset);
+                offset += size;
+                return value;
+            }
+        };
+    }
+
+    /**
+     * Rotate and translate a mesh so the limb axis runs along +Z from the proximal end
+     *
+     * A scan open at the brim is aligned on its rim: the axis is the normal of
+     * the open rim, pointing into the limb, so short limbs that are wider than
+     * they are long align too. A closed scan falls back to the principal
+     * direction of the area-weighted surface, with the proximal end at the
+     * larger mean radius, and is rejected unless it is clearly elongated.
+     */
+    alignAxis(mesh) {
+        const principal = this.principalAxis(mesh);
+        const { centroid } = principal;
+        const rim = this.openRim(mesh);
+        let axis = principal.axis;
+
+        if (rim) {
+            const inward = rim.normal.x * (centroid.x - rim.center.x) +
+                rim.normal.y * (centroid.y - rim.center.y) +
+                rim.normal.z * (centroid.z - rim.center.z);
+            axis = inward >= 0 ? rim.normal : { x: -rim.normal.x, y: -rim.normal.y, z: -rim.normal.z };
+        } else if (principal.elongation < this.AXIS_DEFAULTS.minimumElongation) {
+            throw new Error(`Closed scan is not clearly longer than it is wide (principal variance ratio ` +
+                            `${principal.elongation.toFixed(2)}, minimum ${this.AXIS_DEFAULTS.minimumElongation}); ` +
+                            `export it open at the brim so the limb axis can be found`);
+        }
+        const rotation = this.rotationToZ(axis);
+
+        let vertices = mesh.vertices.map(vertex => this.rotate(rotation, {
+            x: vertex.x - centroid.x,
+            y: vertex.y - centroid.y,
+            z: vertex.z - centroid.z
+        }));
+
+        // Scans run to hundreds of thousands of vertices: avoid spreading them into Math.min
+        const minZ = vertices.reduce((min, vertex) => Math.min(min, vertex.z), Infinity);
+        const maxZ = vertices.reduce((max, vertex) => Math.max(max, vertex.z), -Infinity);
+        const band = (maxZ - minZ) * 0.1;
+        const meanRadius = (low, high) => {
+            const ring = vertices.filter(vertex => vertex.z >= low && vertex.z <= high);
+            return ring.reduce((sum, vertex) => sum + Math.hypot(vertex.x, vertex.y), 0) / (ring.length || 1);
+        };
+
+        // Depth grows from the proximal brim toward the distal end; the rim already points distally
+        const proximalAtTop = !rim && meanRadius(maxZ - band, maxZ) > meanRadius(minZ, minZ + band);
+        vertices = vertices.map(vertex => proximalAtTop
+            ? { x: vertex.x, y: -vertex.y, z: maxZ - vertex.z }
+            : { x: vertex.x, y: vertex.y, z: vertex.z - minZ });
+
+        return {
+            vertices: vertices,
+            faces: mesh.faces,
+            format: mesh.format,
+            length: maxZ - minZ,
+            alignment: { centroid, axis, flipped: proximalAtTop, method: rim ? 'rim' : 'principal' }
+        };
+    }
+
+    /**
+     * Area-weighted centroid and dominant direction of a triangle mesh
+     *
+     * `elongation` is the largest surface variance over the second largest:
+     * near 1 when no direction stands out.
+     */
+    principalAxis(mesh) {
+        const points = [];
+        let totalArea = 0;
+        const centroid = { x: 0, y: 0, z: 0 };
+
+        mesh.faces.forEach(([a, b, c]) => {
+            const p = mesh.vertices[a];
+            const q = mesh.vertices[b];
+            const r = mesh.vertices[c];
+            const cross = this.cross(
+                { x: q.x - p.x, y: q.y - p.y, z: q.z - p.z },
+                { x: r.x - p.x, y: r.y - p.y, z: r.z - p.z }
+            );
+            const area = Math.hypot(cross.x, cross.y, cross.z) / 2;
+            const center = { x: (p.x + q.x + r.x) / 3, y: (p.y + q.y + r.y) / 3, z: (p.z + q.z + r.z) / 3 };
+
+            points.push({ center, area });
+            totalArea += area;
+            centroid.x += center.x * area;
+            centroid.y += center.y * area;
+            centroid.z += center.z * area;
+        });
+
+        if (totalArea === 0) throw new Error('Scan mesh has no surface area');
+        centroid.x /= totalArea;
+        centroid.y /= totalArea;
+        centroid.z /= totalArea;
+
+        // Covariance matrix of the surface about its centroid
+        const cov = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        points.forEach(({ center, area }) => {
+            const d = [center.x - centroid.x, center.y - centroid.y, center.z - centroid.z];
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) cov[i][j] += d[i] * d[j] * area;
+            }
+        });
+
+        // Power iteration converges on the largest-variance direction: the limb axis
+        const dominant = matrix => {
+            let vector = [0.3, 0.5, 0.8];
+            for (let iteration = 0; iteration < 100; iteration++) {
+                const next = matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+                const norm = Math.hypot(...next) || 1;
+                vector = next.map(value => value / norm);
+            }
+            const variance = matrix.reduce((sum, row, i) =>
+                sum + vector[i] * (row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]), 0);
+            return { vector, variance };
+        };
+        const first = dominant(cov);
+        // Deflate to find the next direction for the elongation
+        const second = dominant(cov.map((row, i) => row.map((value, j) =>
+            value - first.variance * first.vector[i] * first.vector[j])));
+        const vector = first.vector;
+
+        return {
+            centroid,
+            axis: { x: vector[0], y: vector[1], z: vector[2] },
+            elongation: second.variance > 0 ? first.variance / second.variance : Infinity
+        };
+    }
+
+    /**
+     * Centre and unit normal of the longest loop of open edges, or null for a closed mesh
+     *
+     * An open edge belongs to one face only. STL repeats vertices for every
+     * facet, so edges are matched on vertex position rather than index.
+     */
+    openRim(mesh) {
+        const keys = mesh.vertices.map(vertex => `${vertex.x.toFixed(4)},${vertex.y.toFixed(4)},${vertex.z.toFixed(4)}`);
+        const edges = new Map();
+        mesh.faces.forEach(face => face.forEach((from, k) => {
+            const to = face[(k + 1) % face.length];
+            if (keys[from] === keys[to]) return;
+            const key = keys[from] < keys[to] ? `${keys[from]}|${keys[to]}` : `${keys[to]}|${keys[from]}`;
+            const edge = edges.get(key);
+            if (edge) edge.faces++;
+            else edges.set(key, { from, to, faces: 1 });
+        }));
+
+        const neighbours = new Map();
+        const points = new Map();
+        edges.forEach(({ from, to, faces }) => {
+            if (faces !== 1) return;
+            [[from, to], [to, from]].forEach(([a, b]) => {
+                if (!neighbours.has(keys[a])) neighbours.set(keys[a], []);
+                neighbours.get(keys[a]).push(keys[b]);
+                points.set(keys[a], mesh.vertices[a]);
+            });
+        });
+
+        // Walk each loop in order, keeping the longest: small scan holes are ignored
+        let rim = null;
+        const visited = new Set();
+        neighbours.forEach((_, start) => {
+            if (visited.has(start)) return;
+            const loop = [];
+            let previous = null;
+            let current = start;
+            while (current !== undefined && !visited.has(current)) {
+                visited.add(current);
+                loop.push(points.get(current));
+                const next = neighbours.get(current).find(key => key !== previous && !visited.has(key));
+                previous = current;
+                current = next;
+            }
+            if (loop.length < 3) return;
+
+            let perimeter = 0;
+            const center = { x: 0, y: 0, z: 0 };
+            loop.forEach((point, i) => {
+                const next = loop[(i + 1) % loop.length];
+                const length = Math.hypot(next.x - point.x, next.y - point.y, next.z - point.z);
+                perimeter += length;
+                center.x += (point.x + next.x) / 2 * length;
+                center.y += (point.y + next.y) / 2 * length;
+                center.z += (point.z + next.z) / 2 * length;
+            });
+            if (perimeter === 0 || (rim && perimeter <= rim.perimeter)) return;
+            center.x /= perimeter;
+            center.y /= perimeter;
+            center.z /= perimeter;
+
+            // The loop's vector area is normal to the rim whatever its shape
+            const area = { x: 0, y: 0, z: 0 };
+            loop.forEach((point, i) => {
+                const next = loop[(i + 1) % loop.length];
+                const cross = this.cross(
+                    { x: point.x - center.x, y: point.y - center.y, z: point.z - center.z },
+                    { x: next.x - center.x, y: next.y - center.y, z: next.z - center.z }
+                );
+                area.x += cross.x / 2;
+                area.y += cross.y / 2;
+                area.z += cross.z / 2;
+            });
+            const size = Math.hypot(area.x, area.y, area.z);
+            if (size === 0) return;
+            rim = { center, perimeter, normal: { x: area.x / size, y: area.y / size, z: area.z / size } };
+        });
+
+        return rim;
+    }
+
+    /**
+     * Rotation matrix taking a unit vector onto +Z (Rodrigues' formula)
+     */
+    rotationToZ(axis) {
+        const v = this.cross(axis, { x: 0, y: 0, z: 1 });
+        const s = Math.hypot(v.x, v.y, v.z);
+        const c = axis.z;
+
+        if (s < 1e-12) {
+            return c > 0
+                ? [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+                : [[1, 0, 0], [0, -1, 0], [0, 0, -1]];
+        }
+
+        const k = (1 - c) / (s * s);
+        return [
+            [1 - k * (v.y * v.y + v.z * v.z), -v.z + k * v.x * v.y, v.y + k * v.x * v.z],
+            [v.z + k * v.x * v.y, 1 - k * (v.x * v.x + v.z * v.z), -v.x + k * v.y * v.z],
+            [-v.y + k * v.x * v.z, v.x + k * v.y * v.z, 1 - k * (v.x * v.x + v.y * v.y)]
+        ];
+    }
+
+    /**
+     * Slice an aligned mesh into radial circumference profiles along Z
+     *
+     * Each slice stores the radius at evenly spaced angles around the limb
+     * axis (outermost surface hit per angle), the resulting circumference,
+     * and the raw perimeter of every cut segment for comparison.
+     */
+    slice(alignedMesh, options = {}) {
+        const settings = { ...this.SLICE_DEFAULTS, ...options };
+        const { vertices, faces, length } = alignedMesh;
+        const start = settings.endMargin;
+        const end = length - settings.endMargin;
+        const count = Math.max(2, Math.floor((end - start) / settings.spacing) + 1);
+        const step = (end - start) / (count - 1);
+        const levels = Array.from({ length: count }, (_, i) => start + i * step);
+        const segments = levels.map(() => []);
+
+        // Each triangle only visits the planes its Z range crosses
+        faces.forEach(face => {
+            const points = face.map(index => vertices[index]);
+            const zs = points.map(point => point.z);
+            const first = Math.max(0, Math.ceil((Math.min(...zs) - start) / step));
+            const last = Math.min(count - 1, Math.floor((Math.max(...zs) - start) / step));
+
+            for (let level = first; level <= last; level++) {
+                const segment = this.intersectTriangle(points, levels[level]);
+                if (segment) segments[level].push(segment);
+            }
+        });
+
+        const slices = levels.map((z, index) => this.profileSlice(z, segments[index], settings.angularBins))
+            .filter(slice => slice !== null);
+
+        if (slices.length < 2) throw new Error('Scan produced fewer than two usable slices');
+
+        return {
+            length: length,
+            angularBins: settings.angularBins,
+            slices: slices
+        };
+    }
+
+    /**
+     * Line segment where a triangle crosses the plane z = level
+     */
+    intersectTriangle(points, level) {
+        const crossings = [];
+        for (let i = 0; i < 3; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % 3];
+            if ((a.z - level) * (b.z - level) < 0 || (a.z === level && b.z !== level)) {
+                const t = (level - a.z) / (b.z - a.z);
+                crossings.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+            }
+        }
+        return crossings.length >= 2 ? [crossings[0], crossings[1]] : null;
+    }
+
+    /**
+     * Reduce a slice's cut segments to a radial profile
+     *
+     * Radii are measured from the aligned limb axis (x = y = 0) so they can be
+     * machined directly; the slice centroid is kept to show axis drift.
+     */
+    profileSlice(z, segments, bins) {
+        if (segments.length < 3) return null;
+
+        let perimeter = 0;
+        const center = { x: 0, y: 0 };
+        segments.forEach(([a, b]) => {
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            perimeter += length;
+            center.x += (a.x + b.x) / 2 * length;
+            center.y += (a.y + b.y) / 2 * length;
+        });
+        if (perimeter === 0) return null;
+        center.x /= perimeter;
+        center.y /= perimeter;
+
+        const radii = new Array(bins).fill(null);
+        const binWidth = 2 * Math.PI / bins;
+        segments.forEach(segment => {
+            segment.forEach(point => {
+                let angle = Math.atan2(point.y, point.x);
+                if (angle < 0) angle += 2 * Math.PI;
+                const bin = Math.floor(angle / binWidth) % bins;
+                const radius = Math.hypot(point.x, point.y);
+                if (radii[bin] === null || radius > radii[bin]) radii[bin] = radius;
+            });
+        });
+
+        // Sparse scans leave empty bins; fill them from the nearest neighbours around the ring
+        const filled = radii.map((radius, bin) => {
+            if (radius !== null) return radius;
+            let before = bin;
+            let after = bin;
+            let distance = 0;
+            while (radii[before] === null && distance < bins) { before = (before - 1 + bins) % bins; distance++; }
+            distance = 0;
+            while (radii[after] === null && distance < bins) { after = (after + 1) % bins; distance++; }
+            return ((radii[before] || 0) + (radii[after] || 0)) / 2;
+        });
+
+        let circumference = 0;
+        filled.forEach((radius, bin) => {
+            const next = filled[(bin + 1) % bins];
+            const a = bin * binWidth;
+            const b = (bin + 1) * binWidth;
+            circumference += Math.hypot(next * Math.cos(b) - radius * Math.cos(a), next * Math.sin(b) - radius * Math.sin(a));
+        });
+
+        return {
+            depth: z,
+            center: center,
+            radii: filled,
+            circumference: circumference,
+            perimeter: perimeter,
+            meanRadius: filled.reduce((sum, radius) => sum + radius, 0) / bins
+        };
+    }
+
+    /**
+     * Load, align and slice a scan in one call
+     */
+    importScan(filePath, options = {}) {
+        const mesh = this.load(filePath);
+        const aligned = this.alignAxis(mesh);
+        const profile = this.slice(aligned, options);
+
+        // A residual limb narrows toward its end; widening means the axis or brim is wrong
+        const brim = profile.slices[0];
+        const widest = profile.slices.reduce((max, slice) => slice.circumference > max.circumference ? slice : max, brim);
+        if (widest.circumference > brim.circumference * (1 + this.AXIS_DEFAULTS.maximumWidening)) {
+            throw new Error(`Scan widens from ${brim.circumference.toFixed(1)}mm at the brim to ` +
+                            `${widest.circumference.toFixed(1)}mm at ${widest.depth.toFixed(1)}mm deep; ` +
+                            `check that it is a residual limb open at the brim`);
+        }
+        profile.source = { file: path.basename(filePath), format: mesh.format, triangles: mesh.faces.length };
+        profile.alignment = aligned.alignment;
+        return profile;
+    }
+
+    /**
+     * Apply a 3x3 rotation matrix to a point
+     */
+    rotate(matrix, point) {
+        return {
+            x: matrix[0][0] * point.x + matrix[0][1] * point.y + matrix[0][2] * point.z,
+            y: matrix[1][0] * point.x + matrix[1][1] * point.y + matrix[1][2] * point.z,
+            z: matrix[2][0] * point.x + matrix[2][1] * point.y + matrix[2][2] * point.z
+        };
+    }
+
+    /**
+     * Cross product of two vectors
+     */
+    cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+}
+
+module.exports = LimbScanImporter;
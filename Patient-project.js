@@ -0,0 +1,402 @@
+/**
+ * Patient Project Files
+ *
+ * A versioned JSON record of one patient's sockets: the measurements and
+ * design parameters of every fitting, the artifacts generated from them
+ * (socket, toolpath, metrics, report) and a diff between any two revisions,
+ * so a refit shows exactly what changed. Toolpaths run to tens of thousands
+ * of moves, so each revision keeps only a reference (move count and SHA-256)
+ * and the moves are regenerated from the recorded inputs on demand.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const ToolLibrary = require('./Tool-library.js');
+const ShopCostModel = require('./Shop-cost-model.js');
+
+class PatientProject {
+    constructor(system) {
+        this.system = system;   // ProstheticCNCSystem that runs each stage
+
+        this.FORMAT = 'prosthetic-cnc-project';
+        this.VERSION = 2;           // 1 stored every toolpath in full
+
+        // Generation order: each stage is built from the inputs and the stages before it
+        this.STAGES = ['socket', 'toolpath', 'metrics', 'report'];
+
+        this.DEFAULT_DESIGN = {
+            material: 'socket',
+            layout: {},                 // EMGElectrodeLayout template and options
+            channels: 'spiral',         // or 'pressure' to target high-pressure zones
+            pressure: {},               // { prominences, model, channels } for the pressure map
+            scan: null,                 // { file, options } to design from a limb scan
+            machining: 'three-axis',    // or 'rotary'
+            toolpath: {},               // generateSocketToolpath / generateRotaryToolpath options
+            tools: null,                // { tools: [...], assignments: {...} } for a custom ToolLibrary
+            machine: {},                // calculateMetrics machine overrides
+            costing: {}                 // ShopCostModel configuration (rates, stock prices, tools)
+        };
+    }
+
+    /**
+     * Start a project with its first revision
+     */
+    create(patientData, design = {}, note = 'Initial fitting') {
+        const project = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            patient: { id: patientData.id },
+            revisions: []
+        };
+        this.addRevision(project, { measurements: patientData.measurements, design: design }, note);
+        return project;
+    }
+
+    /**
+     * Add a revision that changes measurements and/or design parameters
+     *
+     * Anything not given is carried over from the latest revision; every
+     * stage is regenerated for the new inputs.
+     */
+    addRevision(project, changes = {}, note = '') {
+        const previous = project.revisions[project.revisions.length - 1];
+        const base = previous ? previous.inputs : { measurements: {}, design: this.DEFAULT_DESIGN };
+        const inputs = {
+            measurements: { ...base.measurements, ...changes.measurements },
+            design: { ...this.DEFAULT_DESIGN, ...base.design, ...changes.design }
+        };
+
+        const revision = {
+            revision: previous ? previous.revision + 1 : 1,
+            created: new Date().toISOString(),
+            note: note,
+            inputs: inputs,
+            artifacts: this.buildStages(project, inputs, 'socket', {})
+        };
+        project.revisions.push(revision);
+        return revision;
+    }
+
+    /**
+     * Regenerate one stage of a revision and every stage after it
+     *
+     * Used after a software or shop-setting change; the inputs stay as recorded.
+     */
+    regenerate(project, stage, revisionNumber = null) {
+        if (!this.STAGES.includes(stage)) {
+            throw new Error(`Unknown stage "${stage}" (expected ${this.STAGES.join(', ')})`);
+        }
+        const revision = this.getRevision(project, revisionNumber);
+        revision.artifacts = this.buildStages(project, revision.inputs, stage, revision.artifacts);
+        revision.regenerated = { stage: stage, at: new Date().toISOString() };
+        return revision;
+    }
+
+    /**
+     * Toolpath moves of a revision (the latest by default), regenerated from its inputs
+     *
+     * Throws when the moves no longer match the recorded reference, as after
+     * a software or tool library change; regenerate the 'toolpath' stage to
+     * record the new program.
+     */
+    toolpath(project, revisionNumber = null) {
+        const revision = this.getRevision(project, revisionNumber);
+        return this.recordedToolpath(revision.artifacts, revision.inputs.design);
+    }
+
+    /**
+     * Regenerate the toolpath behind a set of artifacts and check it against their reference
+     */
+    recordedToolpath(artifacts, design) {
+        const moves = this.generateToolpath(artifacts.socket, design);
+        const generated = this.toolpathReference(moves);
+        if (generated.sha256 !== artifacts.toolpath.sha256) {
+            throw new Error(`Toolpath no longer matches the recorded one (${artifacts.toolpath.moves} moves, ` +
+                            `now ${generated.moves}); regenerate the toolpath stage`);
+        }
+        return moves;
+    }
+
+    /**
+     * Build artifacts from a stage onward, reusing the ones before it
+     */
+    buildStages(project, inputs, fromStage, artifacts) {
+        const system = this.system;
+        const { design } = inputs;
+        const result = { ...artifacts };
+        const start = this.STAGES.indexOf(fromStage);
+        let moves = null;
+
+        this.STAGES.slice(start).forEach(stage => {
+            switch (stage) {
+                case 'socket': {
+                    const options = { layout: design.layout, channels: design.channels, pressure: design.pressure };
+                    result.socket = design.scan
+                        ? system.designSocketFromScanFile(design.scan.file, inputs.measurements,
+                                                          { ...design.scan.options, ...options })
+                        : system.designSocket(inputs.measurements, options);
+                    break;
+                }
+                case 'toolpath':
+                    moves = this.generateToolpath(result.socket, design);
+                    result.toolpath = this.toolpathReference(moves);
+                    break;
+                case 'metrics':
+                    if (!moves) moves = this.recordedToolpath(result, design);
+                    result.metrics = system.calculateMetrics(moves, design.material, design.machine, {
+                        model: new ShopCostModel(design.costing),
+                        stock: system.stockFor(result.socket)
+                    });
+                    break;
+                case 'report': {
+                    // Scan designs take the circumference from the scan, so report what the socket was built from
+                    const patientData = {
+                        id: project.patient.id,
+                        measurements: { ...inputs.measurements, ...result.socket.measurements }
+                    };
+                    result.report = system.generateReport(patientData, result.socket, result.metrics);
+                    break;
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Toolpath for a socket with a revision's design parameters
+     */
+    generateToolpath(socket, design) {
+        const options = { ...design.toolpath, tools: this.toolLibrary(design.tools) };
+        return design.machining === 'rotary'
+            ? this.system.generateRotaryToolpath(socket, design.material, options)
+            : this.system.generateSocketToolpath(socket, design.material, options);
+    }
+
+    /**
+     * What a project records of a toolpath: its move count and the SHA-256 of its moves
+     */
+    toolpathReference(moves) {
+        return {
+            moves: moves.length,
+            sha256: crypto.createHash('sha256').update(JSON.stringify(moves)).digest('hex')
+        };
+    }
+
+    /**
+     * ToolLibrary described by a project's `design.tools`, or the default library
+     */
+    toolLibrary(spec) {
+        if (!spec) return new ToolLibrary();
+        const tools = new ToolLibrary(spec.tools || null);
+        Object.entries(spec.assignments || {}).forEach(([operation, number]) => tools.assign(operation, number));
+        return tools;
+    }
+
+    /**
+     * A revision by number; the latest when no number is given
+     */
+    getRevision(project, revisionNumber = null) {
+        if (project.revisions.length === 0) throw new Error('Project has no revisions');
+        if (revisionNumber === null || revisionNumber === undefined) {
+            return project.revisions[project.revisions.length - 1];
+        }
+        const revision = project.revisions.find(entry => entry.revision === revisionNumber);
+        if (!revision) throw new Error(`Project ${project.patient.id} has no revision ${revisionNumber}`);
+        return revision;
+    }
+
+    /**
+     * Compare two revisions
+     *
+     * Reports changed measurements and socket dimensions, sensors moved,
+     * added or removed (moves measured along the wall), peak interface
+     * pressure when both designs have a pressure map, and toolpath, time
+     * and cost deltas, plus one readable summary line per change.
+     */
+    diff(project, fromNumber, toNumber) {
+        const from = this.getRevision(project, fromNumber);
+        const to = this.getRevision(project, toNumber);
+        const a = from.artifacts;
+        const b = to.artifacts;
+        const summary = [];
+        const change = (before, after) => ({ from: before, to: after, delta: after - before });
+        const changed = (before, after) => Math.abs(after - before) >= 0.01;   // below report precision
+
+        const measurements = {};
+        Object.keys({ ...a.socket.measurements, ...b.socket.measurements }).forEach(key => {
+            const before = a.socket.measurements[key];
+            const after = b.socket.measurements[key];
+            if (before === undefined || after === undefined || changed(before, after)) {
+                measurements[key] = { from: before, to: after, delta: (after || 0) - (before || 0) };
+                summary.push(`${key}: ${this.format(before)} → ${this.format(after)} mm`);
+            }
+        });
+
+        const dimensions = {};
+        [
+            ['proximalDiameter', socket => socket.proximalDiameter],
+            ['distalDiameter', socket => socket.distalDiameter],
+            ['length', socket => socket.length],
+            ['wallThickness.proximal', socket => socket.wallThickness.proximal],
+            ['wallThickness.middle', socket => socket.wallThickness.middle],
+            ['wallThickness.distal', socket => socket.wallThickness.distal]
+        ].forEach(([name, read]) => {
+            const before = read(a.socket);
+            const after = read(b.socket);
+            if (changed(before, after)) {
+                dimensions[name] = change(before, after);
+                summary.push(`${name}: ${before.toFixed(1)} → ${after.toFixed(1)} mm (${this.signed(after - before)})`);
+            }
+        });
+
+        const sensors = { moved: [], added: [], removed: [], pocketChanged: [] };
+        const before = new Map(a.socket.sensorPositions.map(sensor => [sensor.id, sensor]));
+        const after = new Map(b.socket.sensorPositions.map(sensor => [sensor.id, sensor]));
+        after.forEach((sensor, id) => {
+            const old = before.get(id);
+            if (!old) {
+                sensors.added.push(id);
+                summary.push(`${id} added at ${sensor.angle.toFixed(1)}°, ${sensor.z.toFixed(1)} mm deep`);
+                return;
+            }
+            const turn = ((sensor.angle - old.angle) % 360 + 540) % 360 - 180;
+            const radius = this.system.socketRadiusAt(b.socket, sensor.z, sensor.angle);
+            const distance = Math.hypot(turn * Math.PI / 180 * radius, sensor.z - old.z);
+            if (distance >= 0.1) {
+                sensors.moved.push({ id: id, angle: change(old.angle, old.angle + turn), depth: change(old.z, sensor.z), distance: distance });
+                const parts = [
+                    ...(Math.abs(turn) >= 0.05 ? [`${this.signed(turn)}°`] : []),
+                    ...(Math.abs(sensor.z - old.z) >= 0.05 ? [`${this.signed(sensor.z - old.z)} mm deep`] : [])
+                ];
+                summary.push(`${id} moved ${distance.toFixed(1)} mm (${parts.join(', ')})`);
+            }
+            const oldPocket = this.system.sensorPocketSize(old);
+            const newPocket = this.system.sensorPocketSize(sensor);
+            if (changed(oldPocket.diameter, newPocket.diameter) || changed(oldPocket.depth, newPocket.depth)) {
+                sensors.pocketChanged.push({ id: id, from: oldPocket, to: newPocket });
+                summary.push(`${id} pocket ${oldPocket.diameter}×${oldPocket.depth} → ${newPocket.diameter}×${newPocket.depth} mm`);
+            }
+        });
+        before.forEach((sensor, id) => {
+            if (!after.has(id)) {
+                sensors.removed.push(id);
+                summary.push(`${id} removed`);
+            }
+        });
+
+        let pressure = null;
+        if (a.socket.pressureMap && b.socket.pressureMap) {
+            pressure = {
+                peak: change(a.socket.pressureMap.peak.pressure, b.socket.pressureMap.peak.pressure),
+                mean: change(a.socket.pressureMap.mean, b.socket.pressureMap.mean),
+                zones: change(a.socket.pressureMap.zones.length, b.socket.pressureMap.zones.length)
+            };
+            if (changed(pressure.peak.from, pressure.peak.to)) {
+                summary.push(`Peak pressure: ${pressure.peak.from.toFixed(1)} → ${pressure.peak.to.toFixed(1)} kPa ` +
+                             `(${this.signed(pressure.peak.delta)})`);
+            }
+        }
+
+        const pathLength = metrics => metrics.cuttingDistance + metrics.rapidDistance;
+        const toolpath = {
+            moves: change(a.toolpath.moves, b.toolpath.moves),
+            length: change(pathLength(a.metrics), pathLength(b.metrics)),
+            cuttingDistance: change(a.metrics.cuttingDistance, b.metrics.cuttingDistance),
+            totalTime: change(a.metrics.totalTime, b.metrics.totalTime)
+        };
+        if (changed(toolpath.length.from, toolpath.length.to)) {
+            summary.push(`Toolpath length: ${(toolpath.length.from / 1000).toFixed(2)} → ` +
+                         `${(toolpath.length.to / 1000).toFixed(2)} m (${this.signed(toolpath.length.delta / 1000)} m)`);
+        }
+        if (changed(toolpath.totalTime.from, toolpath.totalTime.to)) {
+            summary.push(`Machining time: ${toolpath.totalTime.from.toFixed(1)} → ${toolpath.totalTime.to.toFixed(1)} min ` +
+                         `(${this.signed(toolpath.totalTime.delta)})`);
+        }
+
+        const costs = {};
+        Object.keys(b.metrics.costs).forEach(key => {
+            if (typeof b.metrics.costs[key] !== 'number') return;
+            costs[key] = change(a.metrics.costs[key] || 0, b.metrics.costs[key]);
+        });
+        if (costs.total && changed(costs.total.from, costs.total.to)) {
+            const money = new ShopCostModel({ currency: b.metrics.costs.currency || 'USD' });
+            summary.push(`Total cost: ${money.format(costs.total.from)} → ${money.format(costs.total.to)} ` +
+                         `(${costs.total.delta >= 0 ? '+' : '-'}${money.format(Math.abs(costs.total.delta))})`);
+        }
+
+        return {
+            from: from.revision,
+            to: to.revision,
+            measurements: measurements,
+            dimensions: dimensions,
+            sensors: sensors,
+            pressure: pressure,
+            toolpath: toolpath,
+            costs: costs,
+            summary: summary
+        };
+    }
+
+    /**
+     * Project as JSON text
+     */
+    serialize(project) {
+        return JSON.stringify(project, null, 2) + '\n';
+    }
+
+    /**
+     * Parse project JSON, checking its format and version
+     *
+     * Version 1 files have their stored toolpaths replaced by references.
+     */
+    parse(text) {
+        const project = JSON.parse(text);
+        if (!project || project.format !== this.FORMAT) {
+            throw new Error(`Not a ${this.FORMAT} file`);
+        }
+        if (project.version > this.VERSION) {
+            throw new Error(`Project version ${project.version} is newer than supported version ${this.VERSION}`);
+        }
+        if (!Array.isArray(project.revisions)) {
+            throw new Error('Project has no revision list');
+        }
+        project.revisions.forEach(revision => {
+            if (revision.artifacts && Array.isArray(revision.artifacts.toolpath)) {
+                revision.artifacts.toolpath = this.toolpathReference(revision.artifacts.toolpath);
+            }
+        });
+        project.version = this.VERSION;
+        return project;
+    }
+
+    /**
+     * Write a project to a .json file
+     */
+    save(project, filePath) {
+        fs.writeFileSync(filePath, this.serialize(project));
+    }
+
+    /**
+     * Read a project from a .json file
+     */
+    load(filePath) {
+        return this.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Number with a sign for deltas
+     */
+    signed(value, digits = 1) {
+        return (value >= 0 ? '+' : '') + value.toFixed(digits);
+    }
+
+    /**
+     * Measurement value for summaries; missing values print as a dash
+     */
+    format(value) {
+        return value === undefined ? '–' : value.toFixed(1);
+    }
+}
+
+module.exports = PatientProject;
@@ -1,5 +1,6 @@
-Golden Ratio Fractal Coding System
-
+/**
+ * Golden Ratio Fractal Coding System
+ *
  * A compression algorithm based on golden ratio self-similarity
  */
 
@@ -360,53 +361,57 @@ class GoldenRatioFractalCodec {
     }
 }
 
-// Example usage and demonstration
-const codec = new GoldenRatioFractalCodec();
+module.exports = GoldenRatioFractalCodec;
 
-// Generate test data with fractal properties
-console.log("=== Golden Ratio Fractal Codec Demo ===\n");
+// Run the demonstration when executed directly
+if (require.main === module) {
+    const codec = new GoldenRatioFractalCodec();
 
-const testData = codec.generateFractalTestData(500);
-console.log(`Generated test data: ${testData.length} samples`);
+    // Generate test data with fractal properties
+    console.log("=== Golden Ratio Fractal Codec Demo ===\n");
 
-// Encode the data
-const encoded = codec.encode(testData);
-console.log("\nEncoding Results:");
-console.log(`Success: ${encoded.success}`);
-if (encoded.success) {
-    console.log(`Original size: ${encoded.originalSize} samples`);
-    console.log(`Compressed size: ${encoded.compressedSize} bytes`);
-    console.log(`Compression ratio: ${(encoded.compressionRatio * 100).toFixed(2)}%`);
-    console.log(`Golden ratio scale used: ${encoded.goldenRatioScale}`);
-    console.log(`Processing time: ${encoded.processingTime.toFixed(2)}ms`);
-    console.log(`Patterns detected: ${encoded.patterns}`);
-}
+    const testData = codec.generateFractalTestData(500);
+    console.log(`Generated test data: ${testData.length} samples`);
 
-// Analyze compression quality
-if (encoded.success) {
-    const analysis = codec.analyzeCompression(testData, encoded);
-    console.log("\nCompression Analysis:");
-    console.log(`Size saving: ${analysis.sizeSaving}`);
-    console.log(`Mean Squared Error: ${analysis.meanSquaredError.toFixed(6)}`);
-    console.log(`PSNR: ${analysis.peakSignalToNoiseRatio.toFixed(2)} dB`);
-    console.log(`Golden ratio utilization: Scale ${analysis.goldenRatioUtilization}`);
-}
+    // Encode the data
+    const encoded = codec.encode(testData);
+    console.log("\nEncoding Results:");
+    console.log(`Success: ${encoded.success}`);
+    if (encoded.success) {
+        console.log(`Original size: ${encoded.originalSize} samples`);
+        console.log(`Compressed size: ${encoded.compressedSize} bytes`);
+        console.log(`Compression ratio: ${(encoded.compressionRatio * 100).toFixed(2)}%`);
+        console.log(`Golden ratio scale used: ${encoded.goldenRatioScale}`);
+        console.log(`Processing time: ${encoded.processingTime.toFixed(2)}ms`);
+        console.log(`Patterns detected: ${encoded.patterns}`);
+    }
 
-// Demonstrate golden spiral coordinates
-console.log("\n=== Golden Spiral Coordinates ===");
-const spiralPoints = codec.goldenSpiral(10);
-spiralPoints.forEach((point, i) => {
-    console.log(`Point ${i}: (${point.x.toFixed(3)}, ${point.y.toFixed(3)})`);
-});
+    // Analyze compression quality
+    if (encoded.success) {
+        const analysis = codec.analyzeCompression(testData, encoded);
+        console.log("\nCompression Analysis:");
+        console.log(`Size saving: ${analysis.sizeSaving}`);
+        console.log(`Mean Squared Error: ${analysis.meanSquaredError.toFixed(6)}`);
+        console.log(`PSNR: ${analysis.peakSignalToNoiseRatio.toFixed(2)} dB`);
+        console.log(`Golden ratio utilization: Scale ${analysis.goldenRatioUtilization}`);
+    }
+
+    // Demonstrate golden spiral coordinates
+    console.log("\n=== Golden Spiral Coordinates ===");
+    const spiralPoints = codec.goldenSpiral(10);
+    spiralPoints.forEach((point, i) => {
+        console.log(`Point ${i}: (${point.x.toFixed(3)}, ${point.y.toFixed(3)})`);
+    });
 
-// Show Fibonacci sequence
-console.log("\n=== Fibonacci Sequence (Golden Ratio Related) ===");
-const fibSeq = codec.fibonacci(15);
-console.log(fibSeq.join(', '));
+    // Show Fibonacci sequence
+    console.log("\n=== Fibonacci Sequence (Golden Ratio Related) ===");
+    const fibSeq = codec.fibonacci(15);
+    console.log(fibSeq.join(', '));
 
-// Calculate golden ratio approximations from Fibonacci
-console.log("\nGolden Ratio Approximations from Fibonacci:");
-for (let i = 1; i < Math.min(10, fibSeq.length - 1); i++) {
-    const ratio = fibSeq[i + 1] / fibSeq[i];
-    console.log(`F(${i+2})/F(${i+1}) = ${ratio.toFixed(6)} (φ ≈ ${codec.PHI.toFixed(6)})`);
+    // Calculate golden ratio approximations from Fibonacci
+    console.log("\nGolden Ratio Approximations from Fibonacci:");
+    for (let i = 1; i < Math.min(10, fibSeq.length - 1); i++) {
+        const ratio = fibSeq[i + 1] / fibSeq[i];
+        console.log(`F(${i+2})/F(${i+1}) = ${ratio.toFixed(6)} (φ ≈ ${codec.PHI.toFixed(6)})`);
+    }
 }
@@ -0,0 +1,354 @@
+/**
+ * Production Scheduler
+ *
+ * Plans a queue of patient jobs through the workshop: design, machining of
+ * each part on a mill that can run it, finishing, fitting and delivery, in
+ * that order. Work happens inside the shift hours on working days; mills
+ * and staff take one task at a time, in queue order. The result gives each
+ * patient a timeline and projected delivery date, and each mill its load.
+ */
+
+class ProductionScheduler {
+    constructor(config = {}) {
+        // Dependency order: each phase starts when the one before it has finished
+        this.PHASES = ['design', 'machining', 'finishing', 'fitting', 'delivery'];
+
+        const defaults = {
+            start: new Date(),
+            shifts: [{ start: 8, end: 16 }],    // hours of the working day (local time)
+            workDays: [1, 2, 3, 4, 5],          // Monday to Friday
+            holidays: [],                       // 'YYYY-MM-DD'
+
+            // Mills: the 4-axis mill also runs 3-axis programs. Optional
+            // `availableFrom` and `downtime: [{ start, end }]` block time out.
+            machines: [
+                { id: 'MILL_1', name: '3-axis mill', capabilities: ['three-axis'] },
+                { id: 'MILL_2', name: '4-axis mill (A axis)', capabilities: ['three-axis', 'rotary'] }
+            ],
+
+            // People available for each staffed phase
+            staff: { designer: 1, technician: 1, prosthetist: 1 },
+
+            // Working minutes per phase; machining time comes from each part's metrics
+            phases: {
+                design: { minutes: 960, resource: 'designer' },
+                machining: { setupMinutes: 45 },            // fixturing per part, on the mill
+                finishing: { minutes: 480, resource: 'technician' },
+                fitting: { minutes: 480, resource: 'prosthetist' },
+                delivery: { minutes: 480 }                  // courier: no shop resource
+            }
+        };
+
+        this.CONFIG = {
+            ...defaults,
+            ...config,
+            staff: { ...defaults.staff, ...config.staff },
+            phases: Object.fromEntries(this.PHASES.map(phase =>
+                [phase, { ...defaults.phases[phase], ...(config.phases || {})[phase] }]))
+        };
+        this.CONFIG.start = this.parseDate(this.CONFIG.start);
+        this.dayMinutes = this.CONFIG.shifts.reduce((sum, shift) => sum + (shift.end - shift.start) * 60, 0);
+    }
+
+    /**
+     * Schedule a queue of jobs
+     *
+     * Each job is `{ id, parts: { name: metrics }, release, due, priority }`:
+     * `parts` holds calculateMetrics results (the mill type comes from
+     * `metrics.costs.machine`), `release` is when design can start, and higher
+     * `priority` jobs are scheduled first; otherwise queue order is kept.
+     */
+    schedule(jobs) {
+        this.checkJobs(jobs);
+        const { phases, staff } = this.CONFIG;
+
+        const pools = Object.fromEntries(Object.entries(staff).map(([role, count]) =>
+            [role, Array.from({ length: count }, (_, k) => ({ id: `${role} ${k + 1}`, free: 0, busy: 0 }))]));
+        const machines = this.CONFIG.machines.map(machine => ({
+            ...machine,
+            free: machine.availableFrom ? this.toWorking(this.parseDate(machine.availableFrom)) : 0,
+            blocked: (machine.downtime || [])
+                .map(window => [this.toWorking(this.parseDate(window.start)), this.toWorking(this.parseDate(window.end))])
+                .sort((a, b) => a[0] - b[0]),
+            busy: 0,
+            tasks: []
+        }));
+
+        // Staffed phase: first free person in the role
+        const staffTask = (phase, ready) => {
+            const { minutes, resource } = phases[phase];
+            if (!resource) return { resource: null, start: ready, end: ready + minutes };
+            const person = pools[resource].reduce((best, unit) => unit.free < best.free ? unit : best);
+            const start = Math.max(ready, person.free);
+            person.free = start + minutes;
+            person.busy += minutes;
+            return { resource: person.id, start: start, end: start + minutes };
+        };
+
+        const order = jobs
+            .map((job, index) => ({ job, index }))
+            .sort((a, b) => (b.job.priority || 0) - (a.job.priority || 0) || a.index - b.index);
+
+        const scheduled = {};
+        let lastDelivery = 0;
+        order.forEach(({ job }) => {
+            const release = job.release ? this.toWorking(this.parseDate(job.release)) : 0;
+            const tasks = {};
+
+            tasks.design = staffTask('design', release);
+
+            // Longest part first, each on the capable mill that finishes it soonest
+            const parts = Object.entries(job.parts)
+                .map(([part, metrics]) => ({
+                    part: part,
+                    type: metrics.costs && metrics.costs.machine || 'three-axis',
+                    minutes: metrics.totalTime + phases.machining.setupMinutes
+                }))
+                .sort((a, b) => b.minutes - a.minutes);
+            const machined = parts.map(entry => {
+                const options = machines
+                    .filter(machine => machine.capabilities.includes(entry.type))
+                    .map(machine => {
+                        const start = this.fitSlot(machine.blocked, Math.max(tasks.design.end, machine.free), entry.minutes);
+                        return { machine, start, end: start + entry.minutes };
+                    });
+                // Soonest finish; on a tie keep the more capable mill free
+                const best = options.reduce((a, b) => b.end < a.end ||
+                    (b.end === a.end && b.machine.capabilities.length < a.machine.capabilities.length) ? b : a);
+                best.machine.free = best.end;
+                best.machine.busy += entry.minutes;
+                best.machine.tasks.push({ job: job.id, part: entry.part, start: best.start, end: best.end });
+                return { part: entry.part, machine: best.machine.id, start: best.start, end: best.end, minutes: entry.minutes };
+            });
+            tasks.machining = {
+                resource: [...new Set(machined.map(entry => entry.machine))].join(', '),
+                start: Math.min(...machined.map(entry => entry.start)),
+                end: Math.max(...machined.map(entry => entry.end)),
+                parts: machined
+            };
+
+            tasks.finishing = staffTask('finishing', tasks.machining.end);
+            tasks.fitting = staffTask('fitting', tasks.finishing.end);
+            tasks.delivery = staffTask('delivery', tasks.fitting.end);
+
+            const delivery = this.toDate(tasks.delivery.end, true);
+            lastDelivery = Math.max(lastDelivery, tasks.delivery.end);
+            scheduled[job.id] = {
+                id: job.id,
+                priority: job.priority || 0,
+                release: this.format(this.toDate(release)),
+                phases: Object.fromEntries(this.PHASES.map(phase => [phase, {
+                    resource: tasks[phase].resource,
+                    start: this.format(this.toDate(tasks[phase].start)),
+                    end: this.format(this.toDate(tasks[phase].end, true)),
+                    minutes: tasks[phase].end - tasks[phase].start,
+                    workingDays: this.workingDays(tasks[phase].start, tasks[phase].end),
+                    ...(phase === 'machining' ? {
+                        parts: tasks.machining.parts.map(entry => ({
+                            ...entry,
+                            start: this.format(this.toDate(entry.start)),
+                            end: this.format(this.toDate(entry.end, true))
+                        }))
+                    } : {})
+                }])),
+                delivery: this.format(delivery),
+                deliveryDate: this.format(delivery).slice(0, 10),
+                workingDays: this.workingDays(tasks.design.start, tasks.delivery.end),
+                ...(job.due ? { due: job.due, late: delivery > this.endOfDay(this.parseDate(job.due)) } : {})
+            };
+        });
+
+        // Utilization over the machining window: from the start to the last part off any mill
+        const horizon = Math.max(0, ...machines.map(machine => machine.tasks.length > 0 ? machine.free : 0));
+
+        return {
+            start: this.format(this.toDate(0)),
+            end: this.format(this.toDate(lastDelivery, true)),
+            shifts: this.CONFIG.shifts,
+            jobs: scheduled,
+            machines: Object.fromEntries(machines.map(machine => [machine.id, {
+                name: machine.name,
+                capabilities: machine.capabilities,
+                busyMinutes: machine.busy,
+                utilization: horizon > 0 ? machine.busy / horizon : 0,
+                tasks: machine.tasks.map(task => ({
+                    ...task,
+                    start: this.format(this.toDate(task.start)),
+                    end: this.format(this.toDate(task.end, true))
+                }))
+            }])),
+            staff: Object.fromEntries(Object.entries(pools).map(([role, units]) =>
+                [role, units.reduce((sum, unit) => sum + unit.busy, 0)]))
+        };
+    }
+
+    /**
+     * Report timeline for one scheduled job: working days per phase and the delivery date
+     */
+    timeline(job) {
+        const { phases } = job;
+        const days = count => `${count} ${count === 1 ? 'day' : 'days'}`;
+        return {
+            design: days(phases.design.workingDays),
+            manufacturing: days(phases.machining.workingDays),
+            finishing: days(phases.finishing.workingDays),
+            fitting: days(phases.fitting.workingDays),
+            delivery: days(phases.delivery.workingDays),
+            projectedDelivery: job.deliveryDate
+        };
+    }
+
+    /**
+     * Reject queues the workshop cannot run
+     */
+    checkJobs(jobs) {
+        const problems = [];
+        const { machines, shifts, workDays, phases, staff } = this.CONFIG;
+
+        if (!Array.isArray(jobs) || jobs.length === 0) problems.push('at least one job is required');
+        if (Number.isNaN(this.CONFIG.start.getTime())) problems.push('start is not a valid date');
+        if (!(this.dayMinutes > 0) || shifts.some(shift => !(shift.end > shift.start))) {
+            problems.push('every shift must end after it starts');
+        }
+        if (workDays.length === 0) problems.push('at least one work day is required');
+        this.PHASES.forEach(phase => {
+            const resource = phases[phase].resource;
+            if (resource && !(staff[resource] >= 1)) problems.push(`${phase} needs at least one ${resource}`);
+        });
+
+        const ids = new Set();
+        (Array.isArray(jobs) ? jobs : []).forEach((job, index) => {
+            const label = job.id !== undefined ? job.id : `job ${index + 1}`;
+            if (job.id === undefined) problems.push(`${label}: id is required`);
+            else if (ids.has(job.id)) problems.push(`${label}: duplicate id`);
+            ids.add(job.id);
+
+            const parts = Object.entries(job.parts || {});
+            if (parts.length === 0) problems.push(`${label}: at least one part is required`);
+            parts.forEach(([part, metrics]) => {
+                if (!(metrics && Number.isFinite(metrics.totalTime) && metrics.totalTime >= 0)) {
+                    problems.push(`${label}: ${part} has no machining time`);
+                    return;
+                }
+                const type = metrics.costs && metrics.costs.machine || 'three-axis';
+                if (!machines.some(machine => machine.capabilities.includes(type))) {
+                    problems.push(`${label}: no mill can run the ${type} ${part} program`);
+                }
+            });
+        });
+
+        if (problems.length > 0) throw new Error(`Invalid schedule: ${problems.join('; ')}`);
+    }
+
+    /**
+     * Earliest start at or after `start` that runs `minutes` clear of the downtime windows
+     */
+    fitSlot(blocked, start, minutes) {
+        let slot = start;
+        blocked.forEach(([from, to]) => {
+            if (slot < to && slot + minutes > from) slot = Math.max(slot, to);
+        });
+        return slot;
+    }
+
+    /**
+     * Working minutes from the schedule start to a date (0 for earlier dates)
+     */
+    toWorking(date) {
+        return Math.max(0, this.workingMinutesBefore(date) - this.workingMinutesBefore(this.CONFIG.start));
+    }
+
+    /**
+     * Date a number of working minutes after the schedule start
+     *
+     * An `end` that falls exactly on a shift boundary belongs to the shift it
+     * closes, not the next one.
+     */
+    toDate(minutes, end = false) {
+        let remaining = minutes + this.workingMinutesBefore(this.CONFIG.start);
+        const day = this.startOfDay(this.CONFIG.start);
+
+        for (let guard = 0; guard < 36600; guard++) {
+            if (this.isWorkDay(day)) {
+                for (const shift of this.CONFIG.shifts) {
+                    const length = (shift.end - shift.start) * 60;
+                    if (remaining < length || (end && remaining <= length && remaining > 0)) {
+                        return new Date(day.getTime() + (shift.start * 60 + remaining) * 60000);
+                    }
+                    remaining -= length;
+                }
+            }
+            day.setDate(day.getDate() + 1);
+        }
+        throw new Error('Schedule runs past 100 years of working days');
+    }
+
+    /**
+     * Working minutes from the start of the schedule's first day to a date
+     */
+    workingMinutesBefore(date) {
+        const day = this.startOfDay(this.CONFIG.start);
+        const target = this.startOfDay(date);
+        let minutes = 0;
+        if (target < day) return 0;
+
+        while (day < target) {
+            if (this.isWorkDay(day)) minutes += this.dayMinutes;
+            day.setDate(day.getDate() + 1);
+        }
+        if (this.isWorkDay(target)) {
+            const minuteOfDay = (date.getTime() - target.getTime()) / 60000;
+            this.CONFIG.shifts.forEach(shift => {
+                minutes += Math.min(Math.max(minuteOfDay - shift.start * 60, 0), (shift.end - shift.start) * 60);
+            });
+        }
+        return minutes;
+    }
+
+    /**
+     * Working days a task takes: its elapsed working minutes in whole working days, rounded up
+     *
+     * A day's work that starts mid-shift and finishes the next day is one day, not two.
+     */
+    workingDays(start, end) {
+        return Math.ceil((end - start) / this.dayMinutes - 1e-9);
+    }
+
+    /**
+     * Date from a Date, timestamp or string; 'YYYY-MM-DD[ HH:MM]' is local time
+     */
+    parseDate(value) {
+        const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+        if (!match) return new Date(value);
+        const [, year, month, day, hours, minutes] = match.map(part => Number(part || 0));
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    isWorkDay(date) {
+        return this.CONFIG.workDays.includes(date.getDay()) &&
+            !this.CONFIG.holidays.includes(this.format(date).slice(0, 10));
+    }
+
+    startOfDay(date) {
+        const day = new Date(date.getTime());
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+
+    endOfDay(date) {
+        const day = this.startOfDay(date);
+        day.setDate(day.getDate() + 1);
+        return day;
+    }
+
+    /**
+     * Local date and time as 'YYYY-MM-DD HH:MM'
+     */
+    format(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+               `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+module.exports = ProductionScheduler;
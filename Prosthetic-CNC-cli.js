@@ -0,0 +1,721 @@
+#!/usr/bin/env node
+/**
+ * Prosthetic CNC Command Line
+ *
+ * Runs each stage of the workflow on its own, reading JSON from a file or
+ * stdin and writing to a file or stdout, so the stages can be scripted and
+ * piped:
+ *
+ *   node Prosthetic-CNC-cli.js design patient.json | node Prosthetic-CNC-cli.js toolpath -o socket.nc
+ *
+ * Exit codes follow sysexits: 64 for a bad command line, 65 for input that
+ * fails validation or is not valid JSON, 66 for an input file that cannot
+ * be read, and 1 for anything else, including a simulated toolpath that
+ * gouges the design.
+ */
+
+const fs = require('fs');
+const ProstheticCNCSystem = require('./Prosthetic-CNC-system.js');
+const EnhancedCNCGoldenSystem = require('./Enhanced-golden-CNC-system.js');
+const GoldenRatioFractalCodec = require('./Phi-fractal-codec.js');
+const GCodeEmitter = require('./GCode-emitter.js');
+const ToolpathBackplot = require('./Toolpath-backplot.js');
+const StockModel = require('./Stock-model.js');
+const EntryStrategy = require('./Entry-strategy.js');
+const EMGSignalProcessor = require('./EMG-signal-processor.js');
+
+/**
+ * Command line that cannot be run as given
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Input that parsed but cannot be used
+ */
+class InputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InputError';
+    }
+}
+
+class ProstheticCNCCli {
+    constructor(io = {}) {
+        this.io = {
+            readStdin: () => fs.readFileSync(0, 'utf8'),
+            stdout: text => process.stdout.write(text),
+            stderr: text => process.stderr.write(text),
+            ...io
+        };
+
+        this.EXIT = { ok: 0, failure: 1, usage: 64, invalid: 65, noInput: 66 };
+
+        // Options each command accepts: 'value' options take the next argument
+        const toolpathOptions = { material: 'value', rotary: 'flag', stock: 'value', entry: 'value' };
+        this.COMMANDS = {
+            design: {
+                usage: 'design [measurements.json] [-o socket.json] [--layout template] [--channels spiral|pressure] [--scan limb.stl]',
+                summary: 'patient measurements → socket design JSON',
+                options: { layout: 'value', channels: 'value', scan: 'value' }
+            },
+            toolpath: {
+                usage: 'toolpath [socket.json] [-o socket.nc] [--dialect grbl|linuxcnc|marlin] [--rotary] [--material socket] [--stock stock.json] [--entry ramp|helix|predrill|plunge] [--fit-arcs] [--moves]',
+                summary: 'socket design JSON → G-code (or the move list with --moves)',
+                options: { ...toolpathOptions, dialect: 'value', title: 'value', 'fit-arcs': 'flag', moves: 'flag' }
+            },
+            metrics: {
+                usage: 'metrics [socket.json|moves.json] [-o metrics.json] [--rotary] [--material socket]',
+                summary: 'socket design or move list JSON → time and cost metrics JSON',
+                options: toolpathOptions
+            },
+            simulate: {
+                usage: 'simulate [socket.json] [-o simulation.json] [--material socket] [--stock stock.json] [--entry ramp] [--resolution 0.5] [--tolerance 0.1]',
+                summary: 'socket design JSON → stock simulation checked against the design',
+                options: { material: 'value', stock: 'value', entry: 'value', resolution: 'value', tolerance: 'value' }
+            },
+            refit: {
+                usage: 'refit [socket.json] --modifications modifications.json [-o refit.nc] [--design refitted.json] [--material socket] [--entry ramp] [--dialect grbl] [--fit-arcs] [--moves]',
+                summary: 'socket design JSON + reliefs and build-ups → refitted design and re-machining G-code',
+                options: { material: 'value', entry: 'value', modifications: 'value', design: 'value', dialect: 'value', title: 'value', 'fit-arcs': 'flag', moves: 'flag' }
+            },
+            backplot: {
+                usage: 'backplot [socket.json|moves.json] [-o toolpath.svg] [--views top,front,side,iso] [--color operation|depth] [--rotary] [--material socket]',
+                summary: 'socket design or move list JSON → SVG backplot',
+                options: { ...toolpathOptions, views: 'value', color: 'value' }
+            },
+            report: {
+                usage: 'report [socket.json] [-o report.html|.md|.json] [--format html|markdown|json] [--patient id] [--anonymize] [--salt key] [--views top]',
+                summary: 'socket design JSON → setup sheet and report',
+                options: { ...toolpathOptions, format: 'value', patient: 'value', anonymize: 'flag', salt: 'value', views: 'value' }
+            },
+            pattern: {
+                usage: 'pattern <leaf|honeycomb|voronoi|tree> [-o pattern.nc] [--dialect grbl] [--entry ramp] [--fit-arcs] [--moves] [--<parameter> value]',
+                summary: 'golden-ratio pattern → G-code',
+                options: { dialect: 'value', entry: 'value', 'fit-arcs': 'flag', moves: 'flag' }
+            },
+            codec: {
+                usage: 'codec <encode|decode> [input] [-o output.json]',
+                summary: 'golden-ratio fractal compression of a numeric series',
+                options: {}
+            },
+            emg: {
+                usage: 'emg <calibrate|train|classify> [socket.json|recording.csv ...] [-o output.json] [--rest rest.csv] [--contraction contraction.csv] [--notch 50|60|off] [--calibration calibration.json] [--model model.json]',
+                summary: 'EMG recordings (CSV) → electrode calibration, gesture model or grip decisions JSON',
+                options: { rest: 'value', contraction: 'value', notch: 'value', calibration: 'value', model: 'value' }
+            }
+        };
+
+        // Pattern generators with their parameters (mm) in argument order
+        this.PATTERNS = {
+            leaf: {
+                generate: 'generateLeafPattern',
+                parameters: { x: 50, y: 50, length: 40, width: 25, stem: 10, safeZ: 5 }
+            },
+            honeycomb: {
+                generate: 'generateMetamaterialHoneycomb',
+                parameters: { x: 100, y: 100, cell: 10, rows: 5, columns: 8, depth: 2, safeZ: 5 }
+            },
+            voronoi: {
+                generate: 'generateVoronoiOrganicPattern',
+                parameters: { width: 100, height: 80, seeds: 13, depth: 1, safeZ: 5 }
+            },
+            tree: {
+                generate: 'generateFractalTree',
+                parameters: { x: 50, y: 10, length: 30, width: 5, depth: 1, levels: 4, safeZ: 5 }
+            }
+        };
+    }
+
+    /**
+     * Run a command line (without the node and script arguments); returns the exit code
+     */
+    run(argv) {
+        const [command, ...rest] = argv;
+        try {
+            if (command === undefined) throw new UsageError('a command is required');
+            if (command === 'help' || command === '--help' || command === '-h') {
+                this.io.stdout(this.help());
+                return this.EXIT.ok;
+            }
+            if (!this.COMMANDS[command]) throw new UsageError(`unknown command "${command}"`);
+
+            const extra = command === 'pattern' ? this.patternOptions(rest[0]) : {};
+            const args = this.parseArguments(rest, { ...this.COMMANDS[command].options, ...extra });
+            if (args.options.help) {
+                this.io.stdout(`Usage: ${this.COMMANDS[command].usage}\n`);
+                return this.EXIT.ok;
+            }
+            this[command](args);
+            return this.EXIT.ok;
+        } catch (error) {
+            return this.fail(error, command);
+        }
+    }
+
+    /**
+     * Measurements JSON → socket design JSON
+     *
+     * The input is `{ id, measurements }` or the measurements alone; an `id`
+     * is carried into the socket as `patient` for the report stage.
+     */
+    design({ positionals, options }) {
+        const input = this.readJSON(this.single(positionals));
+        const system = new ProstheticCNCSystem();
+        const measurements = input.measurements || input;
+        const design = {
+            ...(options.layout ? { layout: { template: options.layout } } : {}),
+            ...(options.channels ? { channels: options.channels } : {})
+        };
+
+        const socket = options.scan
+            ? system.designSocketFromScanFile(this.checkFile(options.scan), measurements, design)
+            : system.designSocket(measurements, design);
+        this.writeJSON(options.output, input.id !== undefined ? { patient: input.id, ...socket } : socket);
+    }
+
+    /**
+     * Socket design JSON → G-code, or the move list as JSON with --moves
+     *
+     * With --stock the 3-axis toolpath is first cut from that stock, and one
+     * that gouges the design is not written.
+     */
+    toolpath({ positionals, options }) {
+        const socket = this.readJSON(this.single(positionals));
+        const system = new ProstheticCNCSystem();
+        const generated = this.generateToolpath(socket, options);
+        if (options.stock && !options.rotary) {
+            this.checkGouges(system.simulateMachining(socket, generated, { stock: this.stock(options.stock) }));
+        }
+        const toolpath = this.fitArcs(system, generated, options);
+        if (options.moves) {
+            this.writeJSON(options.output, toolpath);
+            return;
+        }
+        const gcode = this.emit(toolpath, options, socket.patient ? `Socket ${socket.patient}` : 'Socket');
+        this.writeOutput(options.output, gcode);
+    }
+
+    /**
+     * Socket design or move list JSON → metrics JSON
+     */
+    metrics({ positionals, options }) {
+        const input = this.readJSON(this.single(positionals));
+        const system = new ProstheticCNCSystem();
+        const material = options.material || 'socket';
+        if (!system.MATERIALS[material]) throw new UsageError(`unknown material "${material}"`);
+
+        const toolpath = Array.isArray(input) ? input : this.generateToolpath(input, options);
+        const costing = Array.isArray(input) ? {} : { stock: system.stockFor(input) };
+        this.writeJSON(options.output, system.calculateMetrics(toolpath, material, {}, costing));
+    }
+
+    /**
+     * Socket design JSON → report in HTML, Markdown or JSON
+     *
+     * The format comes from --format, then the output file's extension, then HTML.
+     */
+    report({ positionals, options }) {
+        const socket = this.readJSON(this.single(positionals));
+        const system = new ProstheticCNCSystem();
+        const id = options.patient || socket.patient;
+        if (id === undefined) throw new UsageError('report needs --patient when the socket has no patient id');
+
+        const extension = options.output ? options.output.split('.').pop().toLowerCase() : null;
+        const format = options.format ||
+            { html: 'html', htm: 'html', md: 'markdown', json: 'json' }[extension] || 'html';
+        if (!['html', 'markdown', 'json'].includes(format)) throw new UsageError(`unknown report format "${format}"`);
+
+        const toolpath = this.generateToolpath(socket, options);
+        const metrics = system.calculateMetrics(toolpath, options.material || 'socket', {},
+                                                { stock: system.stockFor(socket) });
+        const patientData = { id: id, measurements: socket.measurements };
+        const report = system.generateReport(patientData, socket, metrics);
+        const result = system.exportReport({ patientData, socket, toolpath, metrics, report }, {
+            format: format, anonymize: options.anonymize, salt: options.salt, views: this.views(options.views)
+        });
+        this.writeOutput(options.output, result.text);
+    }
+
+    /**
+     * Socket design and modifications JSON → re-machining G-code, or the move list with --moves
+     *
+     * The modifications file is a list of `{ id, angle, z, radius, depth }`
+     * or `{ modifications }`; --design writes the refitted socket design.
+     * Build-ups, undercut reliefs and the estimate are reported on stderr.
+     */
+    refit({ positionals, options }) {
+        const socket = this.readJSON(this.single(positionals));
+        if (options.modifications === undefined) throw new UsageError('refit needs --modifications');
+        const input = this.readJSON(this.checkFile(options.modifications));
+        const entry = this.entry(options.entry);
+
+        const system = new ProstheticCNCSystem();
+        const result = system.refitSocket(socket, Array.isArray(input) ? input : input.modifications, {
+            material: options.material || 'socket',
+            ...(entry ? { entry } : {})
+        });
+        if (options.design) this.writeJSON(options.design, result.socket);
+
+        result.buildUps.forEach(id => this.io.stderr(`warning: ${id} builds the wall up; the socket must be remade\n`));
+        result.regions.filter(region => region.uncut >= 0.01).forEach(region => {
+            this.io.stderr(`warning: ${region.id} undercuts the wall above; ${region.uncut.toFixed(2)}mm cannot be reached from the brim\n`);
+        });
+        this.io.stderr(result.metrics
+            ? `refit: ${result.regions.length} relief region(s), ${result.metrics.totalTime.toFixed(1)} min, ` +
+              `${result.metrics.costs.currency} ${result.metrics.costs.total.toFixed(2)}\n`
+            : 'refit: no reliefs to re-machine\n');
+
+        const toolpath = this.fitArcs(system, result.toolpath, options);
+        if (options.moves) {
+            this.writeJSON(options.output, toolpath);
+            return;
+        }
+        this.writeOutput(options.output, this.emit(toolpath, options, socket.patient ? `Socket ${socket.patient} refit` : 'Socket refit'));
+    }
+
+    /**
+     * Socket design or move list JSON → SVG backplot
+     */
+    backplot({ positionals, options }) {
+        const input = this.readJSON(this.single(positionals));
+        const color = options.color || 'operation';
+        if (!['operation', 'depth'].includes(color)) throw new UsageError(`unknown colouring "${color}"`);
+
+        const toolpath = Array.isArray(input) ? input : this.generateToolpath(input, options);
+        const views = this.views(options.views);
+        const plot = new ProstheticCNCSystem().renderBackplot(toolpath, { color: color, ...(views ? { views } : {}) });
+        this.writeOutput(options.output, plot.svg);
+    }
+
+    /**
+     * Socket design JSON → stock simulation JSON
+     *
+     * The 3-axis toolpath is cut from --stock (the socket's bar stock by
+     * default) and compared with the design; see
+     * ProstheticCNCSystem.simulateMachining. The simulation is written
+     * either way, and a toolpath that gouges the design fails the command.
+     */
+    simulate({ positionals, options }) {
+        const socket = this.readJSON(this.single(positionals));
+        const settings = {};
+        ['resolution', 'tolerance'].forEach(key => {
+            if (options[key] === undefined) return;
+            const value = Number(options[key]);
+            if (!(value > 0)) throw new UsageError(`--${key} must be a positive number`);
+            settings[key] = value;
+        });
+
+        const stock = this.stock(options.stock);
+        if (stock) settings.stock = stock;
+
+        const toolpath = this.generateToolpath(socket, { material: options.material, stock: options.stock, entry: options.entry });
+        const simulation = new ProstheticCNCSystem().simulateMachining(socket, toolpath, settings);
+        this.writeJSON(options.output, simulation);
+        this.checkGouges(simulation);
+    }
+
+    /**
+     * Golden-ratio pattern → G-code, or the move list as JSON with --moves
+     */
+    pattern({ positionals, options }) {
+        const [name, ...others] = positionals;
+        if (others.length > 0) throw new UsageError(`unexpected argument "${others[0]}"`);
+        const pattern = this.PATTERNS[name];
+        const values = Object.entries(pattern.parameters).map(([key, fallback]) => {
+            if (options[key] === undefined) return fallback;
+            const value = Number(options[key]);
+            if (!Number.isFinite(value)) throw new UsageError(`--${key} must be a number`);
+            return value;
+        });
+
+        const system = new EnhancedCNCGoldenSystem({ entry: this.entry(options.entry) });
+        const passes = system[pattern.generate](...values);
+        // Pre-drilled entries are drilled before the pattern
+        const toolpath = this.fitArcs(system, [...system.generatePredrillPass(), ...passes], options);
+        if (options.moves) {
+            this.writeJSON(options.output, toolpath);
+            return;
+        }
+        this.writeOutput(options.output, this.emit(toolpath, options, `${name} pattern`));
+    }
+
+    /**
+     * Fractal codec: encode a numeric series, or decode an encoding back to one
+     *
+     * Series are a JSON array or numbers separated by commas or whitespace.
+     */
+    codec({ positionals, options }) {
+        const [action, ...files] = positionals;
+        const codec = new GoldenRatioFractalCodec();
+        if (action === 'encode') {
+            const text = this.readInput(this.single(files)).trim();
+            const data = text.startsWith('[') ? this.parseJSON(text, files[0]) : text.split(/[\s,]+/).filter(Boolean).map(Number);
+            if (!Array.isArray(data) || data.length === 0 || data.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+                throw new InputError('input must be a non-empty list of numbers');
+            }
+            const encoded = codec.encode(data);
+            if (!encoded.success) throw new InputError(encoded.message);
+            this.writeJSON(options.output, encoded);
+        } else if (action === 'decode') {
+            const encoded = this.readJSON(this.single(files));
+            if (!encoded || !encoded.success || !encoded.encoded || !encoded.encoded.header) {
+                throw new InputError('input is not a successful codec encoding');
+            }
+            this.writeJSON(options.output, codec.decode(encoded));
+        } else {
+            throw new UsageError(action === undefined ? 'codec needs encode or decode' : `unknown codec action "${action}"`);
+        }
+    }
+
+    /**
+     * EMG: calibrate a socket's electrodes, train a gesture model, or classify a recording
+     *
+     * `calibrate` reads the socket design and --rest and --contraction
+     * CSV recordings; `train` reads labelled CSV recordings with
+     * --calibration; `classify` reads one recording with --calibration and
+     * --model and writes a grip decision per window. Accuracy is reported
+     * on stderr when the recordings are labelled.
+     */
+    emg({ positionals, options }) {
+        const [action, ...files] = positionals;
+        const system = new ProstheticCNCSystem();
+        if (action === 'calibrate') {
+            if (options.rest === undefined || options.contraction === undefined) {
+                throw new UsageError('emg calibrate needs --rest and --contraction');
+            }
+            const socket = this.readJSON(this.single(files));
+            if (!socket || !Array.isArray(socket.sensorPositions)) throw new InputError('input is not a socket design with sensorPositions');
+            const processing = this.processing(options.notch);
+            const processor = new EMGSignalProcessor(processing);
+            const channels = system.emgChannels(socket);
+            const calibration = system.calibrateEMG(socket,
+                this.recording(processor, options.rest, channels),
+                this.recording(processor, options.contraction, channels),
+                { processing });
+            this.io.stderr(`emg: calibrated ${channels.length} electrode(s)\n`);
+            this.writeJSON(options.output, calibration);
+        } else if (action === 'train') {
+            if (files.length === 0) throw new UsageError('emg train needs at least one recording');
+            const calibration = this.calibration(options.calibration);
+            const processor = new EMGSignalProcessor(calibration.settings);
+            const recordings = files.map(file => this.recording(processor, file, calibration.channels));
+            let trained;
+            try {
+                trained = system.trainGestureClassifier(calibration, recordings);
+            } catch (error) {
+                throw new InputError(error.message);
+            }
+            this.io.stderr(`emg: ${trained.training.windows} windows, grips ${trained.model.grips.join(', ')}, ` +
+                           `${(trained.training.accuracy * 100).toFixed(1)}% correct on the training windows\n`);
+            this.writeJSON(options.output, trained.model);
+        } else if (action === 'classify') {
+            if (options.model === undefined) throw new UsageError('emg classify needs --model');
+            const calibration = this.calibration(options.calibration);
+            const model = this.readJSON(this.checkFile(options.model));
+            const processor = new EMGSignalProcessor(calibration.settings);
+            const recording = this.recording(processor, this.single(files), calibration.channels);
+            let result;
+            try {
+                result = system.classifyEMG(recording, calibration, model);
+            } catch (error) {
+                throw new InputError(`${options.model}: ${error.message}`);
+            }
+            if (result.evaluation) {
+                this.io.stderr(`emg: ${result.evaluation.windows} windows, ${(result.evaluation.accuracy * 100).toFixed(1)}% correct\n`);
+            }
+            this.writeJSON(options.output, result);
+        } else {
+            throw new UsageError(action === undefined ? 'emg needs calibrate, train or classify' : `unknown emg action "${action}"`);
+        }
+    }
+
+    /**
+     * Socket toolpath for --rotary, --material, --stock and --entry
+     */
+    generateToolpath(socket, options) {
+        const system = new ProstheticCNCSystem();
+        const material = options.material || 'socket';
+        const stock = this.stock(options.stock);
+        const entry = this.entry(options.entry);
+        return options.rotary
+            ? system.generateRotaryToolpath(socket, material, entry ? { entry } : {})
+            : system.generateSocketToolpath(socket, material, { ...(stock ? { stock } : {}), ...(entry ? { entry } : {}) });
+    }
+
+    /**
+     * Throw when a simulated toolpath gouges the design
+     */
+    checkGouges(simulation) {
+        if (simulation.gouges.count === 0) return;
+        const operations = Object.entries(simulation.gouges.byOperation)
+            .map(([operation, count]) => `${operation} ${count}`).join(', ');
+        throw new Error(`toolpath gouges the design at ${simulation.gouges.count} samples ` +
+                        `(${operations}), up to ${simulation.gouges.max.toFixed(2)}mm`);
+    }
+
+    /**
+     * The toolpath with arcs fitted for --fit-arcs, reporting the saving on stderr
+     */
+    fitArcs(system, toolpath, options) {
+        if (!options['fit-arcs']) return toolpath;
+        const fitted = system.fitArcs(toolpath);
+        this.io.stderr(`arc fitting: ${fitted.linesBefore} → ${fitted.linesAfter} moves ` +
+                       `(${(fitted.reduction * 100).toFixed(0)}% fewer), ${fitted.arcs} arcs, ` +
+                       `max deviation ${fitted.maxDeviation.toFixed(3)}mm\n`);
+        return fitted.toolpath;
+    }
+
+    /**
+     * Stock definition from a --stock JSON file, or undefined for the socket's bar
+     */
+    stock(option) {
+        if (option === undefined) return undefined;
+        const stock = this.readJSON(this.checkFile(option));
+        try {
+            return new StockModel().check(stock);
+        } catch (error) {
+            throw new InputError(`${option}: ${error.message}`);
+        }
+    }
+
+    /**
+     * EntryStrategy settings for --entry, or undefined for the default ramp
+     */
+    entry(option) {
+        if (option === undefined) return undefined;
+        const strategies = new EntryStrategy().STRATEGIES;
+        if (!strategies.includes(option)) {
+            throw new UsageError(`unknown entry "${option}" (expected ${strategies.join(', ')})`);
+        }
+        return { strategy: option };
+    }
+
+    /**
+     * EMGSignalProcessor settings for --notch (Hz, or off), or undefined for the 50 Hz default
+     */
+    processing(option) {
+        if (option === undefined) return undefined;
+        const notch = option === 'off' ? null : Number(option);
+        try {
+            return new EMGSignalProcessor({ notch }).SETTINGS;
+        } catch (error) {
+            throw new UsageError(`--notch must be a frequency in Hz or off (${error.message})`);
+        }
+    }
+
+    /**
+     * EMG recording from a CSV file, for the given sensor IDs
+     */
+    recording(processor, filePath, channels) {
+        if (filePath === undefined || filePath === '-') {
+            try {
+                return processor.parseCSV(this.io.readStdin(), channels);
+            } catch (error) {
+                throw new InputError(`stdin: ${error.message}`);
+            }
+        }
+        this.checkFile(filePath);
+        try {
+            return processor.readCSV(filePath, channels);
+        } catch (error) {
+            throw new InputError(`${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Electrode calibration from a --calibration JSON file written by `emg calibrate`
+     */
+    calibration(option) {
+        if (option === undefined) throw new UsageError('--calibration is required');
+        const calibration = this.readJSON(this.checkFile(option));
+        if (!calibration || !Array.isArray(calibration.channels) || !calibration.settings || !calibration.gain || !calibration.deadband) {
+            throw new InputError(`${option} is not an EMG calibration`);
+        }
+        try {
+            new EMGSignalProcessor(calibration.settings);
+        } catch (error) {
+            throw new InputError(`${option}: ${error.message}`);
+        }
+        return calibration;
+    }
+
+    /**
+     * Backplot views from a comma-separated --views, or undefined for the default
+     */
+    views(option) {
+        if (option === undefined) return undefined;
+        const views = option.split(',').map(view => view.trim()).filter(Boolean);
+        const known = Object.keys(new ToolpathBackplot().VIEWS);
+        const unknown = views.find(view => !known.includes(view));
+        if (views.length === 0 || unknown !== undefined) {
+            throw new UsageError(`unknown view "${unknown || option}" (expected ${known.join(', ')})`);
+        }
+        return views;
+    }
+
+    /**
+     * G-code text for --dialect (GRBL by default), with emitter warnings on stderr
+     */
+    emit(toolpath, options, title) {
+        const emitter = new GCodeEmitter();
+        const dialect = options.dialect || 'grbl';
+        if (!emitter.DIALECTS[dialect]) {
+            throw new UsageError(`unknown dialect "${dialect}" (expected ${Object.keys(emitter.DIALECTS).join(', ')})`);
+        }
+        const result = emitter.emit(toolpath, { dialect: dialect, title: options.title || title });
+        result.warnings.forEach(warning => this.io.stderr(`warning: ${warning}\n`));
+        return result.text;
+    }
+
+    /**
+     * Split arguments into positionals and options
+     *
+     * `--name value`, `--name=value`, `--flag`, `-o file` and `-h` are
+     * understood; `-` is a positional meaning stdin. Unknown options are
+     * usage errors.
+     */
+    parseArguments(argv, spec) {
+        const known = { output: 'value', help: 'flag', ...spec };
+        const aliases = { o: 'output', h: 'help' };
+        const positionals = [];
+        const options = {};
+
+        for (let k = 0; k < argv.length; k++) {
+            const arg = argv[k];
+            const match = arg.match(/^--([A-Za-z][\w-]*)(?:=(.*))?$/) || arg.match(/^-([A-Za-z])$/);
+            if (!match) {
+                if (arg.startsWith('-') && arg !== '-') throw new UsageError(`unknown option "${arg}"`);
+                positionals.push(arg);
+                continue;
+            }
+            const name = aliases[match[1]] || match[1];
+            if (!known[name]) throw new UsageError(`unknown option "${arg}"`);
+            if (known[name] === 'flag') {
+                if (match[2] !== undefined) throw new UsageError(`--${name} takes no value`);
+                options[name] = true;
+            } else if (match[2] !== undefined) {
+                options[name] = match[2];
+            } else {
+                if (k + 1 >= argv.length) throw new UsageError(`--${name} needs a value`);
+                options[name] = argv[++k];
+            }
+        }
+        return { positionals, options };
+    }
+
+    /**
+     * Parameter options for a pattern name (usage error for an unknown one)
+     */
+    patternOptions(name) {
+        if (!this.PATTERNS[name]) {
+            throw new UsageError(name === undefined || name.startsWith('-')
+                ? `pattern needs one of ${Object.keys(this.PATTERNS).join(', ')}`
+                : `unknown pattern "${name}" (expected ${Object.keys(this.PATTERNS).join(', ')})`);
+        }
+        return Object.fromEntries(Object.keys(this.PATTERNS[name].parameters).map(key => [key, 'value']));
+    }
+
+    /**
+     * The one input file of a command, or stdin
+     */
+    single(positionals) {
+        if (positionals.length > 1) throw new UsageError(`expected one input, got ${positionals.length}`);
+        return positionals[0];
+    }
+
+    checkFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            const error = new Error(`cannot read ${filePath}`);
+            error.code = 'ENOENT';
+            error.path = filePath;
+            throw error;
+        }
+        return filePath;
+    }
+
+    readInput(filePath) {
+        if (filePath === undefined || filePath === '-') return this.io.readStdin();
+        return fs.readFileSync(filePath, 'utf8');
+    }
+
+    readJSON(filePath) {
+        return this.parseJSON(this.readInput(filePath), filePath);
+    }
+
+    parseJSON(text, filePath) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new InputError(`${filePath && filePath !== '-' ? filePath : 'stdin'} is not valid JSON (${error.message})`);
+        }
+    }
+
+    writeOutput(filePath, text) {
+        if (filePath === undefined || filePath === '-') {
+            this.io.stdout(text);
+            return;
+        }
+        try {
+            fs.writeFileSync(filePath, text);
+        } catch (error) {
+            throw new Error(`cannot write ${filePath} (${error.code || error.message})`);
+        }
+    }
+
+    writeJSON(filePath, value) {
+        this.writeOutput(filePath, JSON.stringify(value, null, 2) + '\n');
+    }
+
+    /**
+     * Report an error on stderr and choose its exit code
+     */
+    fail(error, command) {
+        const prefix = command && this.COMMANDS[command] ? `${command}: ` : '';
+        if (error.name === 'UsageError') {
+            this.io.stderr(`${prefix}${error.message}\n`);
+            this.io.stderr(command && this.COMMANDS[command]
+                ? `Usage: ${this.COMMANDS[command].usage}\n`
+                : this.help());
+            return this.EXIT.usage;
+        }
+        if (error.name === 'ClinicalValidationError') {
+            this.io.stderr(`${prefix}invalid ${error.context}:\n`);
+            error.problems.forEach(problem => this.io.stderr(`  ${problem.field}: ${problem.message}\n`));
+            return this.EXIT.invalid;
+        }
+        if (error.name === 'InputError') {
+            this.io.stderr(`${prefix}${error.message}\n`);
+            return this.EXIT.invalid;
+        }
+        if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'EACCES') {
+            this.io.stderr(`${prefix}cannot read ${error.path}\n`);
+            return this.EXIT.noInput;
+        }
+        this.io.stderr(`${prefix}${error.message}\n`);
+        return this.EXIT.failure;
+    }
+
+    help() {
+        const width = Math.max(...Object.keys(this.COMMANDS).map(name => name.length));
+        return 'Usage: node Prosthetic-CNC-cli.js <command> [options]\n\nCommands:\n' +
+            Object.entries(this.COMMANDS).map(([name, command]) =>
+                `  ${name.padEnd(width)}  ${command.summary}\n      ${command.usage}`).join('\n') +
+            '\n\nInputs default to stdin and outputs to stdout; -o writes a file.\n';
+    }
+}
+
+module.exports = ProstheticCNCCli;
+
+if (require.main === module) {
+    // A closed pipe (`| head`) is not a failure of the command
+    process.stdout.on('error', error => {
+        if (error.code === 'EPIPE') process.exit(process.exitCode || 0);
+        throw error;
+    });
+    process.exitCode = new ProstheticCNCCli().run(process.argv.slice(2));
+}
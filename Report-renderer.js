@@ -0,0 +1,352 @@
+/**
+ * Report Renderer
+ *
+ * Turns a socket's design, toolpath, metrics and manufacturing report into
+ * documents for the shop floor and the clinic: a self-contained HTML setup
+ * sheet, the same content as Markdown, and a stable JSON document for other
+ * systems. All three are built from one document object, so they always
+ * agree.
+ */
+
+const crypto = require('crypto');
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+const ToolpathBackplot = require('./Toolpath-backplot.js');
+
+class ReportRenderer {
+    constructor() {
+        this.interpreter = new ToolpathInterpreter();
+        this.backplot = new ToolpathBackplot();
+
+        this.FORMAT = 'prosthetic-cnc-report';
+        this.VERSION = 1;
+        this.FORMATS = ['html', 'markdown', 'json'];
+
+        // Toolpath preview: drawing size in px, and the shortest segment kept (mm)
+        this.PREVIEW = { width: 640, height: 360, margin: 16, resolution: 0.25 };
+    }
+
+    /**
+     * Build the report document
+     *
+     * `data` is `{ patientData, socket, toolpath, metrics, report, stock }`;
+     * `stock` (from stockFor) and the pressure, component, quote and timeline
+     * sections of `report` are included when present. `options.anonymize`
+     * replaces the patient ID with a salted hash (`options.salt`), so a
+     * document can leave the clinic; `options.views` picks the backplot
+     * views of the toolpath preview. Numbers are rounded to 0.001 and keys
+     * come in a fixed order, so equal inputs give byte-identical JSON.
+     */
+    document(data, options = {}) {
+        const { patientData, socket, toolpath, metrics, report } = data;
+        const round = value => Math.round(value * 1000) / 1000;
+
+        // Tool names come from the tool-change blocks in the toolpath
+        const toolNames = {};
+        toolpath.forEach(move => {
+            if (move.tool && /^M6\b/.test(String(move.cmd)) && !toolNames[move.tool]) toolNames[move.tool] = move.comment;
+        });
+
+        const costs = metrics.costs;
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            patient: options.anonymize
+                ? { id: this.anonymize(patientData.id, options.salt), anonymized: true }
+                : { id: patientData.id, anonymized: false },
+            socket: {
+                material: report.design.material,
+                proximalDiameter: round(socket.proximalDiameter),
+                distalDiameter: round(socket.distalDiameter),
+                length: round(socket.length),
+                wallThickness: {
+                    proximal: round(socket.wallThickness.proximal),
+                    middle: round(socket.wallThickness.middle),
+                    distal: round(socket.wallThickness.distal)
+                },
+                comfortChannels: socket.comfortChannels.length
+            },
+            sensors: socket.sensorPositions.map(sensor => ({
+                id: sensor.id,
+                type: sensor.type || null,
+                electrode: sensor.electrode || null,
+                angle: round(sensor.angle),
+                depth: round(sensor.z),
+                pocketDiameter: sensor.pocket ? round(sensor.pocket.diameter) : null,
+                pocketDepth: sensor.pocket ? round(sensor.pocket.depth) : null
+            })),
+            setup: {
+                machine: costs.machine || null,
+                stock: data.stock ? data.stock.description : null,
+                moves: toolpath.length
+            },
+            tools: Object.entries(metrics.tools || {})
+                .map(([number, usage]) => ({
+                    number: Number(number),
+                    name: toolNames[number] || null,
+                    operations: usage.operations,
+                    cuttingDistance: round(usage.cuttingDistance)
+                }))
+                .sort((a, b) => a.number - b.number),
+            operations: Object.entries(metrics.operations).map(([name, stats]) => ({
+                name: name,
+                time: round(stats.time),
+                cuttingTime: round(stats.cuttingTime),
+                rapidTime: round(stats.rapidTime),
+                cuttingDistance: round(stats.cuttingDistance),
+                moves: stats.moves
+            })),
+            manufacturing: {
+                totalTime: round(metrics.totalTime),
+                cuttingTime: round(metrics.cuttingTime),
+                rapidTime: round(metrics.rapidTime),
+                efficiency: round(metrics.efficiency),
+                tolerance: report.manufacturing.tolerance,
+                surfaceFinish: report.manufacturing.surfaceFinish
+            },
+            costs: {
+                currency: costs.currency || 'USD',
+                material: round(costs.material),
+                machining: round(costs.machining),
+                setup: round(costs.setup),
+                toolWear: round(costs.toolWear || 0),
+                total: round(costs.total)
+            },
+            interfacePressure: report.interfacePressure || null,
+            components: report.components || null,
+            arm: report.arm || null,
+            quote: report.quote ? {
+                currency: report.quote.currency,
+                quantity: report.quote.quantity,
+                subtotals: Object.fromEntries(Object.entries(report.quote.subtotals)
+                    .map(([category, amount]) => [category, round(amount)])),
+                total: round(report.quote.total),
+                perUnit: round(report.quote.perUnit),
+                setupPerUnit: round(report.quote.setupPerUnit)
+            } : null,
+            timeline: report.timeline,
+            preview: this.preview(toolpath, options.views)
+        };
+    }
+
+    /**
+     * Render a document (from document()) as 'html', 'markdown' or 'json'
+     */
+    render(doc, format = 'html') {
+        if (!this.FORMATS.includes(format)) {
+            throw new Error(`Unknown report format "${format}" (expected ${this.FORMATS.join(', ')})`);
+        }
+        if (format === 'json') return this.json(doc);
+        return format === 'html' ? this.html(doc) : this.markdown(doc);
+    }
+
+    /**
+     * Stable JSON: the document without the preview drawing, two-space indented
+     */
+    json(doc) {
+        const { preview, ...rest } = doc;
+        return JSON.stringify({ ...rest, preview: { bounds: preview.bounds, view: preview.view } }, null, 2) + '\n';
+    }
+
+    /**
+     * Markdown with the preview embedded as an SVG data URI
+     */
+    markdown(doc) {
+        const lines = [];
+        const table = (headers, rows) => {
+            lines.push(`| ${headers.join(' | ')} |`);
+            lines.push(`|${headers.map(() => '---').join('|')}|`);
+            rows.forEach(row => lines.push(`| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`));
+            lines.push('');
+        };
+
+        this.sections(doc).forEach(section => {
+            lines.push(`${section.level === 1 ? '#' : '##'} ${section.title}`, '');
+            if (section.fields) table(['Item', 'Value'], section.fields);
+            if (section.table) table(section.table.headers, section.table.rows);
+            if (section.image) {
+                const data = Buffer.from(section.image).toString('base64');
+                lines.push(`![${section.title}](data:image/svg+xml;base64,${data})`, '');
+            }
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Self-contained HTML page with print styles and the preview inline
+     */
+    html(doc) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const table = (headers, rows) =>
+            `<table>\n<thead><tr>${headers.map(cell => `<th>${escape(cell)}</th>`).join('')}</tr></thead>\n<tbody>\n` +
+            rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n') +
+            '\n</tbody>\n</table>';
+
+        const body = this.sections(doc).map(section => [
+            section.level === 1 ? `<h1>${escape(section.title)}</h1>` : `<h2>${escape(section.title)}</h2>`,
+            ...(section.fields ? [table(['Item', 'Value'], section.fields)] : []),
+            ...(section.table ? [table(section.table.headers, section.table.rows)] : []),
+            ...(section.image ? [`<figure>${section.image}</figure>`] : [])
+        ].join('\n')).join('\n\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Setup sheet ${escape(doc.patient.id)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+h1 { border-bottom: 2px solid #222; }
+h2 { margin-top: 1.5em; border-bottom: 1px solid #aaa; }
+table { border-collapse: collapse; margin: 0.5em 0; }
+th, td { border: 1px solid #bbb; padding: 0.25em 0.6em; text-align: left; }
+th { background: #eee; }
+figure { margin: 0; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } table, figure { break-inside: avoid; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Content shared by the HTML and Markdown renderings, in page order
+     */
+    sections(doc) {
+        const mm = value => `${value.toFixed(1)}mm`;
+        const min = value => `${value.toFixed(1)} min`;
+        const money = amount => new Intl.NumberFormat('en-US', { style: 'currency', currency: doc.costs.currency })
+            .format(amount);
+        const label = key => key.replace(/([A-Z])/g, ' $1').replace(/^./, first => first.toUpperCase());
+        const sections = [];
+
+        sections.push({
+            level: 1,
+            title: `Setup Sheet: ${doc.patient.id}`,
+            fields: [
+                ['Patient', doc.patient.id + (doc.patient.anonymized ? ' (anonymized)' : '')],
+                ['Material', doc.socket.material],
+                ['Machine', doc.setup.machine || '—'],
+                ['Stock', doc.setup.stock || '—'],
+                ['Program', `${doc.setup.moves} moves`]
+            ]
+        });
+        sections.push({
+            title: 'Socket',
+            fields: [
+                ['Proximal diameter', mm(doc.socket.proximalDiameter)],
+                ['Distal diameter', mm(doc.socket.distalDiameter)],
+                ['Length', mm(doc.socket.length)],
+                ['Wall (proximal / middle / distal)', ['proximal', 'middle', 'distal']
+                    .map(key => doc.socket.wallThickness[key].toFixed(2)).join(' / ') + 'mm'],
+                ['Comfort channels', doc.socket.comfortChannels]
+            ]
+        });
+        sections.push({
+            title: 'EMG Sensors',
+            table: {
+                headers: ['Sensor', 'Type', 'Angle', 'Depth', 'Pocket'],
+                rows: doc.sensors.map(sensor => [
+                    sensor.id,
+                    sensor.electrode || sensor.type || '—',
+                    `${sensor.angle.toFixed(1)}°`,
+                    mm(sensor.depth),
+                    sensor.pocketDiameter !== null ? `Ø${sensor.pocketDiameter} × ${sensor.pocketDepth}mm` : '—'
+                ])
+            }
+        });
+        sections.push({
+            title: 'Tools',
+            table: {
+                headers: ['Tool', 'Description', 'Operations', 'Cutting distance'],
+                rows: doc.tools.map(tool => [
+                    `T${tool.number}`, tool.name || '—', tool.operations.join(', '),
+                    `${(tool.cuttingDistance / 1000).toFixed(2)}m`
+                ])
+            }
+        });
+        sections.push({
+            title: 'Operations',
+            table: {
+                headers: ['Operation', 'Time', 'Cutting', 'Rapid', 'Distance cut'],
+                rows: [
+                    ...doc.operations.map(operation => [
+                        operation.name, min(operation.time), min(operation.cuttingTime),
+                        min(operation.rapidTime), `${Math.round(operation.cuttingDistance)}mm`
+                    ]),
+                    ['Total', min(doc.manufacturing.totalTime), min(doc.manufacturing.cuttingTime),
+                     min(doc.manufacturing.rapidTime), `${(doc.manufacturing.efficiency * 100).toFixed(1)}% cutting`]
+                ]
+            }
+        });
+        sections.push({
+            title: 'Costs',
+            fields: [
+                ...['material', 'machining', 'setup', 'toolWear'].map(key => [label(key), money(doc.costs[key])]),
+                ['Total', money(doc.costs.total)],
+                ...(doc.arm ? [['Whole arm', `${doc.arm.totalTime}, ${doc.arm.totalCost}`]] : []),
+                ...(doc.quote ? [
+                    [`Batch of ${doc.quote.quantity}`, money(doc.quote.total)],
+                    ['Per unit', `${money(doc.quote.perUnit)} (setup ${money(doc.quote.setupPerUnit)})`]
+                ] : [])
+            ]
+        });
+        if (doc.interfacePressure) {
+            sections.push({
+                title: 'Interface Pressure',
+                fields: [
+                    ['Peak', doc.interfacePressure.peak],
+                    ['Mean', doc.interfacePressure.mean],
+                    ...doc.interfacePressure.highPressureZones.map(zone => ['Zone', zone])
+                ]
+            });
+        }
+        if (doc.components) {
+            sections.push({
+                title: 'Components',
+                table: {
+                    headers: ['Part', 'Material', 'Dimensions', 'Time', 'Cost'],
+                    rows: Object.entries(doc.components).map(([name, part]) => [
+                        label(name), part.material, part.dimensions, part.totalTime, part.totalCost
+                    ])
+                }
+            });
+        }
+        sections.push({
+            title: 'Timeline',
+            fields: Object.entries(doc.timeline).map(([phase, value]) => [label(phase), value])
+        });
+        sections.push({ title: 'Toolpath Preview', image: doc.preview.svg });
+
+        return sections;
+    }
+
+    /**
+     * Toolpath drawing as an SVG string (see ToolpathBackplot)
+     *
+     * Three-axis programs are drawn in plan by default and programs that
+     * turn the A axis unrolled, X against A; `views` picks other backplot
+     * views.
+     */
+    preview(toolpath, views = null) {
+        const rotary = this.interpreter.walk(toolpath).some(step => step.motion && step.from.a !== step.to.a);
+        const plot = this.backplot.render(toolpath, { ...this.PREVIEW, views: views || [rotary ? 'unrolled' : 'top'] });
+        return {
+            view: plot.views.map(view => this.backplot.VIEWS[view].title).join(', '),
+            bounds: plot.bounds,
+            svg: plot.svg
+        };
+    }
+
+    /**
+     * Stable pseudonymous patient ID: the same ID and salt always give the same result
+     */
+    anonymize(id, salt = '') {
+        return 'ANON-' + crypto.createHash('sha256').update(`${salt}:${id}`).digest('hex').slice(0, 10).toUpperCase();
+    }
+}
+
+module.exports = ReportRenderer;
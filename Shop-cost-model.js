@@ -0,0 +1,205 @@
+/**
+ * Shop Cost Model
+ *
+ * Prices machined parts the way the shop does: machine time at each
+ * machine's hourly rate, stock by weight, tool wear from the cutting
+ * distance each tool runs, setup, and the finishing and fitting labour a
+ * part needs. Quotes cover batches of N units, with setup spread over the
+ * batch, and come back as itemized lines that reports can embed.
+ */
+
+class ShopCostModel {
+    constructor(config = {}) {
+        const defaults = {
+            currency: 'USD',
+
+            // Hourly rates; 3-axis matches the original $0.80/min
+            machines: {
+                'three-axis': { name: '3-axis mill', hourlyRate: 48 },
+                'rotary': { name: '4-axis mill (A axis)', hourlyRate: 66 }
+            },
+
+            // Fixturing, zeroing and proving the program, once per part per batch
+            setup: { minutes: 45 },
+
+            // Shop labour; minutes per unit for each part kind
+            labor: {
+                hourlyRate: 60,
+                finishing: { socket: 60, frame: 20, housing: 15 },
+                fitting: { socket: 90, frame: 0, housing: 0 }
+            },
+
+            // Stock density (g/cm³) and price; toolLife scales tool life in the material
+            materials: {
+                socket: { density: 1.6, pricePerKg: 125, toolLife: 0.5 },    // abrasive carbon fibre
+                frame: { density: 4.43, pricePerKg: 90, toolLife: 0.2 },     // Ti-6Al-4V
+                housing: { density: 1.32, pricePerKg: 200, toolLife: 1.5 }   // PEEK
+            },
+
+            // Tool price and life in metres of cutting, by tool number or the default
+            tools: {
+                default: { price: 40, life: 150 }
+            }
+        };
+
+        this.CONFIG = {
+            ...defaults,
+            ...config,
+            machines: { ...defaults.machines, ...config.machines },
+            setup: { ...defaults.setup, ...config.setup },
+            labor: {
+                ...defaults.labor,
+                ...config.labor,
+                finishing: { ...defaults.labor.finishing, ...(config.labor || {}).finishing },
+                fitting: { ...defaults.labor.fitting, ...(config.labor || {}).fitting }
+            },
+            materials: { ...defaults.materials, ...config.materials },
+            tools: { ...defaults.tools, ...config.tools }
+        };
+    }
+
+    /**
+     * Machine-side cost of making one part
+     *
+     * `run` is `{ totalTime, tools }` from calculateMetrics (tools keyed by
+     * number with their cutting distance in mm). `stock` (`{ volume }` in cm³)
+     * prices the blank by weight; without it `blankPrice` is used. Returns
+     * material, machining, setup, toolWear and total, plus the per-tool wear.
+     */
+    partCosts(run, material, options = {}) {
+        const machine = this.machine(options.machine);
+        const materialCost = options.stock
+            ? this.stockCost(material, options.stock)
+            : (options.blankPrice || 0);
+        const tools = this.toolWear(run.tools || {}, material);
+        const toolWear = tools.reduce((sum, entry) => sum + entry.cost, 0);
+        const machining = run.totalTime / 60 * machine.hourlyRate;
+        const setup = this.setupCost();
+
+        return {
+            currency: this.CONFIG.currency,
+            machine: options.machine || 'three-axis',
+            material: materialCost,
+            machining: machining,
+            setup: setup,
+            toolWear: toolWear,
+            tools: tools,
+            total: materialCost + machining + setup + toolWear
+        };
+    }
+
+    /**
+     * Itemized quote for a batch
+     *
+     * `parts` are `{ name, kind, material, metrics, stock, machine }`, one
+     * entry per part in a unit (socket, frame, housing); `machine` defaults to
+     * the one calculateMetrics costed. Material, machining, tool wear and
+     * labour scale with `quantity`; setup is paid once per part and spread
+     * over the batch.
+     */
+    quote(parts, quantity = 1) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(`Quote quantity must be a whole number of at least 1 (got ${quantity})`);
+        }
+        const labor = this.CONFIG.labor;
+        const lines = [];
+        const line = (part, category, description, units, unitCost) => {
+            if (unitCost === 0) return;
+            lines.push({ part, category, description, quantity: units, unitCost, total: units * unitCost });
+        };
+
+        parts.forEach(part => {
+            const machine = this.machine(part.machine || part.metrics.costs.machine);
+            const minutes = part.metrics.totalTime;
+            const materialSpec = this.CONFIG.materials[part.material] || {};
+
+            if (part.stock) {
+                line(part.name, 'material', `${part.stock.description || 'Stock'}, ` +
+                     `${(part.stock.volume * (materialSpec.density || 0) / 1000).toFixed(3)}kg`,
+                     quantity, this.stockCost(part.material, part.stock));
+            } else {
+                line(part.name, 'material', 'Blank', quantity, part.metrics.costs.material);
+            }
+            line(part.name, 'machining', `${machine.name}, ${minutes.toFixed(1)} min at ` +
+                 `${this.format(machine.hourlyRate)}/h`, quantity, minutes / 60 * machine.hourlyRate);
+            this.toolWear(part.metrics.tools || {}, part.material).forEach(entry => {
+                line(part.name, 'toolWear', `T${entry.tool} wear, ${(entry.distance / 1000).toFixed(1)}m of ` +
+                     `${entry.life.toFixed(0)}m life`, quantity, entry.cost);
+            });
+            line(part.name, 'setup', `Setup ${this.CONFIG.setup.minutes} min, once per batch`, 1, this.setupCost());
+            [['finishing', 'Finishing'], ['fitting', 'Fitting']].forEach(([key, label]) => {
+                const perUnit = labor[key][part.kind] || 0;
+                line(part.name, 'labor', `${label} ${perUnit} min`, quantity, perUnit / 60 * labor.hourlyRate);
+            });
+        });
+
+        const subtotals = {};
+        lines.forEach(entry => { subtotals[entry.category] = (subtotals[entry.category] || 0) + entry.total; });
+        const total = lines.reduce((sum, entry) => sum + entry.total, 0);
+        const setup = subtotals.setup || 0;
+
+        return {
+            currency: this.CONFIG.currency,
+            quantity: quantity,
+            parts: parts.map(part => part.name),
+            lines: lines,
+            subtotals: subtotals,
+            total: total,
+            perUnit: total / quantity,
+            setupPerUnit: setup / quantity
+        };
+    }
+
+    /**
+     * Stock price from its volume (cm³) and the material's density and price per kg
+     */
+    stockCost(material, stock) {
+        const spec = this.CONFIG.materials[material];
+        if (!spec) throw new Error(`No stock price for material "${material}"`);
+        return stock.volume * spec.density / 1000 * spec.pricePerKg;
+    }
+
+    /**
+     * Wear charged to each tool: its share of a tool's life used by the cutting distance
+     */
+    toolWear(tools, material) {
+        const factor = (this.CONFIG.materials[material] || {}).toolLife || 1;
+        return Object.entries(tools).map(([number, usage]) => {
+            const spec = this.CONFIG.tools[number] || this.CONFIG.tools.default;
+            const life = spec.life * factor;
+            return {
+                tool: Number(number),
+                distance: usage.cuttingDistance,
+                life: life,
+                cost: usage.cuttingDistance / 1000 / life * spec.price
+            };
+        });
+    }
+
+    /**
+     * Setup labour for one part
+     */
+    setupCost() {
+        return this.CONFIG.setup.minutes / 60 * this.CONFIG.labor.hourlyRate;
+    }
+
+    /**
+     * Machine rates by key
+     */
+    machine(key = 'three-axis') {
+        const machine = this.CONFIG.machines[key];
+        if (!machine) {
+            throw new Error(`Unknown machine "${key}" (expected ${Object.keys(this.CONFIG.machines).join(', ')})`);
+        }
+        return machine;
+    }
+
+    /**
+     * Amount in the quote currency
+     */
+    format(amount) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: this.CONFIG.currency }).format(amount);
+    }
+}
+
+module.exports = ShopCostModel;
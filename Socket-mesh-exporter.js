@@ -0,0 +1,314 @@
+/**
+ * Socket Mesh Exporter
+ *
+ * Builds a closed triangle mesh of a designed socket (inner wall, outer
+ * shell, brim and distal cap) with sensor pockets and comfort channel
+ * grooves cut into the inner wall, and writes it as STL or OBJ for CAD
+ * review or a 3D-printed check socket.
+ *
+ * Machine frame: Z = 0 at the brim, negative toward the distal end.
+ */
+
+class SocketMeshExporter {
+    constructor() {
+        this.DEFAULTS = {
+            angularSteps: 180,      // 2° around the socket
+            depthStep: 1.0,         // mm between rings
+            minimumSkin: 0.3        // mm of wall kept behind any feature
+        };
+    }
+
+    /**
+     * Build the socket mesh
+     *
+     * `radiusAt(depth, angle)` gives the inner radius (ProstheticCNCSystem
+     * socketRadiusAt) and `pocketSize(sensor)` the pocket diameter and depth.
+     * Returns vertices, triangle faces and warnings for features that had to
+     * be clamped to keep a minimum skin.
+     */
+    buildMesh(socket, radiusAt, pocketSize, options = {}) {
+        const settings = { ...this.DEFAULTS, ...options };
+        const steps = settings.angularSteps;
+        const rings = Math.max(2, Math.ceil(socket.length / settings.depthStep) + 1);
+        const warnings = [];
+        const vertices = [];
+        const faces = [];
+
+        const features = this.collectFeatures(socket, pocketSize);
+        const clamped = new Set();
+
+        const inner = [];
+        const outer = [];
+        for (let ring = 0; ring < rings; ring++) {
+            const depth = socket.length * ring / (rings - 1);
+            const wall = this.wallThicknessAt(socket, depth);
+            inner.push([]);
+            outer.push([]);
+
+            for (let step = 0; step < steps; step++) {
+                const angle = 360 * step / steps;
+                const radius = radiusAt(depth, angle);
+                let relief = this.reliefAt(features, depth, angle, radius);
+
+                if (relief.depth > wall - settings.minimumSkin) {
+                    if (!clamped.has(relief.id)) {
+                        clamped.add(relief.id);
+                        warnings.push(`${relief.id} is ${relief.depth.toFixed(2)}mm deep in a ` +
+                                      `${wall.toFixed(2)}mm wall; clamped to leave ${settings.minimumSkin}mm`);
+                    }
+                    relief = { ...relief, depth: wall - settings.minimumSkin };
+                }
+
+                const theta = angle * Math.PI / 180;
+                const innerRadius = radius + relief.depth;
+                const outerRadius = radius + wall;
+                inner[ring].push(vertices.length);
+                vertices.push({ x: innerRadius * Math.cos(theta), y: innerRadius * Math.sin(theta), z: -depth });
+                outer[ring].push(vertices.length);
+                vertices.push({ x: outerRadius * Math.cos(theta), y: outerRadius * Math.sin(theta), z: -depth });
+            }
+        }
+
+        for (let ring = 0; ring < rings - 1; ring++) {
+            for (let step = 0; step < steps; step++) {
+                const next = (step + 1) % steps;
+                // Inner wall faces the axis, outer shell faces away from it
+                this.pushQuad(faces, inner[ring][step], inner[ring][next], inner[ring + 1][next], inner[ring + 1][step]);
+                this.pushQuad(faces, outer[ring][step], outer[ring + 1][step], outer[ring + 1][next], outer[ring][next]);
+            }
+        }
+
+        // Brim annulus joins the inner wall to the outer shell at Z = 0
+        for (let step = 0; step < steps; step++) {
+            const next = (step + 1) % steps;
+            this.pushQuad(faces, inner[0][step], outer[0][step], outer[0][next], inner[0][next]);
+        }
+
+        // Distal cap: inner floor at the socket length, outer floor one distal wall below it
+        const last = rings - 1;
+        const innerCenter = vertices.length;
+        vertices.push({ x: 0, y: 0, z: -socket.length });
+        const outerCenter = vertices.length;
+        vertices.push({ x: 0, y: 0, z: -(socket.length + socket.wallThickness.distal) });
+
+        for (let step = 0; step < steps; step++) {
+            const next = (step + 1) % steps;
+            faces.push([innerCenter, inner[last][step], inner[last][next]]);
+        }
+        // Outer shell drops straight down to the floor ring before closing
+        const floor = [];
+        for (let step = 0; step < steps; step++) {
+            const top = vertices[outer[last][step]];
+            floor.push(vertices.length);
+            vertices.push({ x: top.x, y: top.y, z: -(socket.length + socket.wallThickness.distal) });
+        }
+        for (let step = 0; step < steps; step++) {
+            const next = (step + 1) % steps;
+            this.pushQuad(faces, outer[last][step], floor[step], floor[next], outer[last][next]);
+            faces.push([outerCenter, floor[next], floor[step]]);
+        }
+
+        return { vertices, faces, warnings };
+    }
+
+    /**
+     * Wall thickness at a depth, interpolated between the three design zones
+     */
+    wallThicknessAt(socket, depth) {
+        const { proximal, middle, distal } = socket.wallThickness;
+        const t = Math.min(Math.max(depth / socket.length, 0), 1);
+        return t < 0.5
+            ? proximal + (middle - proximal) * t / 0.5
+            : middle + (distal - middle) * (t - 0.5) / 0.5;
+    }
+
+    /**
+     * Sensor pockets and channel grooves in unrolled wall coordinates
+     *
+     * Each feature is described by arc length around the wall (s) and depth
+     * (z) so distances match the surface rather than the angle.
+     */
+    collectFeatures(socket, pocketSize) {
+        const pockets = socket.sensorPositions.map(sensor => {
+            const size = pocketSize(sensor);
+            return {
+                id: sensor.id,
+                angle: sensor.angle,
+                z: sensor.z,
+                radius: size.diameter / 2,
+                depth: size.depth
+            };
+        });
+
+        // Grooves join consecutive channel points of the same depth and group, as they are machined
+        const grooves = [];
+        const channels = socket.comfortChannels || [];
+        for (let i = 1; i < channels.length; i++) {
+            const a = channels[i - 1];
+            const b = channels[i];
+            if (Math.round(a.depth * 10) !== Math.round(b.depth * 10) || a.group !== b.group) continue;
+            grooves.push({
+                id: `CHANNEL_${i}`,
+                start: { angle: a.angle, z: a.z },
+                end: { angle: b.angle, z: b.z },
+                halfWidth: a.width / 2,
+                depth: a.depth
+            });
+        }
+
+        return { pockets, grooves };
+    }
+
+    /**
+     * Deepest feature covering a point on the inner wall
+     */
+    reliefAt(features, depth, angle, radius) {
+        let relief = { id: null, depth: 0 };
+        const arc = (from, to) => {
+            const delta = ((to - from) % 360 + 540) % 360 - 180; // shortest signed angle
+            return delta * Math.PI / 180 * radius;
+        };
+
+        features.pockets.forEach(pocket => {
+            const distance = Math.hypot(arc(pocket.angle, angle), depth - pocket.z);
+            if (distance <= pocket.radius && pocket.depth > relief.depth) {
+                relief = { id: pocket.id, depth: pocket.depth };
+            }
+        });
+
+        features.grooves.forEach(groove => {
+            // Point-to-segment distance with the groove start as the origin
+            const ex = arc(groove.start.angle, groove.end.angle);
+            const ez = groove.end.z - groove.start.z;
+            const px = arc(groove.start.angle, angle);
+            const pz = depth - groove.start.z;
+            const lengthSq = ex * ex + ez * ez;
+            const t = lengthSq > 0 ? Math.min(Math.max((px * ex + pz * ez) / lengthSq, 0), 1) : 0;
+            const distance = Math.hypot(px - ex * t, pz - ez * t);
+            if (distance <= groove.halfWidth && groove.depth > relief.depth) {
+                relief = { id: groove.id, depth: groove.depth };
+            }
+        });
+
+        return relief;
+    }
+
+    /**
+     * Split a quad (counter-clockwise seen from outside the solid) into two triangles
+     */
+    pushQuad(faces, a, b, c, d) {
+        faces.push([a, b, c], [a, c, d]);
+    }
+
+    /**
+     * Count open and over-shared edges; a watertight mesh has neither
+     */
+    checkWatertight(mesh) {
+        const edges = new Map();
+        mesh.faces.forEach(face => {
+            for (let i = 0; i < 3; i++) {
+                const a = face[i];
+                const b = face[(i + 1) % 3];
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+                edges.set(key, (edges.get(key) || 0) + 1);
+            }
+        });
+
+        let boundaryEdges = 0;
+        let nonManifoldEdges = 0;
+        edges.forEach(count => {
+            if (count === 1) boundaryEdges++;
+            if (count > 2) nonManifoldEdges++;
+        });
+
+        return {
+            watertight: boundaryEdges === 0 && nonManifoldEdges === 0,
+            boundaryEdges: boundaryEdges,
+            nonManifoldEdges: nonManifoldEdges,
+            volume: this.volume(mesh)
+        };
+    }
+
+    /**
+     * Enclosed volume (mm³) from signed tetrahedra; positive when faces wind outward
+     */
+    volume(mesh) {
+        let total = 0;
+        mesh.faces.forEach(([a, b, c]) => {
+            const p = mesh.vertices[a];
+            const q = mesh.vertices[b];
+            const r = mesh.vertices[c];
+            total += (p.x * (q.y * r.z - q.z * r.y) -
+                      p.y * (q.x * r.z - q.z * r.x) +
+                      p.z * (q.x * r.y - q.y * r.x)) / 6;
+        });
+        return total;
+    }
+
+    /**
+     * Unit normal of a triangle
+     */
+    faceNormal(mesh, face) {
+        const [p, q, r] = face.map(index => mesh.vertices[index]);
+        const ux = q.x - p.x, uy = q.y - p.y, uz = q.z - p.z;
+        const vx = r.x - p.x, vy = r.y - p.y, vz = r.z - p.z;
+        const n = { x: uy * vz - uz * vy, y: uz * vx - ux * vz, z: ux * vy - uy * vx };
+        const length = Math.hypot(n.x, n.y, n.z) || 1;
+        return { x: n.x / length, y: n.y / length, z: n.z / length };
+    }
+
+    /**
+     * Binary STL buffer
+     */
+    toBinarySTL(mesh, name = 'socket') {
+        const buffer = Buffer.alloc(84 + mesh.faces.length * 50);
+        buffer.write(name.substring(0, 80), 0, 'ascii');
+        buffer.writeUInt32LE(mesh.faces.length, 80);
+
+        mesh.faces.forEach((face, index) => {
+            let offset = 84 + index * 50;
+            const normal = this.faceNormal(mesh, face);
+            [normal, ...face.map(vertex => mesh.vertices[vertex])].forEach(point => {
+                buffer.writeFloatLE(point.x, offset);
+                buffer.writeFloatLE(point.y, offset + 4);
+                buffer.writeFloatLE(point.z, offset + 8);
+                offset += 12;
+            });
+            buffer.writeUInt16LE(0, offset);
+        });
+
+        return buffer;
+    }
+
+    /**
+     * ASCII STL text
+     */
+    toAsciiSTL(mesh, name = 'socket') {
+        const lines = [`solid ${name}`];
+        mesh.faces.forEach(face => {
+            const n = this.faceNormal(mesh, face);
+            lines.push(`  facet normal ${n.x.toExponential(6)} ${n.y.toExponential(6)} ${n.z.toExponential(6)}`);
+            lines.push('    outer loop');
+            face.forEach(index => {
+                const v = mesh.vertices[index];
+                lines.push(`      vertex ${v.x.toExponential(6)} ${v.y.toExponential(6)} ${v.z.toExponential(6)}`);
+            });
+            lines.push('    endloop');
+            lines.push('  endfacet');
+        });
+        lines.push(`endsolid ${name}`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Wavefront OBJ text with shared vertices
+     */
+    toOBJ(mesh, name = 'socket') {
+        const lines = [`# ${name}: ${mesh.vertices.length} vertices, ${mesh.faces.length} faces`, `o ${name}`];
+        mesh.vertices.forEach(v => lines.push(`v ${v.x.toFixed(4)} ${v.y.toFixed(4)} ${v.z.toFixed(4)}`));
+        mesh.faces.forEach(face => lines.push(`f ${face.map(index => index + 1).join(' ')}`));
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = SocketMeshExporter;
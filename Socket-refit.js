@@ -0,0 +1,268 @@
+/**
+ * Socket Refit
+ *
+ * Local changes to a socket that has already been made, after a fitting
+ * shows pressure spots. The prosthetist marks each spot as a modification
+ * `{ id, angle, z, radius, depth }`: a round patch of the inner wall
+ * centred `z` mm below the brim at `angle` degrees, `radius` mm across the
+ * wall, pushed out by `depth` mm at its centre and blending smoothly
+ * (cos²) back to the wall at its edge. A positive depth is a relief that
+ * gives the limb more room; a negative depth is a build-up.
+ *
+ * Reliefs are cut into the existing socket: each one is re-machined with
+ * the finishing cutter, raster passes across its patch only, in as many
+ * passes as the cutter's depth of cut needs. Build-ups would need material
+ * added back, so they are listed for a remake instead.
+ */
+
+class SocketRefit {
+    constructor(settings = {}) {
+        this.SETTINGS = {
+            angularStep: 1,         // degrees between points along a pass
+            levelStep: 0.5,         // mm of depth between passes, ~0.01mm scallop with a 6mm ball
+            threshold: 0.005,       // mm; wall moved less than this is left alone
+            minimumSkin: 0.3,       // mm of wall left behind a relief
+            safeZ: 5,
+            ...settings
+        };
+    }
+
+    /**
+     * Problems with a list of modifications to a socket
+     *
+     * `radiusAt(depth, angle)` and `wallThicknessAt(depth)` describe the
+     * socket as it is; a relief, with any made before it, must leave
+     * `minimumSkin` of the wall. Problems are in ClinicalValidator's format.
+     */
+    checkModifications(modifications, socket, radiusAt, wallThicknessAt) {
+        if (!Array.isArray(modifications) || modifications.length === 0) {
+            return [{ field: 'modifications', code: 'type', message: 'modifications must be a non-empty array', value: modifications }];
+        }
+
+        const problems = [];
+        const placed = [...(socket.modifications || [])];
+        modifications.forEach((modification, index) => {
+            const field = `modifications[${index}]`;
+            const check = (key, valid, message) => {
+                if (!valid(modification[key])) {
+                    problems.push({ field: `${field}.${key}`, code: 'range', message: `${field}.${key} ${message}`, value: modification[key] });
+                    return false;
+                }
+                return true;
+            };
+            const valid = [
+                check('angle', value => typeof value === 'number' && Number.isFinite(value), 'must be a finite number'),
+                check('z', value => value >= 0 && value <= socket.length, `must be within the socket (0–${socket.length.toFixed(1)} mm)`),
+                check('radius', value => typeof value === 'number' && Number.isFinite(value) && value > 0, 'must be a positive number'),
+                check('depth', value => typeof value === 'number' && Number.isFinite(value) && value !== 0,
+                      'must be a non-zero number (positive to relieve, negative to build up)')
+            ].every(Boolean);
+            if (!valid) return;
+            placed.push(modification);
+            if (modification.depth < 0) return;
+
+            // Reliefs already made and those before this one add up
+            const relief = this.offsetAt(placed, modification.z, modification.angle, radiusAt(modification.z, modification.angle));
+            const wall = wallThicknessAt(modification.z);
+            if (relief > wall - this.SETTINGS.minimumSkin) {
+                problems.push({
+                    field: `${field}.depth`,
+                    code: 'range',
+                    message: `${field} relieves ${relief.toFixed(2)}mm of a ${wall.toFixed(2)}mm wall; ` +
+                             `at least ${this.SETTINGS.minimumSkin}mm must be left`,
+                    value: modification.depth
+                });
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * The socket with the modifications added to any it already has, each named
+     */
+    apply(socket, modifications) {
+        const existing = socket.modifications || [];
+        return {
+            ...socket,
+            modifications: [
+                ...existing,
+                ...modifications.map((modification, index) => ({
+                    id: modification.id || `Modification ${existing.length + index + 1}`,
+                    angle: modification.angle,
+                    z: modification.z,
+                    radius: modification.radius,
+                    depth: modification.depth
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Radial change (mm, outward positive) that modifications make to a wall of `radius` at a depth and angle
+     */
+    offsetAt(modifications, depth, angle, radius) {
+        return modifications.reduce((sum, modification) => {
+            const turn = ((angle - modification.angle) % 360 + 540) % 360 - 180;
+            const distance = Math.hypot(turn * Math.PI / 180 * radius, depth - modification.z);
+            if (distance >= modification.radius) return sum;
+            return sum + modification.depth * Math.pow(Math.cos(Math.PI / 2 * distance / modification.radius), 2);
+        }, 0);
+    }
+
+    /**
+     * Plan the passes that cut reliefs into the existing socket
+     *
+     * `radiusAt(depth, angle, fraction)` is the wall `fraction` of the way
+     * from the wall as it is (0) to the relieved wall (1), and
+     * `pointAt(depth, angle, fraction)` the tool-centre point on it (see
+     * ProstheticCNCSystem.toolOffsetPoint). Each pass drops down the socket
+     * axis, which is clear, feeds out to the wall and rasters across the
+     * relief a level at a time. Where the relief undercuts a narrower wall
+     * above it the cutter is held in so its shank clears that wall.
+     * Returns the moves and one region per relief: its angle and depth
+     * span, deepest relief, passes, volume removed (cm³) and the most
+     * relief left uncut in an undercut (mm).
+     */
+    plan(socket, reliefs, radiusAt, pointAt, tool, feedRate, entry) {
+        const settings = this.SETTINGS;
+        const toolRadius = tool.diameter / 2;
+        const moves = [];
+        const regions = [];
+
+        reliefs.forEach(relief => {
+            // A ball can only reach the bottom of a relief that curves no tighter than it
+            const curvature = relief.depth * Math.PI * Math.PI / (2 * relief.radius * relief.radius);
+            if (curvature * toolRadius > 1) {
+                throw new Error(`${tool.name} is too large for ${relief.id}: a ${relief.depth}mm relief needs a radius ` +
+                                `of at least ${(Math.PI * Math.sqrt(relief.depth * toolRadius / 2)).toFixed(1)}mm`);
+            }
+
+            const levels = this.levels(relief, socket.length, toolRadius, radiusAt);
+            if (levels.length === 0) return;
+            const deepest = Math.max(...levels.map(level => level.relief));
+            const passes = Math.max(1, Math.ceil(deepest / tool.maxDepthOfCut - 1e-9));
+            let uncut = 0;
+
+            for (let pass = 1; pass <= passes; pass++) {
+                const fraction = pass / passes;
+                moves.push({ cmd: 'G0', x: 0, y: 0, z: settings.safeZ, comment: `${relief.id} relief pass ${pass} of ${passes}` });
+
+                levels.forEach((level, index) => {
+                    const angles = index % 2 === 0 ? level.angles : [...level.angles].reverse();
+                    const points = angles.map(angle => {
+                        const point = this.shankClear(pointAt(level.depth, angle, fraction), tool,
+                                                      (depth, at) => radiusAt(depth, at, fraction));
+                        if (fraction === 1) uncut = Math.max(uncut, point.held);
+                        return point;
+                    });
+                    if (index === 0) {
+                        moves.push(...entry.enter(points, {
+                            tool: tool,
+                            clearZ: settings.safeZ,
+                            topZ: -socket.length,
+                            toZ: points[0].z
+                        }));
+                        moves.push({ cmd: 'G1', x: points[0].x, y: points[0].y, f: feedRate, comment: 'Out to the wall' });
+                    } else {
+                        moves.push({ cmd: 'G1', x: points[0].x, y: points[0].y, z: points[0].z, comment: `Step down to ${level.depth.toFixed(2)}mm` });
+                    }
+                    points.slice(1).forEach(point => {
+                        moves.push({ cmd: 'G1', x: point.x, y: point.y, z: point.z, comment: `${relief.id} at ${level.depth.toFixed(2)}mm` });
+                    });
+                });
+
+                moves.push({ cmd: 'G0', x: 0, y: 0, comment: 'Back to the socket axis' });
+                moves.push({ cmd: 'G0', z: settings.safeZ, comment: 'Retract' });
+            }
+
+            const from = Math.min(...levels.map(level => level.angles[0]));
+            const to = Math.max(...levels.map(level => level.angles[level.angles.length - 1]));
+            regions.push({
+                id: relief.id,
+                angles: [from, to],
+                depths: [levels[0].depth, levels[levels.length - 1].depth],
+                relief: deepest,
+                passes: passes,
+                volume: levels.reduce((sum, level) => sum + level.volume, 0) / 1000,
+                uncut: uncut
+            });
+        });
+
+        return { moves: moves, regions: regions };
+    }
+
+    /**
+     * The tool-centre point, moved in toward the axis until the cutter's
+     * shank clears the wall all the way up to the brim; `held` is how far
+     */
+    shankClear(point, tool, radiusAt) {
+        const toolRadius = tool.diameter / 2;
+        const shankDepth = -point.z - (tool.cornerRadius || 0);
+        const theta = Math.atan2(point.y, point.x);
+        const depths = [];
+        for (let depth = shankDepth; depth > 0; depth -= 1) depths.push(depth);
+        depths.push(0);
+        let radius = point.radius;
+
+        for (let iteration = 0; iteration < 3; iteration++) {
+            // Outward half of the shank, every mm up to the brim
+            let excess = 0;
+            depths.forEach(depth => {
+                for (let k = -2; k <= 2; k++) {
+                    const side = theta + k * Math.PI / 4;
+                    const x = radius * Math.cos(theta) + toolRadius * Math.cos(side);
+                    const y = radius * Math.sin(theta) + toolRadius * Math.sin(side);
+                    excess = Math.max(excess, Math.hypot(x, y) - radiusAt(depth, Math.atan2(y, x) * 180 / Math.PI));
+                }
+            });
+            if (excess < 1e-3) break;
+            radius -= excess;
+        }
+
+        const held = point.radius - radius;
+        if (held < 1e-3) return { ...point, held: 0 };
+        return { ...point, x: radius * Math.cos(theta), y: radius * Math.sin(theta), radius: radius, held: held };
+    }
+
+    /**
+     * Raster levels across a relief: at each depth the angles (cutter's
+     * reach either side included) where the wall moves, its deepest relief
+     * and the volume (mm³) of its band
+     */
+    levels(relief, length, toolRadius, radiusAt) {
+        const { angularStep, levelStep, threshold } = this.SETTINGS;
+        const top = Math.max(relief.z - relief.radius, 0);
+        const bottom = Math.min(relief.z + relief.radius, length);
+        const count = Math.max(1, Math.ceil((bottom - top) / levelStep));
+        const band = (bottom - top) / count;
+        const levels = [];
+
+        for (let k = 0; k <= count; k++) {
+            const depth = top + band * k;
+            const radius = radiusAt(depth, relief.angle);
+            const span = Math.min((relief.radius + toolRadius) / radius * 180 / Math.PI, 179);
+            const steps = Math.ceil(span / angularStep);
+            const angles = [];
+            for (let s = -steps; s <= steps; s++) angles.push(relief.angle + span * s / steps);
+
+            const offsets = angles.map(angle => this.offsetAt([relief], depth, angle, radiusAt(depth, angle)));
+            const moved = offsets.map((offset, s) => offset > threshold ? s : null).filter(s => s !== null);
+            if (moved.length === 0) continue;
+
+            // Carry the cutter past the moved wall so it blends into the old one
+            const reach = Math.ceil(toolRadius / radius * 180 / Math.PI / (span / steps));
+            const first = Math.max(moved[0] - reach, 0);
+            const last = Math.min(moved[moved.length - 1] + reach, angles.length - 1);
+            const arc = radius * span / steps * Math.PI / 180;
+            levels.push({
+                depth: depth,
+                angles: angles.slice(first, last + 1),
+                relief: Math.max(...offsets),
+                volume: offsets.reduce((sum, offset) => sum + offset, 0) * arc * (k === 0 || k === count ? band / 2 : band)
+            });
+        }
+        return levels;
+    }
+}
+
+module.exports = SocketRefit;
@@ -0,0 +1,150 @@
+/**
+ * Stock Model
+ *
+ * Geometry of the stock a socket is cut from, in the machine frame with
+ * Z = 0 at the brim and the socket axis on Z:
+ *
+ * - `bar`: round bar, `{ diameter, length }`
+ * - `block` (or `plate`, as stockFor names frame stock): `{ length, width, thickness }`
+ *   along X, Y and Z
+ * - `blank`: pre-formed round blank with a cavity already moulded or bored
+ *   into it, `{ diameter, length, cavity: [{ depth, diameter }] }`, the
+ *   cavity given as diameters at depths below the top and closing to
+ *   nothing past the last one
+ *
+ * The top face sits at `top` (default 0, faced to the brim); stock above
+ * the brim is faced off by roughing.
+ */
+
+class StockModel {
+    constructor() {
+        this.SHAPES = ['bar', 'block', 'plate', 'blank'];
+    }
+
+    /**
+     * Throw unless the stock definition is complete
+     */
+    check(stock) {
+        const problems = [];
+        const positive = (key, value) => {
+            if (!(value > 0)) problems.push(`${key} must be greater than zero`);
+        };
+
+        if (!stock || !this.SHAPES.includes(stock.shape)) {
+            problems.push(`shape must be one of ${this.SHAPES.join(', ')}`);
+        } else if (stock.shape === 'block' || stock.shape === 'plate') {
+            ['length', 'width', 'thickness'].forEach(key => positive(key, stock[key]));
+        } else {
+            ['diameter', 'length'].forEach(key => positive(key, stock[key]));
+        }
+
+        if (stock && stock.top !== undefined && !Number.isFinite(stock.top)) problems.push('top must be a number');
+        if (stock && stock.shape === 'blank') {
+            const cavity = stock.cavity || [];
+            if (cavity.length === 0) problems.push('a blank needs its cavity profile');
+            cavity.forEach((section, index) => {
+                if (!(section.depth >= 0) || !(section.diameter >= 0)) {
+                    problems.push(`cavity section ${index + 1} needs a depth and diameter of at least zero`);
+                } else if (index > 0 && section.depth <= cavity[index - 1].depth) {
+                    problems.push('cavity depths must increase');
+                } else if (section.diameter >= stock.diameter) {
+                    problems.push(`cavity section ${index + 1} is as wide as the blank`);
+                }
+            });
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid stock: ${problems.join('; ')}`);
+        }
+        return stock;
+    }
+
+    /**
+     * Z of the top face
+     */
+    top(stock) {
+        return stock.top || 0;
+    }
+
+    /**
+     * Z of the bottom face
+     */
+    bottom(stock) {
+        const height = stock.shape === 'block' || stock.shape === 'plate' ? stock.thickness : stock.length;
+        return this.top(stock) - height;
+    }
+
+    /**
+     * Distance from the socket axis to the side of the stock at an angle (degrees)
+     */
+    outline(stock, angle) {
+        if (stock.shape !== 'block' && stock.shape !== 'plate') return stock.diameter / 2;
+        const theta = angle * Math.PI / 180;
+        const cos = Math.abs(Math.cos(theta));
+        const sin = Math.abs(Math.sin(theta));
+        return Math.min(cos > 1e-12 ? stock.length / 2 / cos : Infinity,
+                        sin > 1e-12 ? stock.width / 2 / sin : Infinity);
+    }
+
+    /**
+     * Radius of a blank's pre-formed cavity at a depth below the top, 0 where there is none
+     */
+    cavityRadius(stock, depth) {
+        const cavity = stock.shape === 'blank' ? stock.cavity || [] : [];
+        if (cavity.length === 0 || depth < 0 || depth > cavity[cavity.length - 1].depth) return 0;
+        if (depth <= cavity[0].depth) return cavity[0].diameter / 2;
+
+        const upper = cavity.findIndex(section => section.depth >= depth);
+        const lower = cavity[upper - 1];
+        const t = (depth - lower.depth) / (cavity[upper].depth - lower.depth);
+        return (lower.diameter + (cavity[upper].diameter - lower.diameter) * t) / 2;
+    }
+
+    /**
+     * Z of the stock surface at (x, y): the top, the floor of a blank's cavity, or -Infinity off the stock
+     */
+    surfaceAt(stock, x, y) {
+        const radius = Math.hypot(x, y);
+        const inside = stock.shape === 'block' || stock.shape === 'plate'
+            ? Math.abs(x) <= stock.length / 2 && Math.abs(y) <= stock.width / 2
+            : radius <= stock.diameter / 2;
+        if (!inside) return -Infinity;
+
+        const cavity = stock.shape === 'blank' ? stock.cavity : [];
+        if (cavity.length === 0 || this.cavityRadius(stock, 0) < radius) return this.top(stock);
+
+        // Deepest point the cavity stays at least this wide, walking down from the top
+        let depth = cavity[cavity.length - 1].depth;
+        for (let k = 1; k < cavity.length; k++) {
+            const below = cavity[k].diameter / 2;
+            if (below < radius) {
+                const above = cavity[k - 1].diameter / 2;
+                depth = cavity[k - 1].depth + (cavity[k].depth - cavity[k - 1].depth) * (above - radius) / (above - below);
+                break;
+            }
+        }
+        return Math.max(this.top(stock) - depth, this.bottom(stock));
+    }
+
+    /**
+     * Material volume (cm³)
+     */
+    volume(stock) {
+        if (stock.shape === 'block' || stock.shape === 'plate') {
+            return stock.length * stock.width * stock.thickness / 1000;
+        }
+
+        let cavity = 0;
+        const sections = stock.shape === 'blank' ? stock.cavity : [];
+        for (let k = 1; k < sections.length; k++) {
+            // Frustum between neighbouring sections
+            const a = sections[k - 1].diameter / 2;
+            const b = sections[k].diameter / 2;
+            cavity += Math.PI * (sections[k].depth - sections[k - 1].depth) * (a * a + a * b + b * b) / 3;
+        }
+        if (sections.length > 0) cavity += Math.PI * (sections[0].diameter / 2) ** 2 * sections[0].depth;
+        return (Math.PI * stock.diameter * stock.diameter / 4 * stock.length - cavity) / 1000;
+    }
+}
+
+module.exports = StockModel;
@@ -0,0 +1,554 @@
+/**
+ * Stock Simulator
+ *
+ * Cuts a 3-axis socket toolpath out of a dexel model of the stock and
+ * compares what is left with the designed socket. The stock is a square
+ * grid of Z columns (dexels) over its cross-section, each starting at the
+ * StockModel surface (the top, or a blank's cavity floor); every
+ * G0/G1/G2/G3 move sweeps its cutter through the grid and lowers each
+ * column it passes over to the underside of the tool.
+ *
+ * The design surface is the one SocketMeshExporter builds: the inner
+ * radius plus any sensor pocket or comfort channel relief. The wall is
+ * checked radially at each angle and depth, the distal floor vertically,
+ * and every sensor pocket by the depth actually machined into the wall.
+ */
+
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+const ToolLibrary = require('./Tool-library.js');
+const SocketMeshExporter = require('./Socket-mesh-exporter.js');
+const StockModel = require('./Stock-model.js');
+
+class StockSimulator {
+    constructor() {
+        this.interpreter = new ToolpathInterpreter();
+        this.mesh = new SocketMeshExporter();
+        this.model = new StockModel();
+
+        this.DEFAULTS = {
+            resolution: 0.5,        // mm between dexels
+            tolerance: 0.1,         // mm either side of the design surface
+            angularStep: 5,         // degrees between wall samples
+            depthStep: 1,           // mm between wall samples
+            maxIssues: 25           // worst gouges and leftovers listed
+        };
+    }
+
+    /**
+     * Simulate a toolpath and compare the machined stock with the socket design
+     *
+     * `radiusAt(depth, angle)` gives the inner radius and `pocketSize(sensor)`
+     * the pocket diameter and depth, as for SocketMeshExporter. Options:
+     * `tools` (the ToolLibrary the toolpath was generated with), `stock`
+     * (a StockModel definition; `{ diameter, length }` is taken as a bar)
+     * and overrides of DEFAULTS.
+     *
+     * Deviations are positive where the cut went past the design surface
+     * (a gouge) and negative where material is left on it. Returns volumes
+     * in cm³, the surface error, the worst gouges (with a count for each
+     * operation that cut them) and leftovers, each pocket's machined
+     * depth and any rapid (G0) moves that cut stock;
+     * `valid` is true when none of them is out of tolerance.
+     */
+    simulate(socket, toolpath, radiusAt, pocketSize, options = {}) {
+        const settings = { ...this.DEFAULTS, ...options };
+        const tools = settings.tools || new ToolLibrary();
+        const stock = this.model.check({
+            shape: 'bar',
+            ...(settings.stock || {
+                diameter: socket.proximalDiameter + 2 * socket.wallThickness.proximal,
+                length: socket.length
+            })
+        });
+        if (!(settings.resolution > 0) || !(settings.tolerance >= 0)) {
+            throw new Error('Stock simulation needs a positive resolution and a tolerance of at least zero');
+        }
+        for (let angle = 0; angle < 360; angle += settings.angularStep) {
+            if (this.model.outline(stock, angle) <= radiusAt(0, angle)) {
+                throw new Error(`${stock.description || stock.shape} stock is too small for the socket`);
+            }
+        }
+
+        const grid = this.createGrid(stock, settings);
+        const steps = this.interpreter.walk(toolpath);
+        const machining = this.cutToolpath(grid, steps, tools, settings);
+        const design = this.designSurface(socket, radiusAt, pocketSize, settings);
+
+        const samples = [...this.compareWall(grid, design, steps),
+                         ...this.compareFloor(grid, design, steps, settings)];
+        const pockets = this.comparePockets(grid, design, settings);
+        const volumes = this.compareVolumes(grid, design, stock);
+
+        const errors = samples.map(sample => Math.abs(sample.deviation));
+        const gouges = samples.filter(sample => sample.deviation > settings.tolerance);
+        const leftover = samples.filter(sample => sample.deviation < -settings.tolerance);
+        const summarize = issues => ({
+            count: issues.length,
+            max: issues.reduce((max, issue) => Math.max(max, Math.abs(issue.deviation)), 0),
+            samples: issues
+                .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation))
+                .slice(0, settings.maxIssues)
+        });
+
+        return {
+            resolution: settings.resolution,
+            tolerance: settings.tolerance,
+            stock: { ...stock, volume: volumes.stock, dexels: grid.size * grid.size },
+            volumes: { ...volumes, removed: machining.removed / 1000 },
+            removedByOperation: machining.byOperation,
+            surfaceError: {
+                max: errors.reduce((max, error) => Math.max(max, error), 0),
+                mean: errors.reduce((sum, error) => sum + error, 0) / (errors.length || 1),
+                samples: errors.length
+            },
+            gouges: {
+                ...summarize(gouges),
+                byOperation: gouges.reduce((counts, sample) => {
+                    counts[sample.operation] = (counts[sample.operation] || 0) + 1;
+                    return counts;
+                }, {})
+            },
+            leftover: summarize(leftover),
+            pockets: pockets,
+            rapidCuts: machining.rapidCuts,
+            valid: gouges.length === 0 && leftover.length === 0 && machining.rapidCuts.length === 0 &&
+                   pockets.every(pocket => pocket.status === 'ok')
+        };
+    }
+
+    /**
+     * Dexel grid over the stock, centred on the socket axis
+     *
+     * Columns outside the stock hold -Infinity (no material). Each column
+     * records the move that last lowered it (`cutBy`, indexing `footprints`
+     * for its cutter) and where the tool tip was at the time.
+     */
+    createGrid(stock, settings) {
+        const resolution = settings.resolution;
+        const block = stock.shape === 'block' || stock.shape === 'plate';
+        const size = Math.ceil((block ? Math.max(stock.length, stock.width) : stock.diameter) / resolution) + 1;
+        const origin = -(size - 1) * resolution / 2;
+        const radius = block ? Math.hypot(stock.length, stock.width) / 2 : stock.diameter / 2;
+        const heights = new Float32Array(size * size);
+
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                heights[j * size + i] = this.model.surfaceAt(stock, origin + i * resolution, origin + j * resolution);
+            }
+        }
+
+        return {
+            size: size,
+            origin: origin,
+            resolution: resolution,
+            radius: radius,
+            stock: stock,
+            top: this.model.top(stock),
+            bottom: this.model.bottom(stock),
+            heights: heights,
+            cutBy: new Int32Array(size * size).fill(-1),
+            tipX: new Float32Array(size * size),
+            tipY: new Float32Array(size * size),
+            tipZ: new Float32Array(size * size),
+            footprints: []
+        };
+    }
+
+    /**
+     * Sweep the active tool along every motion step
+     *
+     * The tool comes from the last M6, or from the move's `tool` tag before
+     * the first change. Returns the volume removed (mm³), cm³ removed per
+     * operation and the rapid moves that cut stock.
+     */
+    cutToolpath(grid, steps, tools, settings) {
+        const footprints = new Map();
+        const byOperation = {};
+        const rapidCuts = [];
+        let tool = null;
+        let removed = 0;
+
+        steps.forEach(step => {
+            if (step.codes.includes('M6') && step.words.T !== undefined) tool = tools.getTool(step.words.T);
+            if (!step.motion) return;
+            if (step.to.a !== step.from.a) {
+                throw new Error(`Stock simulation is 3-axis only; move ${step.index} turns the A axis`);
+            }
+
+            const points = this.samplePoints(step, grid.resolution);
+            if (points.every(point => point.z >= grid.top)) return;
+
+            const cutter = tool || (step.move.tool ? tools.getTool(step.move.tool) : null);
+            if (!cutter) throw new Error(`Move ${step.index} reaches the stock before a tool is loaded`);
+            if (!footprints.has(cutter.number)) footprints.set(cutter.number, this.footprint(cutter, grid.resolution));
+            const footprint = footprints.get(cutter.number);
+            grid.footprints[step.index] = footprint;
+
+            let volume = 0;
+            points.forEach(point => {
+                if (point.z < grid.top) volume += this.stamp(grid, footprint, point, step.index);
+            });
+            removed += volume;
+
+            const operation = step.operation || 'unlabelled';
+            byOperation[operation] = (byOperation[operation] || 0) + volume / 1000;
+            if (step.motion === 'G0' && volume > settings.tolerance * grid.resolution * grid.resolution) {
+                rapidCuts.push({ move: step.index, operation: operation, tool: cutter.number, volume: volume / 1000 });
+            }
+        });
+
+        return { removed, byOperation, rapidCuts };
+    }
+
+    /**
+     * Tool tip positions along a step, no further apart than `spacing`
+     */
+    samplePoints(step, spacing) {
+        if (step.motion === 'G2' || step.motion === 'G3') {
+            const arc = this.interpreter.arcGeometry(step);
+            const count = Math.max(1, Math.ceil(arc.length / spacing));
+            return Array.from({ length: count + 1 }, (_, k) => this.interpreter.arcPoint(step, arc, arc.sweep * k / count));
+        }
+
+        const { from, to } = step;
+        const count = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z) / spacing));
+        return Array.from({ length: count + 1 }, (_, k) => ({
+            x: from.x + (to.x - from.x) * k / count,
+            y: from.y + (to.y - from.y) * k / count,
+            z: from.z + (to.z - from.z) * k / count
+        }));
+    }
+
+    /**
+     * Cutter outline: grid offsets within reach and the height of its underside above the tip
+     *
+     * Flat mills cut flat; ball and bull-nose corners rise along their
+     * radius; drills rise along their point angle.
+     */
+    footprint(tool, resolution) {
+        const radius = tool.diameter / 2;
+        const cornerRadius = tool.type === 'drill' ? 0 : (tool.cornerRadius || 0);
+        const flatRadius = radius - cornerRadius;
+        const pointSlope = 1 / Math.tan((tool.pointAngle || 118) / 2 * Math.PI / 180);
+        const reach = Math.ceil(radius / resolution) + 1;
+        const offsets = [];
+
+        for (let dj = -reach; dj <= reach; dj++) {
+            for (let di = -reach; di <= reach; di++) {
+                if (Math.hypot(di, dj) * resolution <= radius + resolution) offsets.push(di, dj);
+            }
+        }
+
+        const profile = tool.type === 'drill'
+            ? distance => distance * pointSlope
+            : distance => distance <= flatRadius
+                ? 0
+                : cornerRadius - Math.sqrt(Math.max(cornerRadius * cornerRadius - (distance - flatRadius) ** 2, 0));
+
+        return { radius, offsets: Int32Array.from(offsets), profile };
+    }
+
+    /**
+     * Lower the columns under the tool with its tip at `point`; returns the volume removed (mm³)
+     */
+    stamp(grid, footprint, point, stepIndex) {
+        const { size, origin, resolution, heights } = grid;
+        const ci = Math.round((point.x - origin) / resolution);
+        const cj = Math.round((point.y - origin) / resolution);
+        const area = resolution * resolution;
+        let removed = 0;
+
+        // Plain loop: this runs for every cell under every tool position
+        const offsets = footprint.offsets;
+        for (let k = 0; k < offsets.length; k += 2) {
+            const i = ci + offsets[k];
+            const j = cj + offsets[k + 1];
+            if (i < 0 || j < 0 || i >= size || j >= size) continue;
+
+            const index = j * size + i;
+            const height = heights[index];
+            if (height <= point.z) continue;
+
+            const dx = origin + i * resolution - point.x;
+            const dy = origin + j * resolution - point.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > footprint.radius) continue;
+
+            const bottom = point.z + footprint.profile(distance);
+            if (bottom < height) {
+                removed += Math.max(height - Math.max(bottom, grid.bottom), 0) * area;
+                heights[index] = bottom;
+                grid.cutBy[index] = stepIndex;
+                grid.tipX[index] = point.x;
+                grid.tipY[index] = point.y;
+                grid.tipZ[index] = point.z;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Stock height at a point, interpolated between the four surrounding columns
+     */
+    heightAt(grid, x, y) {
+        const { size, origin, resolution, heights } = grid;
+        const u = (x - origin) / resolution;
+        const v = (y - origin) / resolution;
+        const i = Math.floor(u);
+        const j = Math.floor(v);
+        if (i < 0 || j < 0 || i >= size - 1 || j >= size - 1) return -Infinity;
+
+        const a = heights[j * size + i];
+        const b = heights[j * size + i + 1];
+        const c = heights[(j + 1) * size + i];
+        const d = heights[(j + 1) * size + i + 1];
+        if (a === -Infinity || b === -Infinity || c === -Infinity || d === -Infinity) return -Infinity;
+
+        const fu = u - i;
+        const fv = v - j;
+        return (a * (1 - fu) + b * fu) * (1 - fv) + (c * (1 - fu) + d * fu) * fv;
+    }
+
+    /**
+     * Step that last cut the column nearest a point, or null
+     */
+    cutterAt(grid, steps, x, y) {
+        const i = Math.round((x - grid.origin) / grid.resolution);
+        const j = Math.round((y - grid.origin) / grid.resolution);
+        if (i < 0 || j < 0 || i >= grid.size || j >= grid.size) return null;
+        const index = grid.cutBy[j * grid.size + i];
+        return index >= 0 ? steps[index] : null;
+    }
+
+    /**
+     * Design radius, relief included, on the angle-by-depth sampling grid
+     */
+    designSurface(socket, radiusAt, pocketSize, settings) {
+        const features = this.mesh.collectFeatures(socket, pocketSize);
+        const angles = [];
+        for (let angle = 0; angle < 360; angle += settings.angularStep) angles.push(angle);
+        const depths = [];
+        for (let depth = 0; depth < socket.length; depth += settings.depthStep) depths.push(depth);
+        depths.push(socket.length);
+
+        const radii = depths.map(depth => angles.map(angle => {
+            const radius = radiusAt(depth, angle);
+            const relief = this.mesh.reliefAt(features, depth, angle, radius);
+            return { radius: radius, wall: radius + relief.depth, feature: relief.id };
+        }));
+
+        return { socket, radiusAt, features, angles, depths, radii, length: socket.length };
+    }
+
+    /**
+     * Whether the point (x, y, z) has been cut away
+     *
+     * Tests the cutter positions recorded in the surrounding columns
+     * against the point itself, so walls are found to well inside one
+     * dexel rather than snapping to the grid. Points clear of the stock
+     * (off its edge or in a blank's cavity) count as cut.
+     */
+    isCut(grid, x, y, z) {
+        if (z > this.model.surfaceAt(grid.stock, x, y)) return true;
+        const ci = Math.round((x - grid.origin) / grid.resolution);
+        const cj = Math.round((y - grid.origin) / grid.resolution);
+
+        for (let j = cj - 1; j <= cj + 1; j++) {
+            for (let i = ci - 1; i <= ci + 1; i++) {
+                if (i < 0 || j < 0 || i >= grid.size || j >= grid.size) continue;
+                const index = j * grid.size + i;
+                const footprint = grid.footprints[grid.cutBy[index]];
+                if (!footprint) continue;
+
+                const distance = Math.hypot(x - grid.tipX[index], y - grid.tipY[index]);
+                if (distance <= footprint.radius && grid.tipZ[index] + footprint.profile(distance) <= z) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Radius at which a ray at `angle` meets stock at `depth`, searched from `start`
+     *
+     * From a cut start the ray runs outward to the first material (a gouge
+     * when past the design); from material it runs inward to the first cut
+     * point (leftover). The crossing is then bisected; rays that never meet
+     * material end at the stock's edge.
+     */
+    machinedRadius(grid, angle, depth, start) {
+        const cos = Math.cos(angle * Math.PI / 180);
+        const sin = Math.sin(angle * Math.PI / 180);
+        const step = grid.resolution / 2;
+        const cut = radius => this.isCut(grid, radius * cos, radius * sin, -depth);
+        const boundary = (inside, outside) => {
+            for (let k = 0; k < 10; k++) {
+                const middle = (inside + outside) / 2;
+                if (cut(middle)) inside = middle;
+                else outside = middle;
+            }
+            return (inside + outside) / 2;
+        };
+
+        if (cut(start)) {
+            for (let radius = start; radius < grid.radius; radius += step) {
+                if (!cut(radius + step)) return boundary(radius, radius + step);
+            }
+            return grid.radius;
+        }
+
+        for (let radius = start; radius > 0; radius -= step) {
+            const inner = Math.max(radius - step, 0);
+            if (cut(inner)) return boundary(inner, radius);
+        }
+        return 0;
+    }
+
+    /**
+     * Radial deviation of the wall at every angle and depth above the floor
+     */
+    compareWall(grid, design, steps) {
+        const samples = [];
+
+        design.depths.forEach((depth, k) => {
+            if (depth === 0 || depth >= design.length) return;
+            design.angles.forEach((angle, a) => {
+                const surface = design.radii[k][a];
+                const radius = this.machinedRadius(grid, angle, depth, surface.wall);
+                const deviation = radius - surface.wall;
+                const sample = { surface: 'wall', angle, depth, radius: surface.wall, deviation };
+                if (surface.feature) sample.feature = surface.feature;
+                if (deviation > 0) this.attribute(sample, grid, steps, angle, radius - grid.resolution / 2);
+                samples.push(sample);
+            });
+        });
+
+        return samples;
+    }
+
+    /**
+     * Vertical deviation of the distal floor inside the wall
+     */
+    compareFloor(grid, design, steps, settings) {
+        const samples = [];
+        const last = design.depths.length - 1;
+
+        design.angles.forEach((angle, a) => {
+            const edge = design.radii[last][a].radius - grid.resolution;
+            for (let radius = angle === 0 ? 0 : settings.depthStep; radius < edge; radius += settings.depthStep) {
+                const x = radius * Math.cos(angle * Math.PI / 180);
+                const y = radius * Math.sin(angle * Math.PI / 180);
+                const deviation = -this.heightAt(grid, x, y) - design.length;
+                const sample = { surface: 'floor', angle, depth: design.length, radius, deviation };
+                if (deviation > 0) this.attribute(sample, grid, steps, angle, radius);
+                samples.push(sample);
+            }
+        });
+
+        return samples;
+    }
+
+    /**
+     * Machined depth of each sensor pocket against its design depth
+     *
+     * Samples the pocket centre and eight points halfway to its edge on
+     * the unrolled wall. A pocket is `shallow` or `deep` when its mean
+     * depth misses the design by more than the tolerance.
+     */
+    comparePockets(grid, design, settings) {
+        return design.features.pockets.map(pocket => {
+            const wallRadius = design.radiusAt(pocket.z, pocket.angle);
+            const offsets = [[0, 0], ...Array.from({ length: 8 }, (_, k) => [
+                pocket.radius / 2 * Math.cos(k * Math.PI / 4),
+                pocket.radius / 2 * Math.sin(k * Math.PI / 4)
+            ])];
+
+            const depths = offsets.map(([arc, dz]) => {
+                const angle = pocket.angle + arc / wallRadius * 180 / Math.PI;
+                const depth = Math.min(Math.max(pocket.z + dz, 0), design.length);
+                const radius = design.radiusAt(depth, angle);
+                return this.machinedRadius(grid, angle, depth, radius + pocket.depth) - radius;
+            });
+
+            const machinedDepth = depths.reduce((sum, value) => sum + value, 0) / depths.length;
+            const deviation = machinedDepth - pocket.depth;
+            return {
+                id: pocket.id,
+                angle: pocket.angle,
+                depth: pocket.z,
+                designDepth: pocket.depth,
+                machinedDepth: machinedDepth,
+                deviation: deviation,
+                range: { min: Math.min(...depths), max: Math.max(...depths) },
+                status: Math.abs(deviation) <= settings.tolerance ? 'ok' : (deviation < 0 ? 'shallow' : 'deep')
+            };
+        });
+    }
+
+    /**
+     * Stock, design cavity, leftover and gouged volumes (cm³)
+     *
+     * Each column's design height is the deepest point of the cavity a tool
+     * reaches from above at that radius and angle, so undercuts count as
+     * stock that stays.
+     */
+    compareVolumes(grid, design, stock) {
+        const { size, origin, resolution, heights } = grid;
+        const area = resolution * resolution / 1000;
+        const step = design.angles[1] - design.angles[0];
+        const volumes = { stock: this.model.volume(stock), design: 0, leftover: 0, gouged: 0 };
+
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const height = heights[j * size + i];
+                if (height === -Infinity) continue;
+
+                const x = origin + i * resolution;
+                const y = origin + j * resolution;
+                const radius = Math.hypot(x, y);
+                const angle = ((Math.atan2(y, x) * 180 / Math.PI) % 360 + 360) % 360;
+                const a = Math.floor(angle / step) % design.angles.length;
+                const b = (a + 1) % design.angles.length;
+                const t = (angle - design.angles[a]) / step;
+                const wall = k => design.radii[k][a].wall + (design.radii[k][b].wall - design.radii[k][a].wall) * t;
+
+                // Walk down until the wall closes in past this column
+                let depth = 0;
+                if (wall(0) >= radius) {
+                    depth = design.length;
+                    for (let k = 1; k < design.depths.length; k++) {
+                        const below = wall(k);
+                        if (below < radius) {
+                            const above = wall(k - 1);
+                            depth = design.depths[k - 1] +
+                                (design.depths[k] - design.depths[k - 1]) * (above - radius) / (above - below);
+                            break;
+                        }
+                    }
+                }
+
+                const designHeight = -depth;
+                const machined = Math.max(height, grid.bottom);
+                volumes.design += depth * area;
+                volumes.leftover += Math.max(machined - designHeight, 0) * area;
+                volumes.gouged += Math.max(designHeight - machined, 0) * area;
+            }
+        }
+
+        return volumes;
+    }
+
+    /**
+     * Name the move, operation and tool that last cut near a gouge
+     */
+    attribute(sample, grid, steps, angle, radius) {
+        const step = this.cutterAt(grid, steps,
+            radius * Math.cos(angle * Math.PI / 180), radius * Math.sin(angle * Math.PI / 180));
+        if (!step) return;
+        sample.move = step.index;
+        sample.operation = step.operation;
+        if (step.move.tool !== undefined) sample.tool = step.move.tool;
+    }
+}
+
+module.exports = StockSimulator;
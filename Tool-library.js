@@ -0,0 +1,170 @@
+/**
+ * CNC Tool Library
+ *
+ * Cutter definitions (geometry, flutes, reach and depth-of-cut limits), the
+ * tool assigned to each machining operation, and the T/M6/G43 blocks that
+ * switch between them.
+ */
+
+class ToolLibrary {
+    constructor(tools = null) {
+        this.TYPES = ['flat', 'ball', 'bull-nose', 'drill'];
+
+        // Tools that ship with the socket workflow; maxRpm is the cutter maker's limit
+        this.DEFAULT_TOOLS = [
+            { number: 1, name: '8mm 3-flute flat end mill', type: 'flat', diameter: 8, flutes: 3,
+              length: 60, fluteLength: 25, maxDepthOfCut: 2.0, maxRpm: 18000 },
+            { number: 2, name: '6mm 2-flute ball nose', type: 'ball', diameter: 6, flutes: 2,
+              length: 75, fluteLength: 20, maxDepthOfCut: 1.0, maxRpm: 24000 },
+            { number: 3, name: '4mm 2-flute flat end mill', type: 'flat', diameter: 4, flutes: 2,
+              length: 50, fluteLength: 12, maxDepthOfCut: 1.0, maxRpm: 24000 },
+            { number: 4, name: '2mm 2-flute ball nose', type: 'ball', diameter: 2, flutes: 2,
+              length: 40, fluteLength: 6, maxDepthOfCut: 0.5, maxRpm: 30000 },
+            { number: 5, name: '6mm bull nose R1', type: 'bull-nose', diameter: 6, flutes: 4,
+              cornerRadius: 1, length: 60, fluteLength: 18, maxDepthOfCut: 1.5, maxRpm: 20000 },
+            { number: 6, name: '3mm carbide drill', type: 'drill', diameter: 3, flutes: 2,
+              pointAngle: 118, length: 45, fluteLength: 20, maxDepthOfCut: 6.0, maxRpm: 12000 },
+            { number: 7, name: '2mm carbide drill', type: 'drill', diameter: 2, flutes: 2,
+              pointAngle: 118, length: 38, fluteLength: 12, maxDepthOfCut: 2.0, maxRpm: 15000 },
+            { number: 8, name: '6mm 3-flute long-reach flat end mill', type: 'flat', diameter: 6, flutes: 3,
+              length: 80, fluteLength: 36, maxDepthOfCut: 1.5, maxRpm: 12000 },
+            // Long-reach cutters for the socket cavity, whose holder follows them down from the brim
+            { number: 9, name: '8mm 3-flute long-reach flat end mill', type: 'flat', diameter: 8, flutes: 3,
+              length: 160, fluteLength: 30, maxDepthOfCut: 2.0, maxRpm: 12000 },
+            { number: 10, name: '6mm long-reach bull nose R1', type: 'bull-nose', diameter: 6, flutes: 4,
+              cornerRadius: 1, length: 160, fluteLength: 18, maxDepthOfCut: 1.5, maxRpm: 12000 },
+            { number: 11, name: '4mm 2-flute long-reach flat end mill', type: 'flat', diameter: 4, flutes: 2,
+              length: 160, fluteLength: 12, maxDepthOfCut: 1.0, maxRpm: 15000 },
+            { number: 12, name: '2mm 2-flute long-reach ball nose', type: 'ball', diameter: 2, flutes: 2,
+              length: 160, fluteLength: 6, maxDepthOfCut: 0.5, maxRpm: 18000 },
+            { number: 13, name: '6mm 2-flute long-reach ball nose', type: 'ball', diameter: 6, flutes: 2,
+              length: 160, fluteLength: 20, maxDepthOfCut: 1.0, maxRpm: 12000 }
+        ];
+
+        // Tool number used by each toolpath stage
+        this.DEFAULT_ASSIGNMENTS = {
+            // Socket
+            roughing: 9,
+            semiFinish: 10,
+            sensorPockets: 11,
+            channels: 12,
+            finish: 13,
+            predrill: 6,
+            // Forearm frame
+            lighteningPockets: 3,
+            mountingBores: 3,
+            frameProfile: 1,
+            // Electronics housing
+            batteryCavity: 8,
+            chargePort: 3,
+            gloveAttachments: 7,
+            housingProfile: 8
+        };
+
+        this.tools = new Map();
+        this.assignments = { ...this.DEFAULT_ASSIGNMENTS };
+        (tools || this.DEFAULT_TOOLS).forEach(tool => this.addTool(tool));
+    }
+
+    /**
+     * Add or replace a tool after checking its geometry
+     */
+    addTool(tool) {
+        const errors = [];
+        if (!Number.isInteger(tool.number) || tool.number < 1) errors.push('number must be a positive integer');
+        if (!this.TYPES.includes(tool.type)) errors.push(`type must be one of ${this.TYPES.join(', ')}`);
+        ['diameter', 'flutes', 'length', 'maxDepthOfCut'].forEach(key => {
+            if (!(tool[key] > 0)) errors.push(`${key} must be greater than zero`);
+        });
+        if (tool.maxRpm !== undefined && !(tool.maxRpm > 0)) errors.push('maxRpm must be greater than zero');
+        if (tool.type === 'bull-nose' && !(tool.cornerRadius > 0 && tool.cornerRadius < tool.diameter / 2)) {
+            errors.push('bull-nose cornerRadius must be between 0 and half the diameter');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid tool T${tool.number}: ${errors.join('; ')}`);
+        }
+
+        const entry = {
+            fluteLength: tool.length,
+            cornerRadius: tool.type === 'ball' ? tool.diameter / 2 : 0,
+            ...tool
+        };
+        entry.name = tool.name || `${tool.diameter}mm ${tool.type}`;
+        this.tools.set(tool.number, entry);
+        return entry;
+    }
+
+    /**
+     * Look up a tool by number
+     */
+    getTool(number) {
+        const tool = this.tools.get(number);
+        if (!tool) throw new Error(`Tool T${number} is not in the library`);
+        return tool;
+    }
+
+    /**
+     * All tools, ordered by number
+     */
+    listTools() {
+        return [...this.tools.values()].sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Assign a tool to an operation
+     */
+    assign(operation, number) {
+        this.getTool(number);
+        this.assignments[operation] = number;
+    }
+
+    /**
+     * Tool assigned to an operation
+     */
+    toolFor(operation) {
+        const number = this.assignments[operation];
+        if (number === undefined) throw new Error(`No tool assigned to operation "${operation}"`);
+        return this.getTool(number);
+    }
+
+    /**
+     * Pick the largest tool that satisfies a set of requirements
+     *
+     * Requirements: `types` (preferred first), `maxDiameter`, `minReach`
+     * (clear length below the holder) and `minDepthOfCut`.
+     */
+    selectTool(requirements = {}) {
+        const types = requirements.types || this.TYPES;
+        const candidates = this.listTools().filter(tool =>
+            types.includes(tool.type) &&
+            tool.diameter <= (requirements.maxDiameter || Infinity) &&
+            tool.length >= (requirements.minReach || 0) &&
+            tool.maxDepthOfCut >= (requirements.minDepthOfCut || 0));
+
+        if (candidates.length === 0) {
+            throw new Error(`No tool in the library meets ${JSON.stringify(requirements)}`);
+        }
+
+        candidates.sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type) || b.diameter - a.diameter);
+        return candidates[0];
+    }
+
+    /**
+     * Moves that stop the spindle, change to a tool and restart
+     *
+     * The tool length offset (G43 H) uses the tool number as its offset register.
+     */
+    toolChangeMoves(tool, spindleSpeed, safeZ = 25) {
+        return [
+            { cmd: 'M5', comment: 'Spindle off for tool change' },
+            { cmd: 'G0', z: safeZ, comment: 'Retract for tool change' },
+            { cmd: 'M6', t: tool.number, comment: tool.name },
+            { cmd: 'G43', h: tool.number, comment: `Tool length offset T${tool.number}` },
+            { cmd: `M3 S${spindleSpeed}`, comment: 'Spindle on' },
+            { cmd: 'G4 P2', comment: 'Dwell 2 seconds' }
+        ];
+    }
+}
+
+module.exports = ToolLibrary;
@@ -0,0 +1,386 @@
+/**
+ * Toolpath Backplot
+ *
+ * Draws any toolpath the two generators produce as an SVG drawing in top,
+ * front, side and isometric views, so a program can be reviewed in a
+ * browser or attached to a report. Rapids are dashed and grey; feed moves
+ * are coloured by operation or by Z depth. Arcs are drawn from their I/J
+ * (or R) centre, and features named in the comments, such as sensor
+ * pockets and comfort channels, are labelled where they are cut.
+ *
+ * Rotary (A-axis) programs are wrapped back onto the part: each point is
+ * turned by -A about the X axis, so the views show the part rather than
+ * the motion of the head. The `unrolled` view plots X against A instead.
+ */
+
+const ToolpathInterpreter = require('./Toolpath-interpreter.js');
+
+class ToolpathBackplot {
+    constructor() {
+        this.interpreter = new ToolpathInterpreter();
+
+        this.DEFAULTS = {
+            views: ['top', 'front', 'side', 'iso'],
+            color: 'operation',     // 'operation' or 'depth'
+            width: 960,             // px for the whole drawing
+            height: 720,
+            margin: 16,             // px inside each view
+            resolution: 0.25,       // shortest segment kept (mm)
+            arcStep: 5,             // degrees between arc samples
+            rapids: true,
+            labels: true,
+            legend: true
+        };
+
+        const cos30 = Math.cos(Math.PI / 6);
+        this.VIEWS = {
+            top: { title: 'Top (X-Y)', project: p => [p.x, p.y] },
+            front: { title: 'Front (X-Z)', project: p => [p.x, p.z] },
+            side: { title: 'Side (Y-Z)', project: p => [p.y, p.z] },
+            iso: { title: 'Isometric', project: p => [(p.x - p.y) * cos30, p.z + (p.x + p.y) / 2] },
+            unrolled: { title: 'Unrolled (X-A)', project: p => [p.x, p.a] }
+        };
+
+        // Stroke colour per operation; operations not listed take the palette in turn
+        this.COLORS = {
+            roughing: '#c0392b',
+            semiFinish: '#d68910',
+            sensorPockets: '#2471a3',
+            channels: '#8e44ad',
+            finish: '#229954'
+        };
+        this.PALETTE = ['#17a589', '#ca6f1e', '#2e4053', '#b03a2e', '#7d3c98', '#1f618d', '#b7950b'];
+        this.RAPID_COLOR = '#999';
+
+        // Depth bands from the shallowest Z to the deepest
+        this.DEPTH_COLORS = ['#f4d03f', '#82e0aa', '#48c9b0', '#2e86c1', '#5b2c6f'];
+        this.DEPTH_BANDS = 8;
+
+        // Comments that open a labelled feature; `place` is its centroid or first cut
+        this.LABELS = [
+            { pattern: /^Approach (?:sensor )?([A-Z][A-Z0-9]*_[A-Z0-9_]+)$/, text: '$1', place: 'centroid' },
+            { pattern: /^Start comfort channels depth (\S+)$/, text: 'Channels $1', place: 'start' }
+        ];
+    }
+
+    /**
+     * Render a toolpath to SVG
+     *
+     * Options override DEFAULTS; `views` picks and orders the panels, which
+     * share one scale. Returns `{ views, bounds, labels, svg }` with the
+     * part-frame bounds in mm and each label's position.
+     */
+    render(toolpath, options = {}) {
+        const settings = { ...this.DEFAULTS, ...options };
+        const unknown = settings.views.filter(view => !this.VIEWS[view]);
+        if (settings.views.length === 0 || unknown.length > 0) {
+            throw new Error(`Unknown backplot view "${unknown[0]}" (expected ${Object.keys(this.VIEWS).join(', ')})`);
+        }
+        if (!['operation', 'depth'].includes(settings.color)) {
+            throw new Error(`Unknown backplot colouring "${settings.color}" (expected operation or depth)`);
+        }
+
+        const steps = this.interpreter.walk(toolpath);
+        const rotary = steps.some(step => step.motion && step.from.a !== step.to.a);
+        const segments = this.segments(steps, rotary, settings);
+        const labels = settings.labels ? this.labels(steps, segments) : [];
+        const styles = this.styles(segments, settings);
+        const paths = this.polylines(segments, styles, settings);
+
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        paths.forEach(path => path.points.forEach(point => {
+            ['x', 'y', 'z'].forEach(axis => {
+                const key = axis.toUpperCase();
+                bounds[`min${key}`] = Math.min(bounds[`min${key}`], point[axis]);
+                bounds[`max${key}`] = Math.max(bounds[`max${key}`], point[axis]);
+            });
+        }));
+        if (paths.length === 0) Object.assign(bounds, { minX: 0, maxX: 1, minY: 0, maxY: 1, minZ: 0, maxZ: 1 });
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return {
+            views: settings.views,
+            bounds: Object.fromEntries(Object.entries(bounds).map(([key, value]) => [key, round(value)])),
+            labels: labels.map(label => ({
+                text: label.text, x: round(label.point.x), y: round(label.point.y), z: round(label.point.z)
+            })),
+            svg: this.drawing(paths, labels, styles, settings)
+        };
+    }
+
+    /**
+     * Sampled points of every motion step, in the part frame
+     *
+     * Arcs are sampled every `arcStep` degrees around their centre
+     * (helical Z and multi-turn P included); rotary moves are split so the
+     * wrap stays smooth once turned onto the part.
+     */
+    segments(steps, rotary, settings) {
+        const toPart = (position, a) => {
+            if (!rotary) return { x: position.x, y: position.y, z: position.z, a: a, depth: position.z };
+            const theta = -a * Math.PI / 180;
+            return {
+                x: position.x,
+                y: position.y * Math.cos(theta) - position.z * Math.sin(theta),
+                z: position.y * Math.sin(theta) + position.z * Math.cos(theta),
+                a: a,
+                depth: position.z
+            };
+        };
+
+        return steps.filter(step => step.motion).map(step => {
+            const { from, to } = step;
+            let samples;
+            if (step.motion === 'G2' || step.motion === 'G3') {
+                const arc = this.interpreter.arcGeometry(step);
+                const count = Math.max(2, Math.ceil(arc.sweep * 180 / Math.PI / settings.arcStep));
+                samples = Array.from({ length: count + 1 }, (_, k) => {
+                    const point = this.interpreter.arcPoint(step, arc, arc.sweep * k / count);
+                    return toPart(point, from.a + (to.a - from.a) * k / count);
+                });
+            } else {
+                const count = rotary ? Math.max(1, Math.ceil(Math.abs(to.a - from.a) / settings.arcStep)) : 1;
+                samples = Array.from({ length: count + 1 }, (_, k) => toPart({
+                    x: from.x + (to.x - from.x) * k / count,
+                    y: from.y + (to.y - from.y) * k / count,
+                    z: from.z + (to.z - from.z) * k / count
+                }, from.a + (to.a - from.a) * k / count));
+            }
+
+            return {
+                index: step.index,
+                rapid: step.motion === 'G0',
+                operation: step.operation || 'other',
+                points: samples
+            };
+        });
+    }
+
+    /**
+     * Stroke for each segment: rapid, operation colour or depth band
+     */
+    styles(segments, settings) {
+        const cutting = segments.filter(segment => !segment.rapid);
+        const operations = [...new Set(cutting.map(segment => segment.operation))];
+        const others = operations.filter(operation => !this.COLORS[operation]);
+        const colors = Object.fromEntries(operations.map(operation => [operation,
+            this.COLORS[operation] || this.PALETTE[others.indexOf(operation) % this.PALETTE.length]]));
+
+        let top = -Infinity;
+        let bottom = Infinity;
+        cutting.forEach(segment => segment.points.forEach(point => {
+            top = Math.max(top, point.depth);
+            bottom = Math.min(bottom, point.depth);
+        }));
+        const span = top - bottom || 1;
+        const bands = Array.from({ length: this.DEPTH_BANDS }, (_, band) => {
+            const t = band / (this.DEPTH_BANDS - 1);
+            return {
+                color: this.gradient(t),
+                from: top - span * band / this.DEPTH_BANDS,
+                to: top - span * (band + 1) / this.DEPTH_BANDS
+            };
+        });
+
+        return {
+            operations: colors,
+            bands: bands,
+            key: (segment, point) => {
+                if (segment.rapid) return 'rapid';
+                if (settings.color === 'operation') return `op:${segment.operation}`;
+                return `band:${Math.min(Math.floor((top - point.depth) / span * this.DEPTH_BANDS), this.DEPTH_BANDS - 1)}`;
+            },
+            stroke: key => {
+                if (key === 'rapid') return this.RAPID_COLOR;
+                const [kind, value] = key.split(/:(.*)/);
+                return kind === 'op' ? colors[value] : bands[Number(value)].color;
+            }
+        };
+    }
+
+    /**
+     * Colour at `t` (0 shallow, 1 deep) along DEPTH_COLORS
+     */
+    gradient(t) {
+        const stops = this.DEPTH_COLORS.map(color => [1, 3, 5].map(k => parseInt(color.substr(k, 2), 16)));
+        const position = t * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const fraction = position - index;
+        return '#' + stops[index].map((channel, k) =>
+            Math.round(channel + (stops[index + 1][k] - channel) * fraction).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Join consecutive segments with the same stroke, dropping points closer than `resolution`
+     */
+    polylines(segments, styles, settings) {
+        const paths = [];
+        let current = null;
+
+        segments.forEach(segment => {
+            if (segment.rapid && !settings.rapids) {
+                current = null;
+                return;
+            }
+            segment.points.forEach((point, k) => {
+                if (k === 0) return;
+                const key = styles.key(segment, point);
+                if (!current || current.key !== key) {
+                    current = { key: key, points: [segment.points[k - 1]] };
+                    paths.push(current);
+                }
+                const last = current.points[current.points.length - 1];
+                if (Math.hypot(point.x - last.x, point.y - last.y, point.z - last.z) >= settings.resolution ||
+                    k === segment.points.length - 1) {
+                    current.points.push(point);
+                }
+            });
+        });
+
+        return paths.filter(path => path.points.length > 1);
+    }
+
+    /**
+     * Features named in the comments, placed at the centroid or the first cut of their feed moves
+     *
+     * A feature runs from the comment that opens it until the next feature,
+     * a change of operation, or a comment starting with "Retract".
+     */
+    labels(steps, segments) {
+        const bySegment = new Map(segments.map(segment => [segment.index, segment]));
+        const labels = [];
+        let active = null;
+
+        steps.forEach(step => {
+            const comment = step.comment || '';
+            const rule = this.LABELS.find(entry => entry.pattern.test(comment));
+            if (rule) {
+                active = {
+                    text: comment.replace(rule.pattern, rule.text),
+                    place: rule.place,
+                    operation: step.operation,
+                    points: []
+                };
+                labels.push(active);
+            } else if (active && (step.operation !== active.operation || /^Retract/.test(comment))) {
+                active = null;
+            }
+
+            const segment = bySegment.get(step.index);
+            if (active && segment && !segment.rapid) active.points.push(...segment.points.slice(1));
+        });
+
+        return labels.filter(label => label.points.length > 0).map(label => {
+            if (label.place === 'start') return { text: label.text, point: label.points[0] };
+            const sum = label.points.reduce((total, point) =>
+                ({ x: total.x + point.x, y: total.y + point.y, z: total.z + point.z, a: total.a + point.a }),
+                { x: 0, y: 0, z: 0, a: 0 });
+            const count = label.points.length;
+            return { text: label.text, point: { x: sum.x / count, y: sum.y / count, z: sum.z / count, a: sum.a / count } };
+        });
+    }
+
+    /**
+     * Lay the views out in a grid at one scale, with titles, labels and a legend
+     */
+    drawing(paths, labels, styles, settings) {
+        const { width, height, margin } = settings;
+        const legendHeight = settings.legend ? 28 : 0;
+        const titleHeight = 18;
+        const columns = settings.views.length > 1 ? 2 : 1;
+        const rows = Math.ceil(settings.views.length / columns);
+        const panelWidth = width / columns;
+        const panelHeight = (height - legendHeight) / rows;
+
+        // Extent of each view in its own axes, then one scale that fits them all
+        const extents = settings.views.map(name => {
+            const project = this.VIEWS[name].project;
+            const extent = { minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity };
+            paths.forEach(path => path.points.forEach(point => {
+                const [u, v] = project(point);
+                extent.minU = Math.min(extent.minU, u);
+                extent.maxU = Math.max(extent.maxU, u);
+                extent.minV = Math.min(extent.minV, v);
+                extent.maxV = Math.max(extent.maxV, v);
+            }));
+            if (!Number.isFinite(extent.minU)) Object.assign(extent, { minU: 0, maxU: 1, minV: 0, maxV: 1 });
+            return extent;
+        });
+        const scale = Math.min(...extents.map(extent => Math.min(
+            (panelWidth - 2 * margin) / ((extent.maxU - extent.minU) || 1),
+            (panelHeight - 2 * margin - titleHeight) / ((extent.maxV - extent.minV) || 1))));
+
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const parts = [];
+        settings.views.forEach((name, index) => {
+            const view = this.VIEWS[name];
+            const extent = extents[index];
+            const left = (index % columns) * panelWidth;
+            const top = Math.floor(index / columns) * panelHeight;
+            const offsetU = left + (panelWidth - (extent.maxU - extent.minU) * scale) / 2;
+            const offsetV = top + titleHeight + (panelHeight - titleHeight + (extent.maxV - extent.minV) * scale) / 2;
+            const project = point => {
+                const [u, v] = view.project(point);
+                return [offsetU + (u - extent.minU) * scale, offsetV - (v - extent.minV) * scale];
+            };
+
+            parts.push(`<g class="view" data-view="${name}">`);
+            parts.push(`<rect x="${left + 0.5}" y="${top + 0.5}" width="${panelWidth - 1}" height="${panelHeight - 1}" ` +
+                       'fill="none" stroke="#ddd"/>');
+            parts.push(`<text x="${left + 8}" y="${top + 14}" font-size="12" fill="#333">${view.title}</text>`);
+            paths.forEach(path => {
+                const style = path.key === 'rapid'
+                    ? `stroke="${this.RAPID_COLOR}" stroke-width="0.6" stroke-dasharray="3 3"`
+                    : `stroke="${styles.stroke(path.key)}" stroke-width="0.8"`;
+                const points = path.points.map(point => project(point).map(value => value.toFixed(1)).join(','));
+                parts.push(`<polyline fill="none" ${style} points="${points.join(' ')}"/>`);
+            });
+            labels.forEach(label => {
+                const [u, v] = project(label.point);
+                parts.push(`<circle cx="${u.toFixed(1)}" cy="${v.toFixed(1)}" r="2" fill="#000"/>` +
+                           `<text x="${(u + 4).toFixed(1)}" y="${(v - 4).toFixed(1)}" font-size="10" ` +
+                           `stroke="#fff" stroke-width="3" paint-order="stroke">${escape(label.text)}</text>`);
+            });
+            parts.push('</g>');
+        });
+
+        if (settings.legend) parts.push(this.legend(paths, styles, settings, height - legendHeight));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+               `viewBox="0 0 ${width} ${height}" font-family="sans-serif">\n` +
+               '<rect width="100%" height="100%" fill="#fff"/>\n' +
+               `${parts.join('\n')}\n</svg>\n`;
+    }
+
+    /**
+     * Legend row: rapids, then each operation or depth band in use
+     */
+    legend(paths, styles, settings, y) {
+        const used = new Set(paths.map(path => path.key));
+        const entries = [];
+        if (used.has('rapid')) entries.push({ label: 'Rapid', dashed: true, color: this.RAPID_COLOR });
+        if (settings.color === 'operation') {
+            Object.entries(styles.operations).forEach(([operation, color]) => {
+                if (used.has(`op:${operation}`)) entries.push({ label: operation, color: color });
+            });
+        } else {
+            styles.bands.forEach((band, index) => {
+                if (used.has(`band:${index}`)) {
+                    entries.push({ label: `Z ${band.from.toFixed(1)} to ${band.to.toFixed(1)}`, color: band.color });
+                }
+            });
+        }
+
+        let x = 8;
+        const items = entries.map(entry => {
+            const item = `<line x1="${x}" y1="${y + 14}" x2="${x + 18}" y2="${y + 14}" stroke="${entry.color}" ` +
+                         `stroke-width="2"${entry.dashed ? ' stroke-dasharray="3 3"' : ''}/>` +
+                         `<text x="${x + 22}" y="${y + 18}" font-size="11" fill="#333">${entry.label}</text>`;
+            x += 30 + entry.label.length * 6.5;
+            return item;
+        });
+        return `<g class="legend">${items.join('')}</g>`;
+    }
+}
+
+module.exports = ToolpathBackplot;
@@ -0,0 +1,205 @@
+/**
+ * Toolpath Interpreter
+ *
+ * Reads the move lists produced by ProstheticCNCSystem ({cmd, x, y, z, ...})
+ * and EnhancedCNCGoldenSystem ({type, x, y, z, ...}) and tracks machine state
+ * through them, so every consumer sees the same positions and modal values.
+ */
+
+class ToolpathInterpreter {
+    constructor() {
+        this.MOTION_CODES = ['G0', 'G1', 'G2', 'G3'];
+        this.AXES = ['X', 'Y', 'Z', 'A'];
+
+        // Modal codes that may share a block with a move without changing its meaning
+        this.MOVE_MODIFIERS = ['G40', 'G41', 'G42', 'G90', 'G91', 'G93', 'G94'];
+
+        // Move object keys that map directly onto G-code words
+        this.WORD_KEYS = ['x', 'y', 'z', 'a', 'i', 'j', 'k', 'r', 'p', 'q', 'l', 'h', 'd', 't', 's', 'f'];
+    }
+
+    /**
+     * Split a move into its G/M codes and parameter words
+     *
+     * Parameters baked into the command string (`M3 S9600`, `G4 P2`,
+     * `G0 Z25`) are merged with the explicit move fields; explicit fields win.
+     */
+    normalizeMove(move) {
+        const raw = String(move.cmd || move.type || '').trim();
+        const codes = [];
+        const words = {};
+
+        raw.split(/\s+/).filter(Boolean).forEach(token => {
+            const letter = token[0].toUpperCase();
+            const value = token.substring(1);
+
+            if (letter === 'G' || letter === 'M') {
+                codes.push(letter + value);
+            } else if (/^[A-Z]$/.test(letter) && value !== '' && !isNaN(parseFloat(value))) {
+                words[letter] = parseFloat(value);
+            } else {
+                throw new Error(`Unrecognized token "${token}" in command "${raw}"`);
+            }
+        });
+
+        this.WORD_KEYS.forEach(key => {
+            if (move[key] !== undefined && move[key] !== null) {
+                words[key.toUpperCase()] = move[key];
+            }
+        });
+
+        return {
+            codes: codes,
+            words: words,
+            comment: move.comment || null,
+            operation: move.operation || null
+        };
+    }
+
+    /**
+     * Walk a toolpath, returning one step per move with its start and end position
+     *
+     * Positions start at the origin and assume absolute (G90) coordinates,
+     * which is what both generators emit. Motion mode and feed are modal,
+     * except under inverse-time feed (G93), where F (1/min) belongs to its move.
+     */
+    walk(toolpath, start = {}) {
+        const steps = [];
+        const position = { x: 0, y: 0, z: 0, a: 0, ...start };
+        let motion = null;
+        let feed = null;
+        let absolute = true;
+        let inverseTime = false;
+
+        toolpath.forEach((move, index) => {
+            const normalized = this.normalizeMove(move);
+            const from = { ...position };
+
+            normalized.codes.forEach(code => {
+                if (this.MOTION_CODES.includes(code)) motion = code;
+                if (code === 'G90') absolute = true;
+                if (code === 'G91') absolute = false;
+                if (code === 'G93') inverseTime = true;
+                if (code === 'G94') inverseTime = false;
+            });
+
+            if (normalized.words.F !== undefined) feed = normalized.words.F;
+
+            const hasAxisWords = this.AXES.some(axis => normalized.words[axis] !== undefined);
+            const isMotion = hasAxisWords && normalized.codes.every(code =>
+                this.MOTION_CODES.includes(code) || this.MOVE_MODIFIERS.includes(code));
+
+            if (isMotion) {
+                this.AXES.forEach(axis => {
+                    const value = normalized.words[axis];
+                    if (value === undefined) return;
+                    const key = axis.toLowerCase();
+                    position[key] = absolute ? value : position[key] + value;
+                });
+            }
+
+            steps.push({
+                index: index,
+                move: move,
+                codes: normalized.codes,
+                words: normalized.words,
+                comment: normalized.comment,
+                operation: normalized.operation,
+                motion: isMotion ? motion : null,
+                feed: inverseTime ? (normalized.words.F !== undefined ? normalized.words.F : null) : feed,
+                inverseTime: inverseTime,
+                from: from,
+                to: { ...position }
+            });
+        });
+
+        return steps;
+    }
+
+    /**
+     * Resolve the centre, radius and swept angle of a G2/G3 step
+     *
+     * Supports centre (I/J) and radius (R) format in the XY plane, helical Z
+     * and the LinuxCNC P word, where P turns means P - 1 extra full circles.
+     */
+    arcGeometry(step) {
+        const { from, to, words } = step;
+        const clockwise = step.motion === 'G2';
+        let centerX = from.x + (words.I || 0);
+        let centerY = from.y + (words.J || 0);
+
+        if (words.R !== undefined) {
+            const chord = Math.hypot(to.x - from.x, to.y - from.y);
+            const radius = Math.abs(words.R);
+            const offset = Math.sqrt(Math.max(radius * radius - chord * chord / 4, 0));
+            // Negative R selects the arc longer than a half circle
+            const side = (clockwise ? -1 : 1) * (words.R < 0 ? -1 : 1);
+            centerX = (from.x + to.x) / 2 - side * offset * (to.y - from.y) / (chord || 1);
+            centerY = (from.y + to.y) / 2 + side * offset * (to.x - from.x) / (chord || 1);
+        }
+
+        const radius = Math.hypot(from.x - centerX, from.y - centerY);
+        const startAngle = Math.atan2(from.y - centerY, from.x - centerX);
+        const endAngle = Math.atan2(to.y - centerY, to.x - centerX);
+
+        let sweep = clockwise ? startAngle - endAngle : endAngle - startAngle;
+        while (sweep < 0) sweep += 2 * Math.PI;
+        if (sweep <= 1e-9) sweep = 2 * Math.PI;
+
+        const turns = words.P !== undefined && words.P > 1 ? Math.round(words.P) : 1;
+        sweep += 2 * Math.PI * (turns - 1);
+
+        const planarLength = radius * sweep;
+        const height = to.z - from.z;
+
+        return {
+            center: { x: centerX, y: centerY },
+            radius: radius,
+            startAngle: startAngle,
+            endAngle: endAngle,
+            sweep: sweep,
+            turns: turns,
+            clockwise: clockwise,
+            planarLength: planarLength,
+            length: Math.hypot(planarLength, height)
+        };
+    }
+
+    /**
+     * Point on an arc after sweeping the given angle from its start
+     */
+    arcPoint(step, arc, angle) {
+        const direction = arc.clockwise ? -1 : 1;
+        const theta = arc.startAngle + direction * angle;
+        return {
+            x: arc.center.x + arc.radius * Math.cos(theta),
+            y: arc.center.y + arc.radius * Math.sin(theta),
+            z: step.from.z + (step.to.z - step.from.z) * angle / arc.sweep
+        };
+    }
+
+    /**
+     * Unit tangent of an arc after sweeping the given angle, including helical Z
+     */
+    arcTangent(step, arc, angle) {
+        const direction = arc.clockwise ? -1 : 1;
+        const theta = arc.startAngle + direction * angle;
+        const dz = (step.to.z - step.from.z) / (arc.length || 1);
+        const planar = arc.planarLength / (arc.length || 1);
+        return {
+            x: -Math.sin(theta) * direction * planar,
+            y: Math.cos(theta) * direction * planar,
+            z: dz
+        };
+    }
+
+    /**
+     * Length of a linear step, counting rotary degrees as mm the way controllers plan them
+     */
+    linearLength(step) {
+        const { from, to } = step;
+        return Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z, to.a - from.a);
+    }
+}
+
+module.exports = ToolpathInterpreter;
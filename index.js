@@ -0,0 +1,50 @@
+/**
+ * Prosthetic Arm CNC Manufacturing System
+ *
+ * Library entry point: every public class, with no demo side effects.
+ * ProstheticCNCSystem drives the whole workflow; the other classes are the
+ * stages it is built from, for tools that need only one of them.
+ */
+
+const ClinicalValidator = require('./Clinical-validator.js');
+
+module.exports = {
+    // Workflow engines
+    ProstheticCNCSystem: require('./Prosthetic-CNC-system.js'),
+    EnhancedCNCGoldenSystem: require('./Enhanced-golden-CNC-system.js'),
+    GoldenRatioFractalCodec: require('./Phi-fractal-codec.js'),
+
+    // Design
+    ClinicalValidator: ClinicalValidator,
+    ClinicalValidationError: ClinicalValidator.ClinicalValidationError,
+    EMGElectrodeLayout: require('./EMG-electrode-layout.js'),
+    LimbScanImporter: require('./Limb-scan-importer.js'),
+    InterfacePressureMap: require('./Interface-pressure-map.js'),
+    ArmComponentDesigner: require('./Arm-component-designer.js'),
+    SocketMeshExporter: require('./Socket-mesh-exporter.js'),
+    DesignRuleChecker: require('./Design-rule-checker.js'),
+
+    // Machining
+    ToolLibrary: require('./Tool-library.js'),
+    ToolpathInterpreter: require('./Toolpath-interpreter.js'),
+    GCodeEmitter: require('./GCode-emitter.js'),
+    CycleTimeEstimator: require('./Cycle-time-estimator.js'),
+    StockSimulator: require('./Stock-simulator.js'),
+    ToolpathBackplot: require('./Toolpath-backplot.js'),
+    StockModel: require('./Stock-model.js'),
+    AdaptiveRoughing: require('./Adaptive-roughing.js'),
+    EntryStrategy: require('./Entry-strategy.js'),
+    ArcFitter: require('./Arc-fitter.js'),
+    SocketRefit: require('./Socket-refit.js'),
+
+    // Control
+    EMGSignalProcessor: require('./EMG-signal-processor.js'),
+    EMGGestureClassifier: require('./EMG-gesture-classifier.js'),
+
+    // Production
+    ShopCostModel: require('./Shop-cost-model.js'),
+    ProductionScheduler: require('./Production-scheduler.js'),
+    ReportRenderer: require('./Report-renderer.js'),
+    PatientProject: require('./Patient-project.js'),
+    ProstheticCNCCli: require('./Prosthetic-CNC-cli.js')
+};
@@ -0,0 +1,43 @@
+/**
+ * Prosthetic Arm CNC Manufacturing System: ES module entry point
+ *
+ * Re-exports the CommonJS library (index.js) as named exports, so
+ * `import { ProstheticCNCSystem } from './index.mjs'` works alongside
+ * `require('./index.js')` and both share the same classes.
+ */
+
+import library from './index.js';
+
+export const {
+    ProstheticCNCSystem,
+    EnhancedCNCGoldenSystem,
+    GoldenRatioFractalCodec,
+    ClinicalValidator,
+    ClinicalValidationError,
+    EMGElectrodeLayout,
+    LimbScanImporter,
+    InterfacePressureMap,
+    ArmComponentDesigner,
+    SocketMeshExporter,
+    DesignRuleChecker,
+    ToolLibrary,
+    ToolpathInterpreter,
+    GCodeEmitter,
+    CycleTimeEstimator,
+    StockSimulator,
+    ToolpathBackplot,
+    StockModel,
+    AdaptiveRoughing,
+    EntryStrategy,
+    ArcFitter,
+    SocketRefit,
+    EMGSignalProcessor,
+    EMGGestureClassifier,
+    ShopCostModel,
+    ProductionScheduler,
+    ReportRenderer,
+    PatientProject,
+    ProstheticCNCCli
+} = library;
+
+export default library;